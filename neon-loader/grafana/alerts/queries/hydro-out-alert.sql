@@ -6,6 +6,7 @@
 --
 -- Neon email notifier (`notify-email-alerts.js`) uses a broader match: OR source_system,
 -- metric_key LIKE 'power_instantaneous%' — align Grafana here if tall rows use suffixed keys.
+-- Keys actually loaded: `npm run metric-catalog -- --group hydro_plant --metric 'power_instantaneous%'`.
 
 SELECT record_ts AS "time", metric_value AS value
 FROM public.utility_measurement_tall
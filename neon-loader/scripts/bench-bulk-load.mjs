@@ -0,0 +1,79 @@
+/**
+ * Times the two ways neon-loader writes ingest_raw_record / utility_measurement_tall rows
+ * (BULK_LOAD_MODE=copy vs insert, see src/db.js) on synthetic data shaped like a wattnode file.
+ * Every run happens inside a transaction that is rolled back, so nothing is left behind, but it
+ * does load the database: point it at a branch, not production at peak time.
+ *
+ * Usage:
+ *   node scripts/bench-bulk-load.mjs [--tall 40000] [--raw 2000] [--runs 3]
+ *   npm run bench:bulk-load -- --tall 100000
+ */
+import { createDbPoolFromEnv, insertRawFile, insertRawRecords, insertTallRows } from "../src/db.js";
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  const n = i >= 0 ? Number(process.argv[i + 1]) : fallback;
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+}
+
+const tallCount = arg("tall", 40000);
+const rawCount = arg("raw", 2000);
+const runs = arg("runs", 3);
+
+const label = { labelCode: "bench", labelName: "bench", deviceAddress: "mb-bench", physicalGroup: "bench", hasData: true };
+const start = Date.parse("2026-01-01T00:00:00Z");
+const metricsPerRow = Math.max(1, Math.ceil(tallCount / rawCount));
+const rawRecords = Array.from({ length: rawCount }, (_, i) => ({
+  lineNo: i + 1,
+  rawText: `'2026-01-01 00:00:00',0,0,0,${i}`,
+  parsedJson: { line: i + 1, "Energy Sum (kWh)": i * 1.5 },
+  recordTs: new Date(start + i * 60000).toISOString(),
+}));
+const tallRows = Array.from({ length: tallCount }, (_, i) => ({
+  recordTs: rawRecords[Math.floor(i / metricsPerRow) % rawCount].recordTs,
+  metricKey: `bench_metric_${i % metricsPerRow}`,
+  metricValue: i * 0.25,
+  unit: "kW",
+  quality: null,
+  sourceSystem: "bench",
+}));
+
+async function timeOnce(pool, mode, n) {
+  process.env.BULK_LOAD_MODE = mode;
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const fileId = await insertRawFile(client, {
+      r2Key: `bench/${mode}/${n}/${Date.now()}`,
+      etag: "bench",
+      serial: "BENCH",
+      parseStatus: "parsed",
+      deviceAddress: label.deviceAddress,
+    });
+    const t0 = performance.now();
+    await insertRawRecords(client, fileId, rawRecords, label);
+    const t1 = performance.now();
+    await insertTallRows(client, fileId, "BENCH", tallRows, label);
+    const t2 = performance.now();
+    return { raw: t1 - t0, tall: t2 - t1 };
+  } finally {
+    await client.query("ROLLBACK");
+    client.release();
+  }
+}
+
+const pool = createDbPoolFromEnv();
+try {
+  console.log(`bench_bulk_load raw_rows=${rawCount} tall_rows=${tallCount} runs=${runs} insert_batch_rows=${process.env.INSERT_BATCH_ROWS || "250"}`);
+  for (const mode of ["insert", "copy"]) {
+    const times = [];
+    for (let n = 0; n < runs; n += 1) times.push(await timeOnce(pool, mode, n));
+    const best = (k) => Math.min(...times.map((t) => t[k]));
+    const avg = (k) => times.reduce((sum, t) => sum + t[k], 0) / times.length;
+    console.log(
+      `mode=${mode} raw_best_ms=${best("raw").toFixed(0)} raw_avg_ms=${avg("raw").toFixed(0)} tall_best_ms=${best("tall").toFixed(0)} tall_avg_ms=${avg("tall").toFixed(0)} tall_rows_per_s=${Math.round(tallCount / (best("tall") / 1000))}`,
+    );
+  }
+} finally {
+  await pool.end();
+}
@@ -6,7 +6,8 @@
  *
  * It deletes:
  * - `utility_measurement_tall` rows for the selected device addresses where
- *   the row is a flow (Gpm) measurement
+ *   the row is a flow (Gpm) measurement, taking them off the `metric_catalog`
+ *   counts so the re-ingest does not count them twice
  * - matching `ingest_raw_record` lines (so a replay does not duplicate raw)
  * - matching `ingest_checkpoint` for those files (so ingest will re-open them)
  *
@@ -17,7 +18,7 @@
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
 import { spawn } from "node:child_process";
-import { createDbPoolFromEnv, withTransaction } from "../src/db.js";
+import { createDbPoolFromEnv, deleteTallRows, withTransaction } from "../src/db.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const runJs = join(__dirname, "../src/run.js");
@@ -58,15 +59,13 @@ await withTransaction(pool, async (client) => {
   console.log(`replay-flow: ${nFiles} ingest file(s) for device_address in (${devs.join(", ")})`);
 
   // GPM-only: flow; leaves PSI, kW, etc. on the same file for replay without duplicate raw+non-flow tall
-  const tallRes = await client.query(
-    `DELETE FROM utility_measurement_tall t
-     USING ingest_raw_file f
-     WHERE t.source_file_id = f.id
+  tallDeleted = await deleteTallRows(client, {
+    using: "USING ingest_raw_file f",
+    where: `t.source_file_id = f.id
        AND f.device_address = ANY($1::text[])
        AND UPPER(COALESCE(t.unit, '')) LIKE '%GPM%'`,
-    [devs],
-  );
-  tallDeleted = tallRes.rowCount ?? 0;
+    values: [devs],
+  });
 
   const rawRes = await client.query(
     `DELETE FROM ingest_raw_record r
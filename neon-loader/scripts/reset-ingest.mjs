@@ -38,10 +38,14 @@ await withTransaction(pool, async (client) => {
      RESTART IDENTITY CASCADE`,
   );
   await client.query("TRUNCATE TABLE ingest_checkpoint RESTART IDENTITY");
+  // Rebuilt by the re-ingest; keeping them would double their counts.
+  await client.query(
+    "TRUNCATE TABLE metric_catalog, header_variant, utility_measurement_hourly, utility_measurement_daily RESTART IDENTITY",
+  );
 });
 await pool.end();
 
-console.log("reset: AcquiSuite ingest + checkpoint tables truncated (tall, raw, files, checkpoint).");
+console.log("reset: AcquiSuite ingest + checkpoint tables truncated (tall, raw, files, checkpoint, metric_catalog, header_variant, rollups).");
 
 if (doIngest) {
   await new Promise((resolve, reject) => {
@@ -0,0 +1,20 @@
+-- AcquiSuite health from status/ uploads (src/status.js): one row per status file.
+CREATE TABLE IF NOT EXISTS device_status (
+  id BIGSERIAL PRIMARY KEY,
+  r2_key TEXT NOT NULL,
+  etag TEXT NOT NULL,
+  serial TEXT NOT NULL,
+  reported_at TIMESTAMPTZ NOT NULL,
+  loopname TEXT,
+  uptime_seconds BIGINT,
+  firmware_version TEXT,
+  modbus_devices JSONB NOT NULL DEFAULT '[]'::jsonb,
+  signal_quality DOUBLE PRECISION,
+  error_counters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  fields JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ingested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (r2_key, etag)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_status_serial_reported_at
+  ON device_status (serial, reported_at DESC);
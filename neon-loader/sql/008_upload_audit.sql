@@ -0,0 +1,27 @@
+-- Worker audit objects from audit/<yyyy>/<mm>/<dd>/ (src/audit.js): one row per device request.
+-- Each request is its own object, written once, so (audit_key, line_no) identifies it.
+CREATE TABLE IF NOT EXISTS upload_audit (
+  id BIGSERIAL PRIMARY KEY,
+  audit_key TEXT NOT NULL,
+  line_no INTEGER NOT NULL,
+  received_at TIMESTAMPTZ NOT NULL,
+  serial TEXT,
+  outcome TEXT,
+  http_status INTEGER,
+  reason TEXT,
+  mode TEXT,
+  key_id TEXT,
+  client_ip TEXT,
+  bytes BIGINT,
+  parts JSONB NOT NULL DEFAULT '[]'::jsonb,
+  header_status TEXT,
+  record JSONB NOT NULL,
+  loaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (audit_key, line_no)
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_audit_received_at
+  ON upload_audit (received_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_upload_audit_serial_received_at
+  ON upload_audit (serial, received_at DESC);
@@ -0,0 +1,10 @@
+-- Multi-site: which site (src/sites.js) a file and its measurements came from. Existing rows
+-- belong to the original single site.
+ALTER TABLE ingest_raw_file
+  ADD COLUMN IF NOT EXISTS site_id TEXT NOT NULL DEFAULT 'default';
+
+ALTER TABLE utility_measurement_tall
+  ADD COLUMN IF NOT EXISTS site_id TEXT NOT NULL DEFAULT 'default';
+
+CREATE INDEX IF NOT EXISTS idx_utility_measurement_tall_site_device_ts
+  ON utility_measurement_tall (site_id, device_address, record_ts DESC);
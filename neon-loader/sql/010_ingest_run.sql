@@ -0,0 +1,48 @@
+-- One row per loader run (src/ingest-run.js): parameters, counts and outcome, for Grafana and
+-- for tracing a checkpoint back to the run that loaded it.
+CREATE TABLE IF NOT EXISTS ingest_run (
+  run_id TEXT PRIMARY KEY,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  status TEXT NOT NULL DEFAULT 'running',
+  error_text TEXT,
+  site_id TEXT NOT NULL DEFAULT 'default',
+  mode TEXT,
+  prefix TEXT,
+  batch_limit INTEGER,
+  dry_run BOOLEAN NOT NULL DEFAULT FALSE,
+  strict_schema BOOLEAN NOT NULL DEFAULT FALSE,
+  concurrency INTEGER,
+  git_sha TEXT,
+  listed INTEGER NOT NULL DEFAULT 0,
+  skipped INTEGER NOT NULL DEFAULT 0,
+  succeeded INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  status_listed INTEGER NOT NULL DEFAULT 0,
+  status_succeeded INTEGER NOT NULL DEFAULT 0,
+  status_failed INTEGER NOT NULL DEFAULT 0,
+  acked INTEGER NOT NULL DEFAULT 0,
+  raw_rows BIGINT NOT NULL DEFAULT 0,
+  tall_rows BIGINT NOT NULL DEFAULT 0,
+  bytes_downloaded BIGINT NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_run_started_at
+  ON ingest_run (started_at DESC);
+
+-- Checkpoints written before the ledger existed get a placeholder run (run ids were Date.now()).
+INSERT INTO ingest_run (run_id, started_at, finished_at, status)
+SELECT c.run_id,
+       MIN(c.processed_at),
+       MAX(c.processed_at),
+       'legacy'
+FROM ingest_checkpoint c
+GROUP BY c.run_id
+ON CONFLICT (run_id) DO NOTHING;
+
+ALTER TABLE ingest_checkpoint
+  ADD CONSTRAINT fk_ingest_checkpoint_run
+  FOREIGN KEY (run_id) REFERENCES ingest_run (run_id);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_checkpoint_run_id
+  ON ingest_checkpoint (run_id);
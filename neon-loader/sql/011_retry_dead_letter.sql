@@ -0,0 +1,17 @@
+-- Failure tracking per (r2_key, etag) (src/retry.js): every run that tries a file counts an
+-- attempt; permanent failures count separately, and DEAD_LETTER_AFTER of them set
+-- parse_status = 'dead_letter', which the loader skips until `npm run dead-letter -- replay`.
+ALTER TABLE ingest_raw_file
+  ADD COLUMN IF NOT EXISTS attempt_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS permanent_failures INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS error_class TEXT,
+  ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_ingest_raw_file_dead_letter
+  ON ingest_raw_file (r2_key, etag)
+  WHERE parse_status = 'dead_letter';
+
+ALTER TABLE ingest_run
+  ADD COLUMN IF NOT EXISTS retries INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS dead_lettered INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS dead_letter_skipped INTEGER NOT NULL DEFAULT 0;
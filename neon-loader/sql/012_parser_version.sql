@@ -0,0 +1,8 @@
+-- PARSER_VERSION (src/parse.js) that produced a file's raw and tall rows; NULL = parsed before
+-- versioning. `npm run reprocess` re-derives files below the current version.
+ALTER TABLE ingest_raw_file
+  ADD COLUMN IF NOT EXISTS parser_version INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_ingest_raw_file_parser_version
+  ON ingest_raw_file (parser_version, id)
+  WHERE parse_status = 'parsed';
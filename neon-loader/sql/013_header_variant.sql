@@ -0,0 +1,18 @@
+-- Distinct header rows seen per device and schema (src/header-variants.js): fingerprint is the
+-- SHA-256 of the normalized headers, first_seen / last_seen the file times, file_count the files
+-- loaded with it. `npm run schema-drift` compares them with schema-column-orders.json and label-map.json.
+CREATE TABLE IF NOT EXISTS header_variant (
+  id BIGSERIAL PRIMARY KEY,
+  site_id TEXT NOT NULL DEFAULT 'default',
+  device_address TEXT NOT NULL,
+  schema_id TEXT NOT NULL,
+  fingerprint TEXT NOT NULL,
+  headers JSONB NOT NULL,
+  first_seen TIMESTAMPTZ NOT NULL,
+  last_seen TIMESTAMPTZ NOT NULL,
+  file_count INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (site_id, device_address, schema_id, fingerprint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_header_variant_first_seen
+  ON header_variant (first_seen DESC);
@@ -0,0 +1,38 @@
+-- Which metric_key / unit / source_system / physical_group combinations each device produces
+-- (maintained by insertTallRows in src/db.js; `npm run metric-catalog` prints it). unit is ''
+-- where the tall rows have NULL, so it can be part of the key. source_header is the last header
+-- text that produced the metric (NULL for rows backfilled below).
+CREATE TABLE IF NOT EXISTS metric_catalog (
+  site_id TEXT NOT NULL DEFAULT 'default',
+  device_address TEXT NOT NULL,
+  metric_key TEXT NOT NULL,
+  unit TEXT NOT NULL DEFAULT '',
+  source_system TEXT NOT NULL,
+  physical_group TEXT NOT NULL,
+  source_header TEXT,
+  first_seen TIMESTAMPTZ NOT NULL,
+  last_seen TIMESTAMPTZ NOT NULL,
+  row_count BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (site_id, device_address, metric_key, unit, source_system, physical_group)
+);
+
+INSERT INTO metric_catalog (
+  site_id, device_address, metric_key, unit, source_system, physical_group, first_seen, last_seen, row_count
+)
+SELECT site_id,
+       COALESCE(device_address, 'unknown'),
+       metric_key,
+       COALESCE(unit, ''),
+       COALESCE(source_system, 'unknown'),
+       COALESCE(physical_group, 'unknown'),
+       MIN(record_ts),
+       MAX(record_ts),
+       COUNT(*)
+FROM utility_measurement_tall
+GROUP BY 1, 2, 3, 4, 5, 6
+ON CONFLICT DO NOTHING;
+
+-- Reprocessing deletes a file's tall rows (and takes them off the catalog counts) by source file.
+CREATE INDEX IF NOT EXISTS idx_utility_measurement_tall_source_file_id
+  ON utility_measurement_tall (source_file_id);
@@ -0,0 +1,82 @@
+-- Hourly and daily (UTC) rollups of utility_measurement_tall per device and metric, refreshed by
+-- the loader for the hours each file touches (src/rollups.js). Keyed like metric_catalog, since
+-- one device can report the same metric_key for several source systems (e.g. solar + hydro).
+CREATE TABLE IF NOT EXISTS utility_measurement_hourly (
+  site_id TEXT NOT NULL DEFAULT 'default',
+  device_address TEXT NOT NULL,
+  metric_key TEXT NOT NULL,
+  unit TEXT NOT NULL DEFAULT '',
+  source_system TEXT NOT NULL,
+  physical_group TEXT NOT NULL,
+  bucket TIMESTAMPTZ NOT NULL,
+  min_value DOUBLE PRECISION NOT NULL,
+  max_value DOUBLE PRECISION NOT NULL,
+  sum_value DOUBLE PRECISION NOT NULL,
+  sample_count INTEGER NOT NULL,
+  avg_value DOUBLE PRECISION GENERATED ALWAYS AS (sum_value / sample_count) STORED,
+  last_value DOUBLE PRECISION NOT NULL,
+  last_ts TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (site_id, device_address, metric_key, unit, source_system, physical_group, bucket)
+);
+
+CREATE INDEX IF NOT EXISTS idx_utility_measurement_hourly_bucket
+  ON utility_measurement_hourly (bucket);
+
+CREATE TABLE IF NOT EXISTS utility_measurement_daily (
+  site_id TEXT NOT NULL DEFAULT 'default',
+  device_address TEXT NOT NULL,
+  metric_key TEXT NOT NULL,
+  unit TEXT NOT NULL DEFAULT '',
+  source_system TEXT NOT NULL,
+  physical_group TEXT NOT NULL,
+  bucket DATE NOT NULL,
+  min_value DOUBLE PRECISION NOT NULL,
+  max_value DOUBLE PRECISION NOT NULL,
+  sum_value DOUBLE PRECISION NOT NULL,
+  sample_count INTEGER NOT NULL,
+  avg_value DOUBLE PRECISION GENERATED ALWAYS AS (sum_value / sample_count) STORED,
+  last_value DOUBLE PRECISION NOT NULL,
+  last_ts TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (site_id, device_address, metric_key, unit, source_system, physical_group, bucket)
+);
+
+CREATE INDEX IF NOT EXISTS idx_utility_measurement_daily_bucket
+  ON utility_measurement_daily (bucket);
+
+-- Existing history, once (`npm run rollups -- rebuild` redoes a date range later).
+INSERT INTO utility_measurement_hourly (
+  site_id, device_address, metric_key, unit, source_system, physical_group, bucket,
+  min_value, max_value, sum_value, sample_count, last_value, last_ts
+)
+SELECT site_id,
+       COALESCE(device_address, 'unknown'),
+       metric_key,
+       COALESCE(unit, ''),
+       COALESCE(source_system, 'unknown'),
+       COALESCE(physical_group, 'unknown'),
+       date_trunc('hour', record_ts),
+       MIN(metric_value),
+       MAX(metric_value),
+       SUM(metric_value),
+       COUNT(*),
+       (ARRAY_AGG(metric_value ORDER BY record_ts DESC, id DESC))[1],
+       MAX(record_ts)
+FROM utility_measurement_tall
+GROUP BY 1, 2, 3, 4, 5, 6, 7
+ON CONFLICT DO NOTHING;
+
+INSERT INTO utility_measurement_daily (
+  site_id, device_address, metric_key, unit, source_system, physical_group, bucket,
+  min_value, max_value, sum_value, sample_count, last_value, last_ts
+)
+SELECT site_id, device_address, metric_key, unit, source_system, physical_group,
+       (bucket AT TIME ZONE 'UTC')::date,
+       MIN(min_value),
+       MAX(max_value),
+       SUM(sum_value),
+       SUM(sample_count),
+       (ARRAY_AGG(last_value ORDER BY last_ts DESC))[1],
+       MAX(last_ts)
+FROM utility_measurement_hourly
+GROUP BY 1, 2, 3, 4, 5, 6, 7
+ON CONFLICT DO NOTHING;
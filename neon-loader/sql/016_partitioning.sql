@@ -0,0 +1,151 @@
+-- Monthly (UTC) range partitions: utility_measurement_tall by record_ts, ingest_raw_record by the
+-- new ingested_at (backfilled from its file). Each table also gets a DEFAULT partition for rows
+-- outside the monthly ones (e.g. a device clock in 1970). `npm run partitions -- ensure` creates
+-- future months and `-- retention` archives / drops old raw-record months (src/partitions.js).
+--
+-- Existing rows are copied into the new tables in this migration's transaction, so it holds locks
+-- on both tables for as long as the copy takes.
+
+-- Creates <parent>_pYYYY_MM for `month` (moving any matching rows out of <parent>_default first).
+-- Returns false if it already exists.
+CREATE OR REPLACE FUNCTION ensure_month_partition(parent TEXT, month DATE)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $fn$
+DECLARE
+  part TEXT := parent || '_p' || to_char(month, 'YYYY_MM');
+  lo TIMESTAMPTZ := date_trunc('month', month::timestamp) AT TIME ZONE 'UTC';
+  hi TIMESTAMPTZ := (date_trunc('month', month::timestamp) + INTERVAL '1 month') AT TIME ZONE 'UTC';
+  partkey TEXT := substring(pg_get_partkeydef(parent::regclass) FROM '\((\w+)\)');
+BEGIN
+  IF to_regclass(part) IS NOT NULL THEN
+    RETURN FALSE;
+  END IF;
+  EXECUTE format('CREATE TABLE %I (LIKE %I INCLUDING DEFAULTS INCLUDING CONSTRAINTS)', part, parent);
+  IF to_regclass(parent || '_default') IS NOT NULL THEN
+    EXECUTE format(
+      'WITH moved AS (DELETE FROM %I WHERE %I >= %L AND %I < %L RETURNING *) INSERT INTO %I SELECT * FROM moved',
+      parent || '_default', partkey, lo, partkey, hi, part
+    );
+  END IF;
+  EXECUTE format('ALTER TABLE %I ATTACH PARTITION %I FOR VALUES FROM (%L) TO (%L)', parent, part, lo, hi);
+  RETURN TRUE;
+END;
+$fn$;
+
+ALTER TABLE utility_measurement_tall RENAME TO utility_measurement_tall_unpartitioned;
+ALTER TABLE utility_measurement_tall_unpartitioned
+  RENAME CONSTRAINT utility_measurement_tall_pkey TO utility_measurement_tall_unpartitioned_pkey;
+ALTER TABLE ingest_raw_record RENAME TO ingest_raw_record_unpartitioned;
+ALTER TABLE ingest_raw_record_unpartitioned
+  RENAME CONSTRAINT ingest_raw_record_pkey TO ingest_raw_record_unpartitioned_pkey;
+
+CREATE TABLE utility_measurement_tall (
+  id BIGINT NOT NULL DEFAULT nextval('utility_measurement_tall_id_seq'),
+  serial TEXT NOT NULL,
+  record_ts TIMESTAMPTZ NOT NULL,
+  metric_key TEXT NOT NULL,
+  metric_value DOUBLE PRECISION NOT NULL,
+  unit TEXT,
+  quality TEXT,
+  source_file_id BIGINT NOT NULL REFERENCES ingest_raw_file(id) ON DELETE CASCADE,
+  source_system TEXT,
+  error_flag BOOLEAN NOT NULL DEFAULT FALSE,
+  low_alarm BOOLEAN NOT NULL DEFAULT FALSE,
+  high_alarm BOOLEAN NOT NULL DEFAULT FALSE,
+  device_address TEXT,
+  physical_group TEXT,
+  site_id TEXT NOT NULL DEFAULT 'default',
+  PRIMARY KEY (id, record_ts)
+) PARTITION BY RANGE (record_ts);
+
+CREATE TABLE ingest_raw_record (
+  id BIGINT NOT NULL DEFAULT nextval('ingest_raw_record_id_seq'),
+  file_id BIGINT NOT NULL REFERENCES ingest_raw_file(id) ON DELETE CASCADE,
+  line_no INTEGER NOT NULL,
+  raw_text TEXT NOT NULL,
+  parsed_json JSONB NOT NULL,
+  label_code TEXT NOT NULL,
+  label_name TEXT NOT NULL,
+  record_ts TIMESTAMPTZ,
+  ingested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (id, ingested_at)
+) PARTITION BY RANGE (ingested_at);
+
+-- Months from the oldest row through three months ahead. Measurements dated more than a year
+-- before the first ingest (bad device clocks) go to the DEFAULT partition instead.
+SELECT ensure_month_partition('utility_measurement_tall', m::date)
+FROM generate_series(
+  date_trunc('month', COALESCE(GREATEST(
+    (SELECT MIN(record_ts) FROM utility_measurement_tall_unpartitioned),
+    (SELECT MIN(ingested_at) FROM ingest_raw_file) - INTERVAL '1 year'
+  ), NOW()) AT TIME ZONE 'UTC'),
+  date_trunc('month', NOW() AT TIME ZONE 'UTC') + INTERVAL '3 months',
+  INTERVAL '1 month'
+) AS m;
+
+SELECT ensure_month_partition('ingest_raw_record', m::date)
+FROM generate_series(
+  date_trunc('month', COALESCE((
+    SELECT MIN(f.ingested_at)
+    FROM ingest_raw_file f
+    WHERE EXISTS (SELECT 1 FROM ingest_raw_record_unpartitioned r WHERE r.file_id = f.id)
+  ), NOW()) AT TIME ZONE 'UTC'),
+  date_trunc('month', NOW() AT TIME ZONE 'UTC') + INTERVAL '3 months',
+  INTERVAL '1 month'
+) AS m;
+
+CREATE TABLE utility_measurement_tall_default PARTITION OF utility_measurement_tall DEFAULT;
+CREATE TABLE ingest_raw_record_default PARTITION OF ingest_raw_record DEFAULT;
+
+INSERT INTO utility_measurement_tall (
+  id, serial, record_ts, metric_key, metric_value, unit, quality, source_file_id, source_system,
+  error_flag, low_alarm, high_alarm, device_address, physical_group, site_id
+)
+SELECT id, serial, record_ts, metric_key, metric_value, unit, quality, source_file_id, source_system,
+  error_flag, low_alarm, high_alarm, device_address, physical_group, site_id
+FROM utility_measurement_tall_unpartitioned;
+
+INSERT INTO ingest_raw_record (
+  id, file_id, line_no, raw_text, parsed_json, label_code, label_name, record_ts, ingested_at
+)
+SELECT r.id, r.file_id, r.line_no, r.raw_text, r.parsed_json, r.label_code, r.label_name, r.record_ts, f.ingested_at
+FROM ingest_raw_record_unpartitioned r
+JOIN ingest_raw_file f ON f.id = r.file_id;
+
+-- Keep the id sequences when the old tables go.
+ALTER SEQUENCE utility_measurement_tall_id_seq OWNED BY utility_measurement_tall.id;
+ALTER SEQUENCE ingest_raw_record_id_seq OWNED BY ingest_raw_record.id;
+DROP TABLE utility_measurement_tall_unpartitioned;
+DROP TABLE ingest_raw_record_unpartitioned;
+
+-- Same indexes as before (003, 009, 014), now on every partition.
+CREATE INDEX IF NOT EXISTS idx_ingest_raw_record_file_id
+  ON ingest_raw_record (file_id);
+
+CREATE INDEX IF NOT EXISTS idx_ingest_raw_record_record_ts
+  ON ingest_raw_record (record_ts);
+
+CREATE INDEX IF NOT EXISTS idx_utility_measurement_tall_record_ts
+  ON utility_measurement_tall (record_ts);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_utility_measurement_tall_idempotent
+  ON utility_measurement_tall (serial, record_ts, metric_key, source_file_id);
+
+CREATE INDEX IF NOT EXISTS idx_utility_measurement_tall_site_device_ts
+  ON utility_measurement_tall (site_id, device_address, record_ts DESC);
+
+CREATE INDEX IF NOT EXISTS idx_utility_measurement_tall_source_file_id
+  ON utility_measurement_tall (source_file_id);
+
+-- Raw-record months removed by the retention policy, and where their archive went.
+CREATE TABLE IF NOT EXISTS raw_record_archive (
+  partition_name TEXT PRIMARY KEY,
+  month DATE NOT NULL,
+  action TEXT NOT NULL,
+  bucket TEXT,
+  r2_key TEXT,
+  row_count BIGINT,
+  bytes BIGINT,
+  archived_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,5 @@
+-- Normalized headers of a file's structured records, in column order (parseGzipLog's `headers`);
+-- NULL for loose files and files loaded before this column. `npm run reprocess -- --source raw`
+-- rebuilds tall rows in this order, since parsed_json (JSONB) does not keep it.
+ALTER TABLE ingest_raw_file
+  ADD COLUMN IF NOT EXISTS column_headers JSONB;
@@ -0,0 +1,145 @@
+/**
+ * Loads the Worker's request audit into `upload_audit`: one JSON object per device request,
+ * rejected ones included, under `audit/<yyyy>/<mm>/<dd>/`. Safe to re-run: objects already loaded
+ * are skipped without being downloaded again, so today can be loaded again later.
+ *
+ *   node src/audit.js [from yyyy-mm-dd] [to yyyy-mm-dd]   (default: yesterday and today, UTC)
+ *
+ * Env: NEON_DATABASE_URL, CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_R2_ACCESS_KEY_ID,
+ * CLOUDFLARE_R2_SECRET_ACCESS_KEY, R2_BUCKET_NAME, INGEST_CONCURRENCY (parallel object reads).
+ */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createDbPoolFromEnv, insertAuditRecords, withTransaction } from "./db.js";
+import { concurrencyFromEnv, runPool } from "./pool.js";
+import { createR2ClientFromEnv, getR2ObjectBytes, listR2KeyPages } from "./r2.js";
+
+export const AUDIT_PREFIX = "audit/";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const __filename = fileURLToPath(import.meta.url);
+
+function isMainModule() {
+  const a = process.argv[1];
+  if (!a) return false;
+  try {
+    return path.resolve(a) === __filename;
+  } catch {
+    return false;
+  }
+}
+
+/** yyyy-mm-dd for every UTC day from `from` to `to`, inclusive. */
+export function auditDays(from, to) {
+  const start = Date.parse(`${from}T00:00:00Z`);
+  const end = Date.parse(`${to}T00:00:00Z`);
+  if (!DATE_RE.test(from) || !DATE_RE.test(to) || Number.isNaN(start) || Number.isNaN(end)) {
+    throw new Error(`Expected yyyy-mm-dd dates, got ${from} ${to}`);
+  }
+  const days = [];
+  for (let t = start; t <= end; t += DAY_MS) days.push(new Date(t).toISOString().slice(0, 10));
+  return days;
+}
+
+/**
+ * Records of one object, one per line (a per-request object is a single line). Lines without a
+ * usable `ts` (or not JSON at all) are counted as bad and left out; line numbers stay those of the
+ * object so a re-run lines up with what was loaded before.
+ */
+export function parseAuditLines(text) {
+  const rows = [];
+  let bad = 0;
+  String(text || "")
+    .split("\n")
+    .forEach((line, idx) => {
+      if (!line.trim()) return;
+      try {
+        const record = JSON.parse(line);
+        if (!record || Number.isNaN(Date.parse(record.ts))) throw new Error("no ts");
+        rows.push({ lineNo: idx + 1, record });
+      } catch {
+        bad += 1;
+      }
+    });
+  return { rows, bad };
+}
+
+async function readAuditObject(r2, bucket, key) {
+  try {
+    return Buffer.from(await getR2ObjectBytes(r2, { bucket, key })).toString("utf8");
+  } catch (error) {
+    if (error?.name === "NoSuchKey" || error?.$metadata?.httpStatusCode === 404) return null;
+    throw error;
+  }
+}
+
+/** Object keys under `prefix` already in upload_audit (their received_at is on `day`). */
+async function loadedAuditKeys(db, day, prefix) {
+  const resp = await db.query(
+    `SELECT DISTINCT audit_key
+    FROM upload_audit
+    WHERE received_at >= $1::date::timestamp AT TIME ZONE 'UTC'
+      AND received_at < ($1::date + 1)::timestamp AT TIME ZONE 'UTC'
+      AND audit_key LIKE $2`,
+    [day, `${prefix}%`],
+  );
+  return new Set(resp.rows.map((r) => r.audit_key));
+}
+
+/**
+ * Loads the per-request objects of one UTC day not loaded yet, a listing page at a time (one
+ * transaction per page).
+ *
+ * @returns {Promise<{ day: string, objects: number, skipped: number, lines: number, bad: number, inserted: number }>}
+ */
+export async function loadAuditDay({ r2, db, bucket, day, concurrency = 4 }) {
+  const out = { day, objects: 0, skipped: 0, lines: 0, bad: 0, inserted: 0 };
+  const prefix = `${AUDIT_PREFIX}${day.replaceAll("-", "/")}/`;
+  const loaded = await loadedAuditKeys(db, day, prefix);
+  for await (const keys of listR2KeyPages(r2, { bucket, prefix })) {
+    const fresh = keys.filter((k) => !loaded.has(k));
+    out.objects += keys.length;
+    out.skipped += keys.length - fresh.length;
+    const rows = [];
+    await runPool(fresh, concurrency, async (key) => {
+      const { rows: records, bad } = parseAuditLines(await readAuditObject(r2, bucket, key));
+      out.bad += bad;
+      for (const r of records) rows.push({ auditKey: key, ...r });
+    });
+    out.lines += rows.length;
+    if (rows.length) out.inserted += await withTransaction(db, (client) => insertAuditRecords(client, rows));
+  }
+  return out;
+}
+
+async function main() {
+  const today = new Date().toISOString().slice(0, 10);
+  const yesterday = new Date(Date.now() - DAY_MS).toISOString().slice(0, 10);
+  const [from = yesterday, to = from === yesterday ? today : from] = process.argv.slice(2);
+  const bucket = process.env.R2_BUCKET_NAME;
+  if (!bucket) throw new Error("Missing required env var: R2_BUCKET_NAME");
+  const r2 = createR2ClientFromEnv();
+  const db = createDbPoolFromEnv();
+  try {
+    let inserted = 0;
+    for (const day of auditDays(from, to)) {
+      const out = await loadAuditDay({ r2, db, bucket, day, concurrency: concurrencyFromEnv() });
+      inserted += out.inserted;
+      console.log(
+        `audit_day day=${day} objects=${out.objects} skipped=${out.skipped} lines=${out.lines} bad=${out.bad} inserted=${out.inserted}`,
+      );
+    }
+    console.log(`audit_complete from=${from} to=${to} inserted=${inserted}`);
+  } finally {
+    await db.end();
+  }
+}
+
+if (isMainModule()) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
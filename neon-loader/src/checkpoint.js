@@ -27,6 +27,26 @@ function checkpointLookupChunkSize() {
  * @returns {Promise<Set<string>>} values from {@link checkpointPairKey}
  */
 export async function fetchProcessedPairSet(pool, pairs) {
+  return fetchPairSet(pool, pairs, "SELECT c.r2_key, c.etag FROM ingest_checkpoint c WHERE");
+}
+
+/**
+ * Which pairs are parked as `dead_letter` in `ingest_raw_file` (see recordFileFailure in db.js);
+ * run.js skips them until they are replayed.
+ *
+ * @param {import("pg").Pool} pool
+ * @param {Array<{ r2Key: string, etag: string }>} pairs
+ * @returns {Promise<Set<string>>} values from {@link checkpointPairKey}
+ */
+export async function fetchDeadLetterPairSet(pool, pairs) {
+  return fetchPairSet(
+    pool,
+    pairs,
+    "SELECT c.r2_key, c.etag FROM ingest_raw_file c WHERE c.parse_status = 'dead_letter' AND",
+  );
+}
+
+async function fetchPairSet(pool, pairs, selectWhere) {
   const set = new Set();
   if (!pairs.length) return set;
 
@@ -42,9 +62,7 @@ export async function fetchProcessedPairSet(pool, pairs) {
     }).join(", ");
 
     const sql = `
-      SELECT c.r2_key, c.etag
-      FROM ingest_checkpoint c
-      WHERE (c.r2_key, c.etag) IN (${placeholders})
+      ${selectWhere} (c.r2_key, c.etag) IN (${placeholders})
     `;
     const resp = await pool.query(sql, values);
     for (const row of resp.rows) {
@@ -1,4 +1,9 @@
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
 import { Pool } from "pg";
+import { from as copyFrom } from "pg-copy-streams";
+import { PARSER_VERSION } from "./parse.js";
+import { DEFAULT_SITE_ID } from "./sites.js";
 
 /** Rows per INSERT statement; larger = fewer round-trips (default avoids huge queries when raw_text is large). */
 function insertBatchSize() {
@@ -6,18 +11,28 @@ function insertBatchSize() {
   return Number.isFinite(n) && n > 0 ? Math.min(n, 5000) : 250;
 }
 
+/**
+ * How raw and tall rows are written: `copy` (default) streams them into a temp staging table with
+ * COPY FROM STDIN, then moves them over with one INSERT … SELECT; `insert` is the multi-row
+ * INSERT … VALUES path, which `copy` also falls back to if the COPY fails.
+ */
+export function bulkLoadMode() {
+  return process.env.BULK_LOAD_MODE === "insert" ? "insert" : "copy";
+}
+
 function chunk(arr, size) {
   const out = [];
   for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
   return out;
 }
 
-export function createDbPoolFromEnv() {
+/** `max` raises pg's default of 10 clients (e.g. for INGEST_CONCURRENCY). */
+export function createDbPoolFromEnv({ max } = {}) {
   const connectionString = process.env.NEON_DATABASE_URL;
   if (!connectionString) {
     throw new Error("Missing required env var: NEON_DATABASE_URL");
   }
-  return new Pool({ connectionString });
+  return new Pool({ connectionString, ...(max > 10 ? { max } : {}) });
 }
 
 export async function withTransaction(pool, fn) {
@@ -39,11 +54,17 @@ export async function insertRawFile(client, row) {
   const sql = `
     INSERT INTO ingest_raw_file (
       r2_key, etag, serial, filetime, loopname, source, parse_status, error_text, ingested_at,
-      device_address, physical_group, schema_id
+      device_address, physical_group, schema_id, site_id, attempt_count, last_attempt_at, parser_version,
+      column_headers
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), $9, $10, $11)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), $9, $10, $11, $12, 1, NOW(), $13, $14::jsonb)
     ON CONFLICT (r2_key, etag)
     DO UPDATE SET
+      site_id = EXCLUDED.site_id,
+      parser_version = EXCLUDED.parser_version,
+      attempt_count = ingest_raw_file.attempt_count + 1,
+      last_attempt_at = NOW(),
+      error_class = NULL,
       serial = EXCLUDED.serial,
       filetime = EXCLUDED.filetime,
       loopname = EXCLUDED.loopname,
@@ -52,7 +73,8 @@ export async function insertRawFile(client, row) {
       error_text = EXCLUDED.error_text,
       device_address = EXCLUDED.device_address,
       physical_group = EXCLUDED.physical_group,
-      schema_id = EXCLUDED.schema_id
+      schema_id = EXCLUDED.schema_id,
+      column_headers = EXCLUDED.column_headers
     RETURNING id
   `;
   const values = [
@@ -67,42 +89,190 @@ export async function insertRawFile(client, row) {
     row.deviceAddress || null,
     row.physicalGroup || null,
     row.schemaId || null,
+    row.siteId || DEFAULT_SITE_ID,
+    row.parserVersion ?? PARSER_VERSION,
+    row.columnHeaders?.length ? JSON.stringify(row.columnHeaders) : null,
   ];
   const resp = await client.query(sql, values);
   return resp.rows[0].id;
 }
 
-export async function insertRawRecords(client, fileId, records, label) {
-  if (!records.length) return;
-  const batchRows = insertBatchSize();
-  const lc = label.labelCode;
-  const ln = label.labelName;
-  for (const batch of chunk(records, batchRows)) {
+/**
+ * The error row for a file whose attempts in this run all failed: bumps `attempt_count`, and for
+ * a permanent error `permanent_failures`; once that reaches `deadLetterAfter` the file becomes
+ * `dead_letter` (run.js then skips it). Returns the resulting parse_status and counters.
+ *
+ * @returns {Promise<{ parseStatus: string, attemptCount: number, permanentFailures: number }>}
+ */
+export async function recordFileFailure(client, row, { errorClass, deadLetterAfter }) {
+  const permanent = errorClass === "permanent" ? 1 : 0;
+  const resp = await client.query(
+    `INSERT INTO ingest_raw_file (
+      r2_key, etag, serial, filetime, loopname, source, parse_status, error_text, ingested_at,
+      device_address, physical_group, schema_id, site_id, attempt_count, last_attempt_at,
+      error_class, permanent_failures
+    )
+    VALUES ($1, $2, $3, $4, $5, $6,
+      CASE WHEN $10::int >= $11::int THEN 'dead_letter' ELSE 'error' END,
+      $7, NOW(), $8, $9, $12, $13, 1, NOW(), $14, $10::int)
+    ON CONFLICT (r2_key, etag)
+    DO UPDATE SET
+      site_id = EXCLUDED.site_id,
+      serial = EXCLUDED.serial,
+      filetime = EXCLUDED.filetime,
+      error_text = EXCLUDED.error_text,
+      error_class = EXCLUDED.error_class,
+      device_address = EXCLUDED.device_address,
+      physical_group = EXCLUDED.physical_group,
+      schema_id = EXCLUDED.schema_id,
+      attempt_count = ingest_raw_file.attempt_count + 1,
+      last_attempt_at = NOW(),
+      permanent_failures = ingest_raw_file.permanent_failures + $10::int,
+      parse_status = CASE
+        WHEN ingest_raw_file.permanent_failures + $10::int >= $11::int THEN 'dead_letter'
+        ELSE 'error'
+      END
+    RETURNING parse_status, attempt_count, permanent_failures`,
+    [
+      row.r2Key,
+      row.etag,
+      row.serial || null,
+      row.filetime || null,
+      row.loopname || null,
+      row.source || "acquisuite",
+      row.errorText || null,
+      row.deviceAddress || null,
+      row.physicalGroup || null,
+      permanent,
+      deadLetterAfter,
+      row.schemaId || null,
+      row.siteId || DEFAULT_SITE_ID,
+      errorClass,
+    ],
+  );
+  const r = resp.rows[0];
+  return { parseStatus: r.parse_status, attemptCount: r.attempt_count, permanentFailures: r.permanent_failures };
+}
+
+/** One parsed status file (see parseStatusText in status.js); re-runs of the same object are no-ops. */
+export async function insertDeviceStatus(client, row) {
+  await client.query(
+    `INSERT INTO device_status (
+      r2_key, etag, serial, reported_at, loopname, uptime_seconds, firmware_version,
+      modbus_devices, signal_quality, error_counters, fields
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8::jsonb, $9, $10::jsonb, $11::jsonb)
+    ON CONFLICT (r2_key, etag)
+    DO NOTHING`,
+    [
+      row.r2Key,
+      row.etag,
+      row.serial,
+      row.reportedAt,
+      row.loopname || null,
+      row.uptimeSeconds ?? null,
+      row.firmwareVersion || null,
+      JSON.stringify(row.modbusDevices || []),
+      row.signalQuality ?? null,
+      JSON.stringify(row.errorCounters || {}),
+      JSON.stringify(row.fields || {}),
+    ],
+  );
+}
+
+/**
+ * `rows`: `{ auditKey, lineNo, record }`, keyed by the R2 object and line they came from. Returns
+ * how many were new; ones already loaded are skipped.
+ */
+export async function insertAuditRecords(client, rows) {
+  let inserted = 0;
+  for (const batch of chunk(rows, insertBatchSize())) {
     let p = 1;
     const placeholders = [];
     const values = [];
-    for (const record of batch) {
+    for (const { auditKey, lineNo, record: r } of batch) {
       placeholders.push(
-        `($${p}, $${p + 1}, $${p + 2}, $${p + 3}::jsonb, $${p + 4}, $${p + 5}, $${p + 6})`,
+        `($${p}, $${p + 1}, $${p + 2}, $${p + 3}, $${p + 4}, $${p + 5}, $${p + 6}, $${p + 7}, $${p + 8}, $${p + 9}, $${p + 10}, $${p + 11}::jsonb, $${p + 12}, $${p + 13}::jsonb)`,
       );
-      p += 7;
+      p += 14;
       values.push(
-        fileId,
-        record.lineNo,
-        record.rawText,
-        JSON.stringify(record.parsedJson || {}),
-        lc,
-        ln,
-        record.recordTs,
+        auditKey,
+        lineNo,
+        r.ts,
+        r.serial ?? null,
+        r.outcome ?? null,
+        r.status ?? null,
+        r.reason ?? null,
+        r.mode ?? null,
+        r.key_id ?? null,
+        r.ip ?? null,
+        r.bytes ?? null,
+        JSON.stringify(r.parts || []),
+        r.header_status ?? null,
+        JSON.stringify(r),
       );
     }
-    await client.query(
-      `INSERT INTO ingest_raw_record (
-        file_id, line_no, raw_text, parsed_json, label_code, label_name, record_ts
-      ) VALUES ${placeholders.join(", ")}`,
+    const res = await client.query(
+      `INSERT INTO upload_audit (
+        audit_key, line_no, received_at, serial, outcome, http_status, reason, mode, key_id,
+        client_ip, bytes, parts, header_status, record
+      ) VALUES ${placeholders.join(", ")}
+      ON CONFLICT (audit_key, line_no)
+      DO NOTHING`,
       values,
     );
+    inserted += res.rowCount || 0;
   }
+  return inserted;
+}
+
+const RAW_RECORD_COLUMNS = [
+  ["file_id", "BIGINT"],
+  ["line_no", "INTEGER"],
+  ["raw_text", "TEXT"],
+  ["parsed_json", "JSONB"],
+  ["label_code", "TEXT"],
+  ["label_name", "TEXT"],
+  ["record_ts", "TIMESTAMPTZ"],
+];
+
+const TALL_COLUMNS = [
+  ["serial", "TEXT"],
+  ["record_ts", "TIMESTAMPTZ"],
+  ["metric_key", "TEXT"],
+  ["metric_value", "DOUBLE PRECISION"],
+  ["unit", "TEXT"],
+  ["quality", "TEXT"],
+  ["source_file_id", "BIGINT"],
+  ["source_system", "TEXT"],
+  ["error_flag", "BOOLEAN"],
+  ["low_alarm", "BOOLEAN"],
+  ["high_alarm", "BOOLEAN"],
+  ["device_address", "TEXT"],
+  ["physical_group", "TEXT"],
+  ["site_id", "TEXT"],
+];
+
+/**
+ * `ingestedAt` (default: NOW() in the database) places the rows in their raw-record partition;
+ * rows rebuilt for an older file pass its `ingest_raw_file.ingested_at` so they stay in that
+ * file's month (and its retention).
+ */
+export async function insertRawRecords(client, fileId, records, label, { ingestedAt = null } = {}) {
+  if (!records.length) return;
+  const lc = label.labelCode;
+  const ln = label.labelName;
+  const rows = records.map((record) => [
+    fileId,
+    record.lineNo,
+    record.rawText,
+    JSON.stringify(record.parsedJson || {}),
+    lc,
+    ln,
+    record.recordTs,
+    ...(ingestedAt ? [ingestedAt] : []),
+  ]);
+  const columns = ingestedAt ? [...RAW_RECORD_COLUMNS, ["ingested_at", "TIMESTAMPTZ"]] : RAW_RECORD_COLUMNS;
+  await bulkInsert(client, "ingest_raw_record", columns, rows, "");
 }
 
 /**
@@ -116,46 +286,185 @@ export function physicalGroupForTallRow(row, label) {
   return label.physicalGroup || "unknown";
 }
 
-export async function insertTallRows(client, fileId, serial, tallRows, label) {
+export async function insertTallRows(client, fileId, serial, tallRows, label, siteId = DEFAULT_SITE_ID) {
   const rows = tallRows.filter((row) => row.recordTs);
   if (!rows.length) return;
 
-  const batchRows = insertBatchSize();
   const dev = label.deviceAddress || "unknown";
+  const values = rows.map((row) => [
+    serial,
+    row.recordTs,
+    row.metricKey,
+    row.metricValue,
+    row.unit,
+    row.quality,
+    fileId,
+    row.sourceSystem || "unknown",
+    row.errorFlag || false,
+    row.lowAlarm || false,
+    row.highAlarm || false,
+    dev,
+    physicalGroupForTallRow(row, label),
+    siteId,
+  ]);
+  const headers = new Map();
+  for (const row of rows) {
+    const entry = {
+      metric_key: row.metricKey,
+      unit: row.unit || "",
+      source_system: row.sourceSystem || "unknown",
+      physical_group: physicalGroupForTallRow(row, label),
+      source_header: row.sourceHeader,
+    };
+    const key = [entry.metric_key, entry.unit, entry.source_system, entry.physical_group].join("\u0000");
+    if (row.sourceHeader && !headers.has(key)) headers.set(key, entry);
+  }
+  await bulkInsert(
+    client,
+    "utility_measurement_tall",
+    TALL_COLUMNS,
+    values,
+    "ON CONFLICT (serial, record_ts, metric_key, source_file_id) DO NOTHING",
+    (insert, p) => ({ text: withMetricCatalog(insert, p), values: [JSON.stringify([...headers.values()])] }),
+  );
+}
 
-  for (const batch of chunk(rows, batchRows)) {
+/**
+ * Wraps a tall-row INSERT so the same statement adds the rows it actually stored (its RETURNING
+ * rows, so rows skipped by ON CONFLICT are not counted) to `metric_catalog`: one entry per
+ * device / metric_key / unit / source_system / physical_group, with first / last record_ts and
+ * row count, aggregated in the database. Entries are written in key order so concurrent files of
+ * one device lock them in the same order. `$p` is the file's source headers (JSON array).
+ */
+function withMetricCatalog(insert, p) {
+  return `WITH ins AS (
+      ${insert}
+      RETURNING site_id, device_address, metric_key, COALESCE(unit, '') AS unit, source_system, physical_group, record_ts
+    )
+    INSERT INTO metric_catalog (
+      site_id, device_address, metric_key, unit, source_system, physical_group, source_header, first_seen, last_seen, row_count
+    )
+    SELECT ins.site_id, ins.device_address, ins.metric_key, ins.unit, ins.source_system, ins.physical_group, h.source_header,
+      MIN(ins.record_ts), MAX(ins.record_ts), COUNT(*)
+    FROM ins
+    LEFT JOIN jsonb_to_recordset($${p}::jsonb) AS h(metric_key TEXT, unit TEXT, source_system TEXT, physical_group TEXT, source_header TEXT)
+      ON h.metric_key = ins.metric_key AND h.unit = ins.unit AND h.source_system = ins.source_system
+        AND h.physical_group = ins.physical_group
+    GROUP BY 1, 2, 3, 4, 5, 6, 7
+    ORDER BY 1, 2, 3, 4, 5, 6
+    ON CONFLICT (site_id, device_address, metric_key, unit, source_system, physical_group) DO UPDATE SET
+      source_header = COALESCE(EXCLUDED.source_header, metric_catalog.source_header),
+      first_seen = LEAST(metric_catalog.first_seen, EXCLUDED.first_seen),
+      last_seen = GREATEST(metric_catalog.last_seen, EXCLUDED.last_seen),
+      row_count = metric_catalog.row_count + EXCLUDED.row_count,
+      updated_at = NOW()`;
+}
+
+/**
+ * Deletes a file's tall rows and takes them off the `metric_catalog` counts (entries stay, at 0
+ * rows if nothing produces them any more). Returns the number of rows deleted.
+ */
+export async function deleteTallRowsForFile(client, fileId) {
+  return deleteTallRows(client, { where: "t.source_file_id = $1", values: [fileId] });
+}
+
+/**
+ * Deletes the tall rows `t` matching `where` (`using` adds tables to join) and takes them off the
+ * `metric_catalog` counts in the same statement. Returns the number of rows deleted.
+ *
+ * @param {{ using?: string, where: string, values: unknown[] }} filter
+ */
+export async function deleteTallRows(client, { using = "", where, values }) {
+  const resp = await client.query(
+    `WITH deleted AS (
+      DELETE FROM utility_measurement_tall t ${using}
+      WHERE ${where}
+      RETURNING t.site_id, t.device_address, t.metric_key, t.unit, t.source_system, t.physical_group
+    ), counts AS (
+      SELECT site_id, COALESCE(device_address, 'unknown') AS device_address, metric_key, COALESCE(unit, '') AS unit,
+        COALESCE(source_system, 'unknown') AS source_system, COALESCE(physical_group, 'unknown') AS physical_group,
+        COUNT(*) AS n
+      FROM deleted
+      GROUP BY 1, 2, 3, 4, 5, 6
+    ), catalog AS (
+      UPDATE metric_catalog m
+      SET row_count = GREATEST(m.row_count - c.n, 0), updated_at = NOW()
+      FROM counts c
+      WHERE m.site_id = c.site_id AND m.device_address = c.device_address AND m.metric_key = c.metric_key
+        AND m.unit = c.unit AND m.source_system = c.source_system AND m.physical_group = c.physical_group
+    )
+    SELECT COALESCE(SUM(n), 0)::int AS deleted FROM counts`,
+    values,
+  );
+  return resp.rows[0]?.deleted ?? 0;
+}
+
+/**
+ * Writes `rows` (value arrays in `columns` order) to `table`. The COPY attempt runs under a
+ * savepoint, so a failure there rolls back only the staging work and the VALUES path still
+ * loads the file in the same transaction. `wrap(insert, p)`, if given, turns each INSERT into
+ * the statement actually run (e.g. a CTE over its RETURNING rows); the `values` it returns are
+ * bound from `$p` on.
+ */
+async function bulkInsert(client, table, columns, rows, onConflict, wrap = null) {
+  if (bulkLoadMode() === "copy") {
+    await client.query("SAVEPOINT bulk_copy");
+    try {
+      await copyInsert(client, table, columns, rows, onConflict, wrap);
+      await client.query("RELEASE SAVEPOINT bulk_copy");
+      return;
+    } catch (error) {
+      await client.query("ROLLBACK TO SAVEPOINT bulk_copy");
+      console.warn(`warning bulk_copy_fallback table=${table} rows=${rows.length} message=${error.message}`);
+    }
+  }
+  await valuesInsert(client, table, columns, rows, onConflict, wrap);
+}
+
+/** Runs `insert` (whose own parameters are `$1`…`$(p - 1)`) through `wrap`, if any. */
+function runInsert(client, insert, values, wrap) {
+  if (!wrap) return client.query(insert, values);
+  const wrapped = wrap(insert, values.length + 1);
+  return client.query(wrapped.text, [...values, ...wrapped.values]);
+}
+
+async function valuesInsert(client, table, columns, rows, onConflict, wrap) {
+  const names = columns.map(([name]) => name).join(", ");
+  for (const batch of chunk(rows, insertBatchSize())) {
     let p = 1;
     const placeholders = [];
     const values = [];
     for (const row of batch) {
-      placeholders.push(
-        `($${p}, $${p + 1}, $${p + 2}, $${p + 3}, $${p + 4}, $${p + 5}, $${p + 6}, $${p + 7}, $${p + 8}, $${p + 9}, $${p + 10}, $${p + 11}, $${p + 12})`,
-      );
-      p += 13;
-      values.push(
-        serial,
-        row.recordTs,
-        row.metricKey,
-        row.metricValue,
-        row.unit,
-        row.quality,
-        fileId,
-        row.sourceSystem || "unknown",
-        row.errorFlag || false,
-        row.lowAlarm || false,
-        row.highAlarm || false,
-        dev,
-        physicalGroupForTallRow(row, label),
-      );
+      placeholders.push(`(${columns.map(([, type]) => `$${p++}${type === "JSONB" ? "::jsonb" : ""}`).join(", ")})`);
+      values.push(...row);
     }
-    await client.query(
-      `INSERT INTO utility_measurement_tall (
-        serial, record_ts, metric_key, metric_value, unit, quality, source_file_id,
-        source_system, error_flag, low_alarm, high_alarm, device_address, physical_group
-      ) VALUES ${placeholders.join(", ")}
-      ON CONFLICT (serial, record_ts, metric_key, source_file_id)
-      DO NOTHING`,
-      values,
-    );
+    await runInsert(client, `INSERT INTO ${table} (${names}) VALUES ${placeholders.join(", ")} ${onConflict}`.trimEnd(), values, wrap);
   }
 }
+
+async function copyInsert(client, table, columns, rows, onConflict, wrap) {
+  const names = columns.map(([name]) => name).join(", ");
+  const stage = `stage_${table}`;
+  await client.query(
+    `CREATE TEMP TABLE IF NOT EXISTS ${stage} (${columns.map(([n, t]) => `${n} ${t}`).join(", ")}) ON COMMIT DROP`,
+  );
+  await client.query(`TRUNCATE ${stage}`);
+  await pipeline(Readable.from(copyLines(rows)), client.query(copyFrom(`COPY ${stage} (${names}) FROM STDIN`)));
+  await runInsert(client, `INSERT INTO ${table} (${names}) SELECT ${names} FROM ${stage} ${onConflict}`.trimEnd(), [], wrap);
+}
+
+function* copyLines(rows) {
+  for (const batch of chunk(rows, 1000)) yield batch.map(copyTextLine).join("");
+}
+
+/** One row in COPY's text format: tab-separated, `\N` for NULL, backslash escapes. */
+export function copyTextLine(values) {
+  return `${values.map(copyTextField).join("\t")}\n`;
+}
+
+function copyTextField(v) {
+  if (v === null || v === undefined) return "\\N";
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === "boolean") return v ? "t" : "f";
+  return String(v).replace(/[\\\t\n\r]/g, (c) => ({ "\\": "\\\\", "\t": "\\t", "\n": "\\n", "\r": "\\r" })[c]);
+}
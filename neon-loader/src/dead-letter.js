@@ -0,0 +1,107 @@
+/**
+ * Logs parked as `parse_status = 'dead_letter'` after DEAD_LETTER_AFTER permanent failures
+ * (src/retry.js). The loader skips them; replaying one resets its permanent failure count and
+ * queues it for the next run.
+ *
+ *   node src/dead-letter.js list [serial]
+ *   node src/dead-letter.js replay <r2 key> [etag]
+ *   node src/dead-letter.js replay --all
+ *
+ * Env: NEON_DATABASE_URL, CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_R2_ACCESS_KEY_ID,
+ * CLOUDFLARE_R2_SECRET_ACCESS_KEY, R2_BUCKET_NAME, SITE_ID (optional, see src/sites.js).
+ */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { createDbPoolFromEnv } from "./db.js";
+import { enqueueObject } from "./ingest-queue.js";
+import { createR2ClientFromEnv } from "./r2.js";
+import { loadSite } from "./sites.js";
+
+const __filename = fileURLToPath(import.meta.url);
+
+function isMainModule() {
+  const a = process.argv[1];
+  if (!a) return false;
+  try {
+    return path.resolve(a) === __filename;
+  } catch {
+    return false;
+  }
+}
+
+/** Dead-lettered files of one site (optionally one serial), most recent attempt first. */
+export async function listDeadLetters(db, { siteId, serial }) {
+  const resp = await db.query(
+    `SELECT r2_key, etag, serial, attempt_count, permanent_failures, error_class, error_text, last_attempt_at
+    FROM ingest_raw_file
+    WHERE parse_status = 'dead_letter' AND site_id = $1 AND ($2::text IS NULL OR serial = $2)
+    ORDER BY last_attempt_at DESC NULLS LAST`,
+    [siteId, serial || null],
+  );
+  return resp.rows;
+}
+
+/**
+ * Moves matching dead-lettered files back to `error` with `permanent_failures = 0` and queues
+ * each one. `key` null replays every dead letter of the site; `etag` null every version of `key`.
+ *
+ * @returns {Promise<Array<{ r2_key: string, etag: string, serial: string | null }>>}
+ */
+export async function replayDeadLetters({ db, r2, bucket, root = "", siteId, key = null, etag = null }) {
+  const resp = await db.query(
+    `UPDATE ingest_raw_file
+    SET parse_status = 'error', permanent_failures = 0
+    WHERE parse_status = 'dead_letter' AND site_id = $1
+      AND ($2::text IS NULL OR r2_key = $2)
+      AND ($3::text IS NULL OR etag = $3)
+    RETURNING r2_key, etag, serial`,
+    [siteId, key, etag],
+  );
+  for (const row of resp.rows) {
+    await enqueueObject(r2, { bucket, root, key: row.r2_key, etag: row.etag, size: 0, serial: row.serial || "" });
+  }
+  return resp.rows;
+}
+
+async function main() {
+  const [command, arg, etag] = process.argv.slice(2);
+  const site = loadSite();
+  const db = createDbPoolFromEnv();
+  try {
+    if (command === "list") {
+      const rows = await listDeadLetters(db, { siteId: site.id, serial: arg });
+      for (const r of rows) {
+        console.log(
+          `${r.r2_key}\tetag=${r.etag}\tattempts=${r.attempt_count}\tpermanent_failures=${r.permanent_failures}\tlast_attempt=${r.last_attempt_at?.toISOString?.() ?? ""}\terror=${r.error_text ?? ""}`,
+        );
+      }
+      console.log(`dead_letter_list site=${site.id} count=${rows.length}${arg ? ` serial=${arg}` : ""}`);
+      return;
+    }
+    if (command === "replay" && arg) {
+      const rows = await replayDeadLetters({
+        db,
+        r2: createR2ClientFromEnv(),
+        bucket: site.bucket,
+        root: site.root,
+        siteId: site.id,
+        key: arg === "--all" ? null : arg,
+        etag: arg === "--all" ? null : etag || null,
+      });
+      for (const r of rows) console.log(`dead_letter_replay key=${r.r2_key} etag=${r.etag} queued=true`);
+      console.log(`dead_letter_replay_complete site=${site.id} count=${rows.length}`);
+      return;
+    }
+    console.error("Usage: node src/dead-letter.js list [serial] | replay <r2 key> [etag] | replay --all");
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+if (isMainModule()) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
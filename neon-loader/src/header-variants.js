@@ -0,0 +1,38 @@
+import { createHash } from "node:crypto";
+
+/**
+ * The `header_variant` catalog: one row per distinct header row a device has sent under a schema,
+ * upserted in the file's ingest transaction. Only real header rows are recorded; headerless files
+ * parsed with a schema column order tell us nothing new. See src/schema-drift.js for the report.
+ */
+
+/** SHA-256 (hex) of the normalized headers, in order. */
+export function headerFingerprint(headers) {
+  return createHash("sha256").update(headers.join("\n")).digest("hex");
+}
+
+/**
+ * @param {import("pg").PoolClient} client
+ * @param {{ siteId: string, deviceAddress: string, schemaId: string, headers: string[], seenAt?: string | null }} row
+ *   `seenAt` is the file time (default now).
+ */
+export async function recordHeaderVariant(client, row) {
+  if (!row.headers.length) return;
+  await client.query(
+    `INSERT INTO header_variant (
+      site_id, device_address, schema_id, fingerprint, headers, first_seen, last_seen, file_count
+    ) VALUES ($1, $2, $3, $4, $5::jsonb, COALESCE($6::timestamptz, NOW()), COALESCE($6::timestamptz, NOW()), 1)
+    ON CONFLICT (site_id, device_address, schema_id, fingerprint) DO UPDATE SET
+      first_seen = LEAST(header_variant.first_seen, EXCLUDED.first_seen),
+      last_seen = GREATEST(header_variant.last_seen, EXCLUDED.last_seen),
+      file_count = header_variant.file_count + 1`,
+    [
+      row.siteId,
+      row.deviceAddress || "unknown",
+      row.schemaId || "default_v1",
+      headerFingerprint(row.headers),
+      JSON.stringify(row.headers),
+      row.seenAt ?? null,
+    ],
+  );
+}
@@ -0,0 +1,133 @@
+import { randomUUID } from "node:crypto";
+import { DeleteObjectsCommand, GetObjectCommand, ListObjectsV2Command, PutObjectCommand } from "@aws-sdk/client-s3";
+
+/**
+ * Consumer side of the Worker's `ingest-queue/` notifications (worker/src/ingest-queue.js).
+ * Each message is a small JSON object `{ key, etag, size, serial, filetime, enqueued_at }`;
+ * keys sort oldest-first, so listing the prefix is cheap no matter how large `log-gz/` grows.
+ */
+
+export const QUEUE_PREFIX = "ingest-queue/";
+
+/** DeleteObjects accepts at most 1000 keys per request. */
+const DELETE_BATCH = 1000;
+
+/**
+ * Oldest queued messages, de-duplicated by `(key, etag)`, shaped like `listR2Objects()` entries
+ * plus `messageKeys` (every queue object that pointed at that log) for {@link ackQueueMessages}.
+ *
+ * @param {import("@aws-sdk/client-s3").S3Client} client
+ * @param {{ bucket: string, maxKeys?: number, prefix?: string }} opts
+ */
+export async function listQueuedObjects(client, { bucket, maxKeys, prefix = QUEUE_PREFIX }) {
+  const limit = Number.isFinite(Number(maxKeys)) && Number(maxKeys) > 0 ? Number(maxKeys) : 200;
+  const messageKeys = [];
+  let continuationToken;
+  do {
+    const resp = await client.send(
+      new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        MaxKeys: Math.min(limit - messageKeys.length, 1000),
+        ContinuationToken: continuationToken,
+      }),
+    );
+    for (const obj of resp.Contents || []) if (obj.Key) messageKeys.push(obj.Key);
+    continuationToken = resp.IsTruncated ? resp.NextContinuationToken : undefined;
+  } while (continuationToken && messageKeys.length < limit);
+
+  const byPair = new Map();
+  const invalid = [];
+  for (const messageKey of messageKeys) {
+    const msg = await readMessage(client, bucket, messageKey);
+    if (!msg) {
+      invalid.push(messageKey);
+      continue;
+    }
+    const pair = `${msg.key}\0${msg.etag}`;
+    const existing = byPair.get(pair);
+    if (existing) {
+      existing.messageKeys.push(messageKey);
+      continue;
+    }
+    byPair.set(pair, {
+      key: msg.key,
+      etag: msg.etag,
+      size: Number(msg.size) || 0,
+      lastModified: msg.enqueued_at ? new Date(msg.enqueued_at) : null,
+      messageKeys: [messageKey],
+    });
+  }
+  return { objects: [...byPair.values()], invalid };
+}
+
+/**
+ * Sorts queued objects into logs (under `prefix`), status files (under `statusPrefix`) and
+ * `outside`: keys a run never loads (a custom INGEST_PREFIX, another site's root), whose messages
+ * would otherwise stay queued for good.
+ */
+export function splitQueuedObjects(objects, { prefix, statusPrefix }) {
+  const out = { logs: [], statuses: [], outside: [] };
+  for (const object of objects) {
+    if (object.key.startsWith(prefix)) out.logs.push(object);
+    else if (object.key.startsWith(statusPrefix)) out.statuses.push(object);
+    else out.outside.push(object);
+  }
+  return out;
+}
+
+/** Parsed message, or null when it is gone or not a valid message (acked as junk). Other errors throw. */
+async function readMessage(client, bucket, key) {
+  let text;
+  try {
+    const resp = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    text = await resp.Body.transformToString();
+  } catch (error) {
+    if (error?.name === "NoSuchKey") return null;
+    throw error;
+  }
+  return parseQueueMessage(text);
+}
+
+export function parseQueueMessage(text) {
+  try {
+    const msg = JSON.parse(text);
+    if (!msg || typeof msg.key !== "string" || !msg.key) return null;
+    return { ...msg, etag: String(msg.etag || "no_etag").replaceAll("\"", "") };
+  } catch {
+    return null;
+  }
+}
+
+/** Deletes consumed queue objects (batched). */
+export async function ackQueueMessages(client, { bucket, keys }) {
+  for (let i = 0; i < keys.length; i += DELETE_BATCH) {
+    const batch = keys.slice(i, i + DELETE_BATCH);
+    await client.send(
+      new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: batch.map((Key) => ({ Key })), Quiet: true },
+      }),
+    );
+  }
+}
+
+/**
+ * Announces a log the Worker did not queue itself (e.g. one released from quarantine/), using the
+ * same key scheme and message shape as worker/src/ingest-queue.js.
+ *
+ * @param {{ bucket: string, key: string, etag: string, size: number, serial?: string, filetime?: string, root?: string }} opts
+ */
+export async function enqueueObject(client, { bucket, key, etag, size, serial = "", filetime = "", root = "" }, now = Date.now()) {
+  const messageKey = `${root}${QUEUE_PREFIX}${String(now).padStart(13, "0")}-${randomUUID().slice(0, 8)}.json`;
+  const msg = { key, etag, size, serial, filetime, enqueued_at: new Date(now).toISOString() };
+  await client.send(
+    new PutObjectCommand({
+      Bucket: bucket,
+      Key: messageKey,
+      Body: JSON.stringify(msg),
+      ContentType: "application/json",
+    }),
+  );
+  return messageKey;
+}
@@ -0,0 +1,94 @@
+import { execFileSync } from "node:child_process";
+import { randomUUID } from "node:crypto";
+
+/**
+ * The `ingest_run` ledger: one row per loader run, inserted before the first checkpoint (which
+ * references it) and completed with the run's counts at the end, or marked failed.
+ */
+
+/** Sortable like the old `Date.now()` ids, unique across sites started in the same millisecond. */
+export function newRunId(now = Date.now()) {
+  return `${now}-${randomUUID().slice(0, 8)}`;
+}
+
+/** GITHUB_SHA / GIT_SHA, else the checkout's HEAD, else null. */
+export function gitSha(env = process.env) {
+  const fromEnv = env.GITHUB_SHA || env.GIT_SHA;
+  if (fromEnv) return fromEnv;
+  try {
+    return execFileSync("git", ["rev-parse", "HEAD"], { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"] }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {import("pg").Pool} pool
+ * @param {{ runId: string, siteId: string, mode: string, prefix: string, batchLimit: number,
+ *   dryRun: boolean, strictSchema: boolean, concurrency: number, gitSha: string | null }} run
+ */
+export async function startIngestRun(pool, run) {
+  await pool.query(
+    `INSERT INTO ingest_run (
+      run_id, started_at, status, site_id, mode, prefix, batch_limit, dry_run, strict_schema, concurrency, git_sha
+    ) VALUES ($1, NOW(), 'running', $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      run.runId,
+      run.siteId,
+      run.mode,
+      run.prefix,
+      Number.isFinite(run.batchLimit) ? run.batchLimit : null,
+      Boolean(run.dryRun),
+      Boolean(run.strictSchema),
+      run.concurrency ?? null,
+      run.gitSha ?? null,
+    ],
+  );
+}
+
+/**
+ * `status` is `succeeded` (the run finished; files may still have failed, see `failed`) or
+ * `failed` (the run itself threw, `errorText` says why).
+ */
+export async function finishIngestRun(pool, runId, { status, errorText = null, stats = {} }) {
+  await pool.query(
+    `UPDATE ingest_run SET
+      finished_at = NOW(),
+      status = $2,
+      error_text = $3,
+      listed = $4,
+      skipped = $5,
+      succeeded = $6,
+      failed = $7,
+      status_listed = $8,
+      status_succeeded = $9,
+      status_failed = $10,
+      acked = $11,
+      raw_rows = $12,
+      tall_rows = $13,
+      bytes_downloaded = $14,
+      retries = $15,
+      dead_lettered = $16,
+      dead_letter_skipped = $17
+    WHERE run_id = $1`,
+    [
+      runId,
+      status,
+      errorText,
+      stats.listed || 0,
+      stats.skipped || 0,
+      stats.succeeded || 0,
+      stats.failed || 0,
+      stats.statusListed || 0,
+      stats.statusSucceeded || 0,
+      stats.statusFailed || 0,
+      stats.acked || 0,
+      stats.rawRows || 0,
+      stats.tallRows || 0,
+      stats.bytes || 0,
+      stats.retries || 0,
+      stats.deadLettered || 0,
+      stats.deadLetterSkipped || 0,
+    ],
+  );
+}
@@ -1,3 +1,4 @@
+import { readFileSync } from "node:fs";
 import { readFile } from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
@@ -61,3 +62,25 @@ export function resolveLabel(labelMapConfig, filename) {
     hasData: match.hasData !== false,
   };
 }
+
+/** `schema-column-orders.json` (headerless column order per schema id), or `{}` if it is missing. */
+export function loadSchemaColumnOrders() {
+  try {
+    return JSON.parse(readFileSync(path.resolve(__dirname, "..", "schema-column-orders.json"), "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * parseGzipLog options for a resolved label: the column order for headerless files and, only
+ * with `strictSchema`, the schema's header allowlist and aliases. Shared by ingest and reprocess.
+ */
+export function parseOptionsForLabel(labelMapConfig, label, { strictSchema = false, schemaColumnOrders = {} } = {}) {
+  const schema = (labelMapConfig.schemas || {})[label.schemaId] || {};
+  return {
+    expectedHeaders: strictSchema ? schema.expectedHeaders || [] : [],
+    headerAliases: strictSchema ? schema.headerAliases || {} : {},
+    columnOrder: schema.columnOrder || schemaColumnOrders[label.schemaId] || null,
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * Prints `metric_catalog`: which metric_key / unit / source_system / physical_group combinations
+ * each device produces, with the header they came from, first / last record time and row count.
+ * Use it instead of `SELECT DISTINCT` over utility_measurement_tall when writing dashboards.
+ *
+ *   node src/metric-catalog.js [--device mb-006] [--metric 'power_instantaneous%'] [--group hydro_plant] [--json]
+ *
+ * --metric is a SQL LIKE pattern. Entries at 0 rows (nothing produces them since a reprocess)
+ * are left out unless --all.
+ *
+ * Env: NEON_DATABASE_URL, SITE_ID (optional, see src/sites.js).
+ */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createDbPoolFromEnv } from "./db.js";
+import { loadSite } from "./sites.js";
+
+const __filename = fileURLToPath(import.meta.url);
+
+function isMainModule() {
+  const a = process.argv[1];
+  if (!a) return false;
+  try {
+    return path.resolve(a) === __filename;
+  } catch {
+    return false;
+  }
+}
+
+const COLUMNS = [
+  ["device_address", "device"],
+  ["metric_key", "metric_key"],
+  ["unit", "unit"],
+  ["source_system", "source_system"],
+  ["physical_group", "physical_group"],
+  ["row_count", "rows"],
+  ["first_seen", "first_seen"],
+  ["last_seen", "last_seen"],
+  ["source_header", "header"],
+];
+
+/** Catalog entries of one site, by device and metric. */
+export async function listMetricCatalog(db, { siteId, device = null, metric = null, group = null, all = false }) {
+  const resp = await db.query(
+    `SELECT device_address, metric_key, unit, source_system, physical_group, source_header,
+      first_seen, last_seen, row_count
+    FROM metric_catalog
+    WHERE site_id = $1
+      AND ($2::text IS NULL OR device_address = $2)
+      AND ($3::text IS NULL OR metric_key LIKE $3)
+      AND ($4::text IS NULL OR physical_group = $4)
+      AND ($5::boolean OR row_count > 0)
+    ORDER BY device_address, metric_key, unit, source_system, physical_group`,
+    [siteId, device, metric, group, all],
+  );
+  return resp.rows;
+}
+
+function cell(value) {
+  if (value instanceof Date) return value.toISOString().replace(".000Z", "Z");
+  return value === null || value === undefined ? "" : String(value);
+}
+
+/** Fixed-width text table, one line per entry, under a header line. */
+export function formatMetricCatalog(rows) {
+  const table = [COLUMNS.map(([, title]) => title), ...rows.map((r) => COLUMNS.map(([key]) => cell(r[key])))];
+  const widths = COLUMNS.map((_, i) => Math.max(...table.map((line) => line[i].length)));
+  return table.map((line) => line.map((v, i) => (i === line.length - 1 ? v : v.padEnd(widths[i]))).join("  ").trimEnd()).join("\n");
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      device: { type: "string" },
+      metric: { type: "string" },
+      group: { type: "string" },
+      all: { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+    },
+  });
+  const site = loadSite();
+  const db = createDbPoolFromEnv();
+  try {
+    const rows = await listMetricCatalog(db, {
+      siteId: site.id,
+      device: args.device || null,
+      metric: args.metric || null,
+      group: args.group || null,
+      all: args.all,
+    });
+    if (args.json) {
+      console.log(JSON.stringify(rows, null, 2));
+      return;
+    }
+    console.log(formatMetricCatalog(rows));
+    console.log(`metric_catalog site=${site.id} entries=${rows.length}`);
+  } finally {
+    await db.end();
+  }
+}
+
+if (isMainModule()) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -125,14 +125,39 @@ export function bundleHasFire(bundle) {
 
 /**
  * Latest row per physical_group older than threshold (matches previous neon-loader behavior).
+ * Reads the daily rollup (src/rollups.js), whose last_ts is the latest record_ts per day, instead
+ * of scanning all of utility_measurement_tall. When the rollup has no row for the current UTC day
+ * (behind, missing, or being rebuilt) it would call every group stale, so the tall table is read
+ * instead.
  * @param {import('pg').PoolClient} client
  */
-async function collectStaleGroups(client, staleAfterMinutes) {
-  const { rows: countRows } = await client.query(
-    "SELECT COUNT(*)::bigint AS n FROM utility_measurement_tall",
+export async function collectStaleGroups(client, staleAfterMinutes) {
+  const { rows: todayRows } = await client.query(
+    "SELECT EXISTS (SELECT 1 FROM utility_measurement_daily WHERE bucket = (NOW() AT TIME ZONE 'UTC')::date) AS today",
   );
-  const n = Number(countRows[0]?.n ?? 0);
-  if (n === 0) {
+  if (todayRows[0]?.today) {
+    const { rows } = await client.query(
+      `
+      SELECT physical_group,
+             MAX(last_ts) AS latest_ts
+      FROM utility_measurement_daily
+      GROUP BY physical_group
+      HAVING MAX(last_ts) < NOW() - ($1::numeric * INTERVAL '1 minute')
+      ORDER BY physical_group
+      `,
+      [staleAfterMinutes],
+    );
+    return rows.map((r) => ({
+      physical_group: r.physical_group,
+      latest_ts: r.latest_ts,
+    }));
+  }
+
+  console.log("stale_groups source=utility_measurement_tall reason=no_daily_rollup_for_today");
+  const { rows: anyRows } = await client.query(
+    "SELECT EXISTS (SELECT 1 FROM utility_measurement_tall) AS any",
+  );
+  if (!anyRows[0]?.any) {
     return [{ physical_group: "(no rows)", latest_ts: null }];
   }
 
@@ -90,23 +90,36 @@ const SOURCE_SYSTEM_HINTS_ORDERED = [
 
 // --- public API -------------------------------------------------------------
 
+/**
+ * Stored on every ingest_raw_file row. Bump it whenever the tall rows this module produces change
+ * (metric keys, units, source systems, timestamps, typo corrections); `npm run reprocess` then
+ * re-derives files parsed with an older version. Rows from before versioning have NULL.
+ */
+export const PARSER_VERSION = 1;
+
+/**
+ * `headers` is the normalized header list the rows were read with; `headerSource` says where it
+ * came from: `file` (a header row), `column_order` (headerless file, schema column order) or null
+ * (loose `col_*` parse).
+ */
 export function parseGzipLog(fileBytes, options = {}) {
   const text = stripBom(decodeFile(fileBytes));
   const lines = text.split(/\r?\n/).filter((line) => line.trim().length > 0);
   if (lines.length === 0) {
-    return { lineCount: 0, rawRecords: [], tallRows: [], measurableHeaders: [] };
+    return { lineCount: 0, rawRecords: [], tallRows: [], measurableHeaders: [], headers: [], headerSource: null };
   }
 
   const headerMatch = findHeaderRow(lines);
   if (headerMatch) {
     const { headerOffset, splitRow, headers, timeCol } = headerMatch;
-    return parseStructuredTable(lines, {
+    const table = parseStructuredTable(lines, {
       firstLineIndex: headerOffset + 1,
       splitRow,
       headers,
       timeCol,
       options,
     });
+    return { ...table, headers, headerSource: "file" };
   }
 
   if (options.columnOrder?.length) {
@@ -114,18 +127,76 @@ export function parseGzipLog(fileBytes, options = {}) {
     const timeCol = findTimeColumnHeader(headers);
     if (timeCol) {
       const { splitRow } = detectDelimiterDataLine(lines[0]);
-      return parseStructuredTable(lines, {
+      const table = parseStructuredTable(lines, {
         firstLineIndex: 0,
         splitRow,
         headers,
         timeCol,
         options,
       });
+      return { ...table, headers, headerSource: "column_order" };
     }
   }
 
   const loose = parseLooseLines(lines);
-  return { ...loose, measurableHeaders: [] };
+  return { ...loose, measurableHeaders: [], headers: [], headerSource: null };
+}
+
+/**
+ * Tall rows for already-stored raw records (`ingest_raw_record`: `raw_text`, `parsed_json`), as
+ * parseGzipLog would build them today. Structured records take their columns in the file's order
+ * from `columnHeaders` (`ingest_raw_file.column_headers`, the parse's `headers`), so where two
+ * columns give the same metric key the same one comes first and wins ON CONFLICT. Without it
+ * (files loaded before that column) the headers come back from the parsed_json keys
+ * (`<header>__<col>` for repeated headers), in JSONB's key order. Loose records are re-parsed
+ * from raw_text.
+ */
+export function tallRowsFromRawRecords(records, options = {}, columnHeaders = null) {
+  const expectedHeaders = new Set(options.expectedHeaders || []);
+  const headerAliases = options.headerAliases || {};
+  const strictHeaders = expectedHeaders.size > 0;
+  const specsByHeaders = new Map();
+  const fileKeys = columnHeaders?.length ? rowKeys(columnHeaders) : null;
+  const tallRows = [];
+  for (const record of records) {
+    const json = record.parsedJson || {};
+    let keys = Object.keys(json);
+    let headers;
+    if (fileKeys && fileKeys.length === keys.length && fileKeys.every((k) => Object.hasOwn(json, k))) {
+      keys = fileKeys;
+      headers = columnHeaders;
+    } else {
+      // JSONB does not keep key order, so repeated headers are recognised by name alone.
+      headers = keys.map((k) => {
+        const m = k.match(/^(.*)__(\d+)$/);
+        return m && keys.includes(m[1]) ? m[1] : k;
+      });
+    }
+    const timeCol = findTimeColumnHeader(headers);
+    if (!timeCol) {
+      tallRows.push(...parseLooseLines([record.rawText]).tallRows);
+      continue;
+    }
+    const sig = headers.join("\u0000");
+    if (!specsByHeaders.has(sig)) {
+      specsByHeaders.set(
+        sig,
+        headers.map((h) => parseColumnSpec(h, { expectedHeaders, headerAliases, strictHeaders })),
+      );
+    }
+    const cols = keys.map((k) => String(json[k] ?? ""));
+    const flag = (name) => (headers.includes(name) ? parseBooleanFlag(cols[headers.indexOf(name)]) : false);
+    addStructuredTallRows(tallRows, {
+      headers,
+      headerSpecs: specsByHeaders.get(sig),
+      cols,
+      recordTs: parseUtcTime(cols[headers.indexOf(timeCol)]),
+      errorFlag: flag("error"),
+      lowAlarm: flag("lowalarm"),
+      highAlarm: flag("highalarm"),
+    });
+  }
+  return tallRows;
 }
 
 export function parseUtcTime(value) {
@@ -266,6 +337,7 @@ function addStructuredTallRows(tallRows, ctx) {
       unit: spec.unit,
       quality: null,
       sourceSystem: spec.source,
+      sourceHeader: header,
       errorFlag,
       lowAlarm,
       highAlarm,
@@ -282,17 +354,22 @@ function padOrTruncateCols(cols, len) {
 
 function buildRowObject(headers, cols) {
   const row = {};
-  headers.forEach((h, idx) => {
-    const v = cols[idx] ?? "";
-    let key = h;
-    if (Object.prototype.hasOwnProperty.call(row, key)) {
-      key = `${h}__${idx}`;
-    }
-    row[key] = v;
+  rowKeys(headers).forEach((key, idx) => {
+    row[key] = cols[idx] ?? "";
   });
   return row;
 }
 
+/** parsed_json key of each column: its header, or `<header>__<col>` when the header repeats. */
+function rowKeys(headers) {
+  const seen = new Set();
+  return headers.map((h, idx) => {
+    const key = seen.has(h) ? `${h}__${idx}` : h;
+    seen.add(key);
+    return key;
+  });
+}
+
 function findHeaderRow(lines) {
   const maxScan = Math.min(HEADER_SCAN_MAX_LINES, lines.length);
   for (let offset = 0; offset < maxScan; offset += 1) {
@@ -333,6 +410,7 @@ function parseLooseLines(lines) {
         unit: null,
         quality: null,
         sourceSystem: "unknown",
+        sourceHeader: key,
         errorFlag: false,
         lowAlarm: false,
         highAlarm: false,
@@ -417,7 +495,11 @@ function namedHydroFlowStreamMetricKey(source, unit) {
   return null;
 }
 
-function parseColumnSpec(columnName, context = {}) {
+/**
+ * Column name → `{ source, metric, unit }`, or null for reserved / blank columns. Also run by
+ * worker/scripts/build-mb-csv-headers.mjs so the Worker's latest-values cache uses the same keys.
+ */
+export function parseColumnSpec(columnName, context = {}) {
   if (!columnName) return null;
   const clean = String(columnName).trim();
   if (!clean || clean === "-" || RESERVED.has(clean)) return null;
@@ -0,0 +1,355 @@
+/**
+ * Monthly partitions of utility_measurement_tall (record_ts) and ingest_raw_record (ingested_at),
+ * see sql/016_partitioning.sql, and the retention policy for raw records. Tall data is never
+ * removed here.
+ *
+ *   node src/partitions.js ensure [--months-ahead 3]   create missing months up to N months ahead, and
+ *                                                      move rows out of the DEFAULT partitions
+ *   node src/partitions.js list                        partitions with sizes, rows left in DEFAULT
+ *   node src/partitions.js retention [--dry-run]       archive / drop raw-record months past retention
+ *
+ * Rows land in <table>_default when their month has no partition yet (e.g. `ensure` did not run
+ * before a month began). `ensure` gives each such month its partition, which moves the rows; for
+ * the tall table only months from a year before the first ingest up to the months ahead, so
+ * readings from a broken device clock (1970, 2099) stay in DEFAULT rather than adding partitions.
+ * `retention` does the same for raw records first, so none escape it in DEFAULT.
+ *
+ * Retention: RAW_RETENTION_MONTHS keeps that many whole months before the current one (unset or 0
+ * keeps everything). RAW_RETENTION_ACTION `archive` (default) first writes the month to R2 as a
+ * gzipped COPY text file (RAW_ARCHIVE_BUCKET, default R2_BUCKET_NAME; key RAW_ARCHIVE_PREFIX, default
+ * `archive/ingest_raw_record/`, + `yyyy-mm.copy.gz`); `drop` just drops it. Either way a
+ * raw_record_archive row records what happened.
+ *
+ * Env: NEON_DATABASE_URL, PARTITION_MONTHS_AHEAD, RAW_RETENTION_*, R2 vars when archiving.
+ */
+import path from "node:path";
+import { pipeline } from "node:stream/promises";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createGzip } from "node:zlib";
+import { HeadObjectCommand } from "@aws-sdk/client-s3";
+import { to as copyTo } from "pg-copy-streams";
+import { createDbPoolFromEnv, withTransaction } from "./db.js";
+import { createR2ClientFromEnv, uploadR2Stream } from "./r2.js";
+
+const __filename = fileURLToPath(import.meta.url);
+
+function isMainModule() {
+  const a = process.argv[1];
+  if (!a) return false;
+  try {
+    return path.resolve(a) === __filename;
+  } catch {
+    return false;
+  }
+}
+
+/** Partitioned table → its partition key (sql/016_partitioning.sql). */
+export const PARTITION_KEYS = { utility_measurement_tall: "record_ts", ingest_raw_record: "ingested_at" };
+
+export const PARTITIONED_TABLES = Object.keys(PARTITION_KEYS);
+
+const RAW_TABLE = "ingest_raw_record";
+
+/** Column order of the archive files (restore with `COPY ingest_raw_record (<these>) FROM …`). */
+export const RAW_ARCHIVE_COLUMNS = [
+  "id",
+  "file_id",
+  "line_no",
+  "raw_text",
+  "parsed_json",
+  "label_code",
+  "label_name",
+  "record_ts",
+  "ingested_at",
+];
+
+/** PARTITION_MONTHS_AHEAD, RAW_RETENTION_MONTHS / _ACTION, RAW_ARCHIVE_BUCKET / _PREFIX. */
+export function partitionOptionsFromEnv(env = process.env) {
+  const int = (v, def) => {
+    const n = Number.parseInt(String(v ?? ""), 10);
+    return Number.isFinite(n) && n >= 0 ? n : def;
+  };
+  const action = String(env.RAW_RETENTION_ACTION || "archive").trim();
+  if (!["archive", "drop"].includes(action)) throw new Error(`RAW_RETENTION_ACTION must be archive or drop, got ${action}`);
+  return {
+    monthsAhead: int(env.PARTITION_MONTHS_AHEAD, 3),
+    retentionMonths: int(env.RAW_RETENTION_MONTHS, 0),
+    action,
+    bucket: env.RAW_ARCHIVE_BUCKET || env.R2_BUCKET_NAME || null,
+    prefix: env.RAW_ARCHIVE_PREFIX ?? "archive/ingest_raw_record/",
+  };
+}
+
+/** First day (yyyy-mm-dd, UTC) of the month `offset` months from `now`'s. */
+export function monthStart(now, offset = 0) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1));
+  return d.toISOString().slice(0, 10);
+}
+
+/** `<table>_p2026_03` → "2026-03-01"; null for the DEFAULT partition or other names. */
+export function partitionMonth(table, name) {
+  const m = String(name).match(new RegExp(`^${table}_p(\\d{4})_(\\d{2})$`));
+  return m ? `${m[1]}-${m[2]}-01` : null;
+}
+
+/**
+ * Raw-record partitions entirely before the retention window: months before the first of the
+ * `retentionMonths` whole months preceding `now`'s month. None when retentionMonths is 0.
+ *
+ * @param {Array<{ name: string }>} partitions
+ */
+export function expiredPartitions(partitions, { now = new Date(), retentionMonths }) {
+  if (!retentionMonths) return [];
+  const cutoff = monthStart(now, -retentionMonths);
+  return partitions
+    .map((p) => ({ ...p, month: partitionMonth(RAW_TABLE, p.name) }))
+    .filter((p) => p.month && p.month < cutoff)
+    .sort((a, b) => a.month.localeCompare(b.month));
+}
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/** Creates the missing monthly partitions from the current month through `monthsAhead`. */
+export async function ensurePartitions(db, { now = new Date(), monthsAhead = 3 } = {}) {
+  const created = [];
+  for (const table of PARTITIONED_TABLES) {
+    for (let offset = 0; offset <= monthsAhead; offset += 1) {
+      const month = monthStart(now, offset);
+      const resp = await db.query("SELECT ensure_month_partition($1, $2::date) AS created", [table, month]);
+      if (resp.rows[0]?.created) created.push(`${table}_p${month.slice(0, 7).replace("-", "_")}`);
+    }
+  }
+  return created;
+}
+
+/** Months (yyyy-mm-dd, UTC) with rows in `<table>_default`, with their row counts. */
+export async function defaultPartitionMonths(db, table) {
+  const resp = await db.query(
+    `SELECT to_char(date_trunc('month', ${PARTITION_KEYS[table]} AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS month,
+      COUNT(*)::int AS rows
+    FROM ${quoteIdent(`${table}_default`)}
+    GROUP BY 1
+    ORDER BY 1`,
+  );
+  return resp.rows;
+}
+
+/**
+ * Which DEFAULT-partition months get their own partition: all of them for raw records (stamped
+ * with the load time), those between `from` and `to` (yyyy-mm-dd, inclusive; null = open) for
+ * the tall table.
+ *
+ * @param {Array<{ month: string, rows: number }>} months
+ */
+export function monthsToDrain(months, { from = null, to = null }) {
+  return months.filter((m) => (!from || m.month >= from) && (!to || m.month <= to));
+}
+
+/**
+ * Moves rows out of the DEFAULT partitions by creating their months (see the header comment for
+ * which). Returns every DEFAULT month with `moved` set for those now in their own partition.
+ *
+ * @returns {Promise<Array<{ table: string, month: string, rows: number, moved: boolean }>>}
+ */
+export async function drainDefaultPartitions(db, { now = new Date(), monthsAhead = 3, tables = PARTITIONED_TABLES } = {}) {
+  const out = [];
+  for (const table of tables) {
+    const months = await defaultPartitionMonths(db, table);
+    if (!months.length) continue;
+    let window = {};
+    if (table === "utility_measurement_tall") {
+      const first = await db.query(
+        "SELECT to_char(date_trunc('month', (MIN(ingested_at) - INTERVAL '1 year') AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS month FROM ingest_raw_file",
+      );
+      window = { from: first.rows[0]?.month ?? null, to: monthStart(now, monthsAhead) };
+    }
+    const drain = new Set(monthsToDrain(months, window).map((m) => m.month));
+    for (const m of months) {
+      if (drain.has(m.month)) await db.query("SELECT ensure_month_partition($1, $2::date)", [table, m.month]);
+      out.push({ table, month: m.month, rows: m.rows, moved: drain.has(m.month) });
+    }
+  }
+  return out;
+}
+
+function logDefaultRows(entries) {
+  for (const e of entries) {
+    console.log(
+      `${e.moved ? "partition_default_moved" : "partition_default_rows"} table=${e.table} month=${e.month.slice(0, 7)} rows=${e.rows}`,
+    );
+  }
+}
+
+/** Partitions of `table` by name, with their bounds and total size. */
+export async function listPartitions(db, table) {
+  const resp = await db.query(
+    `SELECT c.relname AS name, pg_get_expr(c.relpartbound, c.oid) AS bound, pg_total_relation_size(c.oid) AS bytes
+    FROM pg_inherits i
+    JOIN pg_class c ON c.oid = i.inhrelid
+    WHERE i.inhparent = $1::regclass
+    ORDER BY c.relname`,
+    [table],
+  );
+  return resp.rows;
+}
+
+/**
+ * Whether raw records loaded at `ingestedAt` would land in a retired month: one recorded in
+ * raw_record_archive, or before the retention cutoff (the next `retention` run archives it).
+ */
+export async function rawMonthRetired(db, ingestedAt, { now = new Date(), retentionMonths = 0 } = {}) {
+  const month = monthStart(new Date(ingestedAt));
+  if (retentionMonths && month < monthStart(now, -retentionMonths)) return true;
+  const resp = await db.query("SELECT 1 FROM raw_record_archive WHERE month = $1::date LIMIT 1", [month]);
+  return resp.rows.length > 0;
+}
+
+/**
+ * Streams one raw-record partition through gzip into R2 and checks the stored size. Refuses to
+ * replace an archive already at `key`.
+ *
+ * @returns {Promise<{ rowCount: number | null, bytes: number }>}
+ */
+export async function archivePartition(db, r2, { bucket, key, partition }) {
+  const existing = await r2.send(new HeadObjectCommand({ Bucket: bucket, Key: key })).catch((error) => {
+    if (error?.name === "NotFound" || error?.$metadata?.httpStatusCode === 404) return null;
+    throw error;
+  });
+  if (existing) throw new Error(`Archive ${key} already exists in R2; not overwriting it`);
+  const client = await db.connect();
+  try {
+    const copy = client.query(copyTo(`COPY ${quoteIdent(partition)} (${RAW_ARCHIVE_COLUMNS.join(", ")}) TO STDOUT`));
+    const gzip = createGzip();
+    const piped = pipeline(copy, gzip);
+    let uploaded;
+    try {
+      uploaded = await uploadR2Stream(r2, {
+        bucket,
+        key,
+        body: gzip,
+        contentType: "application/gzip",
+        metadata: { table: RAW_TABLE, partition, columns: RAW_ARCHIVE_COLUMNS.join(",") },
+      });
+    } catch (error) {
+      copy.destroy(error);
+      await piped.catch(() => {});
+      throw error;
+    }
+    await piped;
+    const head = await r2.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+    if (head.ContentLength !== undefined && head.ContentLength !== uploaded.bytes) {
+      throw new Error(`Archive ${key} is ${head.ContentLength} bytes in R2, uploaded ${uploaded.bytes}`);
+    }
+    return { rowCount: Number.isFinite(copy.rowCount) ? copy.rowCount : null, bytes: uploaded.bytes };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Detaches and drops one raw-record partition, recording it in raw_record_archive. A month
+ * already recorded there fails the transaction instead of replacing its row.
+ */
+export async function dropRawPartition(db, { partition, month, action, bucket = null, key = null, rowCount = null, bytes = null }) {
+  await withTransaction(db, async (client) => {
+    await client.query(`ALTER TABLE ${RAW_TABLE} DETACH PARTITION ${quoteIdent(partition)}`);
+    await client.query(`DROP TABLE ${quoteIdent(partition)}`);
+    const recorded = await client.query(
+      `INSERT INTO raw_record_archive (partition_name, month, action, bucket, r2_key, row_count, bytes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (partition_name) DO NOTHING
+      RETURNING partition_name`,
+      [partition, month, action, bucket, key, rowCount, bytes],
+    );
+    if (!recorded.rows.length) throw new Error(`${partition} is already in raw_record_archive; not dropping it again`);
+  });
+}
+
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      "months-ahead": { type: "string" },
+      "dry-run": { type: "boolean", default: false },
+    },
+  });
+  const command = positionals[0];
+  if (!["ensure", "list", "retention"].includes(command)) {
+    console.error("Usage: node src/partitions.js ensure [--months-ahead N] | list | retention [--dry-run]");
+    process.exitCode = 1;
+    return;
+  }
+  const opts = partitionOptionsFromEnv();
+  const db = createDbPoolFromEnv();
+  try {
+    if (command === "ensure") {
+      const monthsAhead = args["months-ahead"] !== undefined ? Number(args["months-ahead"]) : opts.monthsAhead;
+      const created = await ensurePartitions(db, { monthsAhead });
+      for (const name of created) console.log(`partition_created name=${name}`);
+      const drained = await drainDefaultPartitions(db, { monthsAhead });
+      logDefaultRows(drained);
+      const left = drained.filter((e) => !e.moved).reduce((n, e) => n + e.rows, 0);
+      console.log(
+        `partitions_ensure months_ahead=${monthsAhead} created=${created.length} default_rows_moved=${drained.filter((e) => e.moved).reduce((n, e) => n + e.rows, 0)} default_rows_left=${left}`,
+      );
+      return;
+    }
+
+    if (command === "list") {
+      for (const table of PARTITIONED_TABLES) {
+        for (const p of await listPartitions(db, table)) console.log(`${p.name}\t${p.bound}\tbytes=${p.bytes}`);
+      }
+      for (const table of PARTITIONED_TABLES) {
+        for (const m of await defaultPartitionMonths(db, table)) {
+          console.log(`partition_default_rows table=${table} month=${m.month.slice(0, 7)} rows=${m.rows} (npm run partitions -- ensure)`);
+        }
+      }
+      return;
+    }
+
+    const dryRun = args["dry-run"];
+    if (opts.retentionMonths && !dryRun) logDefaultRows(await drainDefaultPartitions(db, { tables: [RAW_TABLE] }));
+    const expired = expiredPartitions(await listPartitions(db, RAW_TABLE), { retentionMonths: opts.retentionMonths });
+    if (!opts.retentionMonths) console.log("raw_retention disabled (RAW_RETENTION_MONTHS unset or 0)");
+    if (expired.length && opts.action === "archive" && !opts.bucket) {
+      throw new Error("Missing RAW_ARCHIVE_BUCKET or R2_BUCKET_NAME for RAW_RETENTION_ACTION=archive");
+    }
+    const r2 = expired.length && opts.action === "archive" && !dryRun ? createR2ClientFromEnv() : null;
+    for (const p of expired) {
+      const key = opts.action === "archive" ? `${opts.prefix}${p.month.slice(0, 7)}.copy.gz` : null;
+      if (dryRun) {
+        console.log(`raw_retention_dry_run partition=${p.name} action=${opts.action} bytes=${p.bytes}${key ? ` key=${key}` : ""}`);
+        continue;
+      }
+      let archived = { rowCount: null, bytes: null };
+      if (key) {
+        archived = await archivePartition(db, r2, { bucket: opts.bucket, key, partition: p.name });
+        console.log(`raw_archived partition=${p.name} key=${key} rows=${archived.rowCount ?? ""} bytes=${archived.bytes}`);
+      }
+      await dropRawPartition(db, {
+        partition: p.name,
+        month: p.month,
+        action: opts.action === "archive" ? "archived" : "dropped",
+        bucket: key ? opts.bucket : null,
+        key,
+        ...archived,
+      });
+      console.log(`raw_partition_dropped partition=${p.name} action=${opts.action}`);
+    }
+    console.log(
+      `raw_retention_complete retention_months=${opts.retentionMonths} action=${opts.action} partitions=${expired.length} dry_run=${dryRun}`,
+    );
+  } finally {
+    await db.end();
+  }
+}
+
+if (isMainModule()) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,34 @@
+/**
+ * Runs `fn` over `items` with at most `limit` calls in flight, in list order. `fn` is expected to
+ * handle per-item failures itself; an error it throws stops new items from starting, and is
+ * rethrown once the calls already running have settled (so no transaction is cut off mid-way).
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<void>} fn
+ */
+export async function runPool(items, limit, fn) {
+  let next = 0;
+  let firstError = null;
+  const worker = async () => {
+    while (next < items.length && !firstError) {
+      const index = next++;
+      try {
+        await fn(items[index], index);
+      } catch (error) {
+        firstError ??= error;
+      }
+    }
+  };
+  const size = Math.max(1, Math.min(Math.floor(limit) || 1, items.length));
+  await Promise.all(Array.from({ length: size }, worker));
+  if (firstError) throw firstError;
+}
+
+/** `INGEST_CONCURRENCY` as a positive integer (default 4, at most 32). */
+export function concurrencyFromEnv(value = process.env.INGEST_CONCURRENCY) {
+  const n = Number.parseInt(String(value ?? ""), 10);
+  if (!Number.isFinite(n) || n < 1) return 4;
+  return Math.min(n, 32);
+}
@@ -0,0 +1,133 @@
+/**
+ * Logs the Worker refused to queue: `quarantine/<serial>/<yyyy>/<mm>/<dd>/<file>` with a
+ * `quarantine_reason` metadata field (empty, invalid_gzip, no_records, csv_header_drift).
+ *
+ *   node src/quarantine.js list [serial]
+ *   node src/quarantine.js release <quarantine key>   (copy back to log-gz/, queue it, delete the quarantined copy)
+ *
+ * Env: CLOUDFLARE_ACCOUNT_ID, CLOUDFLARE_R2_ACCESS_KEY_ID, CLOUDFLARE_R2_SECRET_ACCESS_KEY, R2_BUCKET_NAME,
+ * SITE_ID (optional; keys are then under the site's prefix, see src/sites.js).
+ */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { CopyObjectCommand, DeleteObjectCommand, HeadObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { createR2ClientFromEnv } from "./r2.js";
+import { enqueueObject } from "./ingest-queue.js";
+import { loadSite } from "./sites.js";
+
+export const QUARANTINE_PREFIX = "quarantine/";
+export const LOG_PREFIX = "log-gz/";
+
+const __filename = fileURLToPath(import.meta.url);
+
+function isMainModule() {
+  const a = process.argv[1];
+  if (!a) return false;
+  try {
+    return path.resolve(a) === __filename;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Quarantined objects (optionally one serial), oldest key first, with their reason.
+ *
+ * @param {import("@aws-sdk/client-s3").S3Client} client
+ * @param {{ bucket: string, root?: string, serial?: string, maxKeys?: number }} opts
+ */
+export async function listQuarantined(client, { bucket, root = "", serial, maxKeys = 1000 }) {
+  const prefix = `${root}${QUARANTINE_PREFIX}${serial ? `${serial}/` : ""}`;
+  const found = [];
+  let continuationToken;
+  do {
+    const resp = await client.send(
+      new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        MaxKeys: Math.min(maxKeys - found.length, 1000),
+        ContinuationToken: continuationToken,
+      }),
+    );
+    for (const obj of resp.Contents || []) {
+      if (obj.Key) found.push({ key: obj.Key, size: obj.Size || 0, lastModified: obj.LastModified || null });
+    }
+    continuationToken = resp.IsTruncated ? resp.NextContinuationToken : undefined;
+  } while (continuationToken && found.length < maxKeys);
+
+  for (const item of found) {
+    const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: item.key }));
+    item.reason = head.Metadata?.quarantine_reason || "unknown";
+  }
+  return found;
+}
+
+/** `<root>quarantine/<serial>/…` → `<root>log-gz/<serial>/…` */
+export function releasedKey(key, root = "") {
+  const from = `${root}${QUARANTINE_PREFIX}`;
+  if (!key.startsWith(from) || key.length === from.length) {
+    throw new Error(`Not a quarantine key: ${key}`);
+  }
+  return `${root}${LOG_PREFIX}${key.slice(from.length)}`;
+}
+
+/**
+ * Moves one object back to log-gz/ and queues it for the next ingest run. The copy keeps the
+ * Worker's metadata, minus quarantine_reason, plus `released_from_quarantine` (the old reason).
+ */
+export async function releaseQuarantined(client, { bucket, root = "", key }, now = new Date()) {
+  const target = releasedKey(key, root);
+  const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+  const { quarantine_reason: reason = "unknown", ...meta } = head.Metadata || {};
+  const copied = await client.send(
+    new CopyObjectCommand({
+      Bucket: bucket,
+      Key: target,
+      CopySource: `${bucket}/${key.split("/").map(encodeURIComponent).join("/")}`,
+      MetadataDirective: "REPLACE",
+      ContentType: head.ContentType || "application/gzip",
+      Metadata: { ...meta, released_from_quarantine: reason, released_at: now.toISOString() },
+    }),
+  );
+  const etag = String(copied.CopyObjectResult?.ETag || "no_etag").replaceAll("\"", "");
+  await enqueueObject(client, {
+    bucket,
+    key: target,
+    etag,
+    size: head.ContentLength || 0,
+    serial: meta.serial,
+    filetime: meta.filetime,
+    root,
+  });
+  await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  return { key: target, etag, reason };
+}
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+  const { bucket, root } = loadSite();
+  const client = createR2ClientFromEnv();
+
+  if (command === "list") {
+    const items = await listQuarantined(client, { bucket, root, serial: arg });
+    for (const it of items) {
+      console.log(`${it.key}\tsize=${it.size}\treason=${it.reason}\tlast_modified=${it.lastModified?.toISOString?.() ?? ""}`);
+    }
+    console.log(`quarantine_list count=${items.length}${arg ? ` serial=${arg}` : ""}`);
+    return;
+  }
+  if (command === "release" && arg) {
+    const out = await releaseQuarantined(client, { bucket, root, key: arg });
+    console.log(`quarantine_release from=${arg} to=${out.key} etag=${out.etag} reason=${out.reason} queued=true`);
+    return;
+  }
+  console.error("Usage: node src/quarantine.js list [serial] | release <quarantine/… key>");
+  process.exit(1);
+}
+
+if (isMainModule()) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
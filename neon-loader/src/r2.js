@@ -1,4 +1,12 @@
-import { S3Client, ListObjectsV2Command, GetObjectCommand } from "@aws-sdk/client-s3";
+import {
+  S3Client,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from "@aws-sdk/client-s3";
 
 export function createR2ClientFromEnv() {
   const accountId = mustGetEnv("CLOUDFLARE_ACCOUNT_ID");
@@ -89,6 +97,19 @@ export async function listR2Objects(client, { bucket, prefix, maxKeys, listScanC
   return accum.slice(0, processCap);
 }
 
+/** Every key under `prefix`, a ListObjects page (≤ 1000 keys) at a time, in key order. */
+export async function* listR2KeyPages(client, { bucket, prefix }) {
+  let continuationToken;
+  do {
+    const resp = await client.send(
+      new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, MaxKeys: LIST_PAGE_MAX, ContinuationToken: continuationToken }),
+    );
+    const keys = (resp.Contents || []).map((o) => o.Key).filter(Boolean);
+    if (keys.length) yield keys;
+    continuationToken = resp.IsTruncated ? resp.NextContinuationToken : undefined;
+  } while (continuationToken);
+}
+
 export async function getR2ObjectBytes(client, { bucket, key }) {
   const command = new GetObjectCommand({
     Bucket: bucket,
@@ -100,6 +121,56 @@ export async function getR2ObjectBytes(client, { bucket, key }) {
   return new Uint8Array(bytes);
 }
 
+/** R2 wants every multipart part but the last to be the same size (and at least 5 MiB). */
+const UPLOAD_PART_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Uploads a stream of unknown length with a multipart upload, in equal `partBytes` parts; the
+ * upload is aborted if the stream or a part fails.
+ *
+ * @param {AsyncIterable<Buffer | Uint8Array>} body
+ * @returns {Promise<{ bytes: number, parts: number }>}
+ */
+export async function uploadR2Stream(client, { bucket, key, body, contentType, metadata, partBytes = UPLOAD_PART_BYTES }) {
+  const { UploadId } = await client.send(
+    new CreateMultipartUploadCommand({ Bucket: bucket, Key: key, ContentType: contentType, Metadata: metadata }),
+  );
+  const parts = [];
+  let bytes = 0;
+  const uploadPart = async (Body) => {
+    const PartNumber = parts.length + 1;
+    const resp = await client.send(
+      new UploadPartCommand({ Bucket: bucket, Key: key, UploadId, PartNumber, Body, ContentLength: Body.length }),
+    );
+    parts.push({ ETag: resp.ETag, PartNumber });
+    bytes += Body.length;
+  };
+  try {
+    let chunks = [];
+    let size = 0;
+    for await (const chunk of body) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      size += chunk.length;
+      if (size < partBytes) continue;
+      let pending = Buffer.concat(chunks, size);
+      while (pending.length >= partBytes) {
+        await uploadPart(pending.subarray(0, partBytes));
+        pending = pending.subarray(partBytes);
+      }
+      chunks = [pending];
+      size = pending.length;
+    }
+    if (size > 0 || parts.length === 0) await uploadPart(Buffer.concat(chunks, size));
+    await client.send(
+      new CompleteMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId, MultipartUpload: { Parts: parts } }),
+    );
+  } catch (error) {
+    await client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId })).catch(() => {});
+    throw error;
+  }
+  return { bytes, parts: parts.length };
+}
+
 async function streamToBuffer(stream) {
   const chunks = [];
   for await (const chunk of stream) {
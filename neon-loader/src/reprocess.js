@@ -0,0 +1,247 @@
+/**
+ * Re-derives tall rows for files parsed with an older PARSER_VERSION (src/parse.js), replacing
+ * hand-written replays. Each file is one transaction: its utility_measurement_tall rows are
+ * deleted and rebuilt (so nothing is duplicated) along with the rollup hours they cover, its
+ * labels refreshed from the label map, and its parser_version set to the current one.
+ *
+ *   node src/reprocess.js [--device mb-006] [--schema <id>] [--from yyyy-mm-dd] [--to yyyy-mm-dd]
+ *                         [--source r2|raw] [--limit N] [--force] [--dry-run]
+ *
+ * --source r2 (default) downloads and parses the object again, replacing its ingest_raw_record
+ * rows too, unless the file's raw-record month is archived or past RAW_RETENTION_MONTHS (rows
+ * written there would replace the month's archive); if the object is gone it falls back to raw. --source raw rebuilds from the stored
+ * ingest_raw_record rows only (no R2 reads); a file whose raw records are gone (RAW_RETENTION_MONTHS)
+ * while it still has tall rows fails instead of losing them. --from / --to filter on the file time (inclusive
+ * days, UTC). --force also takes files already at the current version (e.g. after a label map fix).
+ *
+ * Env: NEON_DATABASE_URL, R2 vars as for ingest (unless --source raw), SITE_ID, LABEL_MAP_PATH,
+ * STRICT_SCHEMA, INGEST_CONCURRENCY, RAW_RETENTION_MONTHS.
+ */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createDbPoolFromEnv, deleteTallRowsForFile, insertRawRecords, insertTallRows, withTransaction } from "./db.js";
+import { loadLabelMap, loadSchemaColumnOrders, parseOptionsForLabel, resolveLabel } from "./labeling.js";
+import { PARSER_VERSION, parseGzipLog, tallRowsFromRawRecords } from "./parse.js";
+import { partitionOptionsFromEnv, rawMonthRetired } from "./partitions.js";
+import { concurrencyFromEnv, runPool } from "./pool.js";
+import { createR2ClientFromEnv, getR2ObjectBytes } from "./r2.js";
+import { fileRollupHours, refreshRollups, rollupHours } from "./rollups.js";
+import { loadSite } from "./sites.js";
+
+const PAGE_SIZE = 100;
+
+const __filename = fileURLToPath(import.meta.url);
+
+function isMainModule() {
+  const a = process.argv[1];
+  if (!a) return false;
+  try {
+    return path.resolve(a) === __filename;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parsed files of one site matching the filters, with `id > afterId`, oldest id first.
+ *
+ * @param {{ siteId: string, device?: string, schema?: string, from?: string, to?: string, force?: boolean }} filters
+ */
+export async function selectReprocessBatch(db, filters, { afterId = 0, limit = PAGE_SIZE } = {}) {
+  const resp = await db.query(
+    `SELECT id, r2_key, etag, serial, site_id, parser_version, ingested_at, column_headers
+    FROM ingest_raw_file
+    WHERE parse_status = 'parsed'
+      AND site_id = $1
+      AND ($2::boolean OR parser_version IS NULL OR parser_version < $3)
+      AND ($4::text IS NULL OR device_address = $4)
+      AND ($5::text IS NULL OR schema_id = $5)
+      AND ($6::date IS NULL OR COALESCE(filetime, ingested_at) >= $6::date)
+      AND ($7::date IS NULL OR COALESCE(filetime, ingested_at) < $7::date + 1)
+      AND id > $8
+    ORDER BY id
+    LIMIT $9`,
+    [
+      filters.siteId,
+      Boolean(filters.force),
+      PARSER_VERSION,
+      filters.device || null,
+      filters.schema || null,
+      filters.from || null,
+      filters.to || null,
+      afterId,
+      limit,
+    ],
+  );
+  return resp.rows;
+}
+
+/**
+ * @param {{ id: number, r2_key: string, serial: string | null, site_id: string, parser_version: number | null, ingested_at: Date, column_headers?: string[] | null }} file
+ * @returns {Promise<{ source: "r2" | "raw", rawRows: number, tallBefore: number, tallAfter: number }>}
+ */
+export async function reprocessFile(
+  db,
+  file,
+  { r2, bucket, labelMapConfig, strictSchema = false, schemaColumnOrders = {}, source = "r2", retentionMonths = 0, dryRun = false },
+) {
+  const label = resolveLabel(labelMapConfig, path.basename(file.r2_key));
+  const options = parseOptionsForLabel(labelMapConfig, label, { strictSchema, schemaColumnOrders });
+
+  let parsed = null;
+  if (source === "r2") {
+    try {
+      parsed = parseGzipLog(await getR2ObjectBytes(r2, { bucket, key: file.r2_key }), options);
+    } catch (error) {
+      if (error?.name !== "NoSuchKey" && error?.$metadata?.httpStatusCode !== 404) throw error;
+      console.warn(`reprocess_r2_missing key=${file.r2_key} file_id=${file.id} (using stored raw records)`);
+    }
+  }
+
+  const work = async (client) => {
+    let rawRows;
+    let tallRows;
+    if (parsed) {
+      rawRows = parsed.rawRecords.length;
+      if (!dryRun && (await rawMonthRetired(client, file.ingested_at, { retentionMonths }))) {
+        console.warn(`reprocess_raw_retired key=${file.r2_key} file_id=${file.id} (raw records left as they are)`);
+        rawRows = 0;
+      } else if (!dryRun) {
+        await client.query("DELETE FROM ingest_raw_record WHERE file_id = $1", [file.id]);
+        // Same ingested_at as the rows replaced, so they stay in the file's raw-record partition.
+        await insertRawRecords(client, file.id, parsed.rawRecords, label, { ingestedAt: file.ingested_at });
+      }
+      tallRows = parsed.tallRows;
+    } else {
+      const raw = await client.query(
+        "SELECT line_no, raw_text, parsed_json FROM ingest_raw_record WHERE file_id = $1 ORDER BY line_no",
+        [file.id],
+      );
+      if (!raw.rows.length) {
+        const tall = await client.query("SELECT 1 FROM utility_measurement_tall WHERE source_file_id = $1 LIMIT 1", [file.id]);
+        // Raw records removed by the retention policy (src/partitions.js): keep the tall rows.
+        if (tall.rows.length) throw new Error(`No raw records for file_id=${file.id} ${file.r2_key}; not rebuilding its tall rows`);
+      }
+      rawRows = raw.rows.length;
+      tallRows = tallRowsFromRawRecords(
+        raw.rows.map((r) => ({ lineNo: r.line_no, rawText: r.raw_text, parsedJson: r.parsed_json })),
+        options,
+        file.column_headers,
+      );
+    }
+    const tallAfter = label.hasData ? tallRows.filter((r) => r.recordTs).length : 0;
+    if (dryRun) {
+      const before = await client.query("SELECT COUNT(*)::int AS n FROM utility_measurement_tall WHERE source_file_id = $1", [
+        file.id,
+      ]);
+      return { rawRows, tallBefore: before.rows[0].n, tallAfter };
+    }
+
+    const oldHours = await fileRollupHours(client, file.id);
+    const tallBefore = await deleteTallRowsForFile(client, file.id);
+    if (label.hasData) await insertTallRows(client, file.id, file.serial || "unknown_serial", tallRows, label, file.site_id);
+    // Hours the old rows covered (possibly under another device or time) and hours of the new ones.
+    const hours = new Map(oldHours.map((h) => [`${h.device_address}|${h.bucket}`, h]));
+    if (label.hasData) for (const h of rollupHours(tallRows, label.deviceAddress)) hours.set(`${h.device_address}|${h.bucket}`, h);
+    await refreshRollups(client, file.site_id, [...hours.values()]);
+    await client.query(
+      `UPDATE ingest_raw_file
+      SET parser_version = $2, device_address = $3, physical_group = $4, schema_id = $5,
+        column_headers = CASE WHEN $6::boolean THEN $7::jsonb ELSE column_headers END
+      WHERE id = $1`,
+      [
+        file.id,
+        PARSER_VERSION,
+        label.deviceAddress,
+        label.physicalGroup,
+        label.schemaId,
+        Boolean(parsed),
+        parsed?.headers.length ? JSON.stringify(parsed.headers) : null,
+      ],
+    );
+    return { rawRows, tallBefore, tallAfter };
+  };
+
+  const counts = dryRun ? await work(db) : await withTransaction(db, work);
+  return { source: parsed ? "r2" : "raw", ...counts };
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      device: { type: "string" },
+      schema: { type: "string" },
+      from: { type: "string" },
+      to: { type: "string" },
+      source: { type: "string", default: "r2" },
+      limit: { type: "string" },
+      force: { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+    },
+  });
+  if (!["r2", "raw"].includes(args.source)) throw new Error(`--source must be r2 or raw, got ${args.source}`);
+  for (const d of [args.from, args.to]) {
+    if (d && !/^\d{4}-\d{2}-\d{2}$/.test(d)) throw new Error(`Expected yyyy-mm-dd, got ${d}`);
+  }
+  const limit = args.limit ? Number(args.limit) : Infinity;
+  const dryRun = args["dry-run"];
+
+  const site = loadSite();
+  const labelMapConfig = await loadLabelMap(site.labelMapPath);
+  const concurrency = concurrencyFromEnv();
+  const db = createDbPoolFromEnv({ max: concurrency + 1 });
+  const opts = {
+    r2: args.source === "r2" ? createR2ClientFromEnv() : null,
+    bucket: site.bucket,
+    labelMapConfig,
+    strictSchema: process.env.STRICT_SCHEMA === "1",
+    schemaColumnOrders: loadSchemaColumnOrders(),
+    source: args.source,
+    retentionMonths: partitionOptionsFromEnv().retentionMonths,
+    dryRun,
+  };
+  const filters = { siteId: site.id, device: args.device, schema: args.schema, from: args.from, to: args.to, force: args.force };
+  const stats = { files: 0, failed: 0, tallBefore: 0, tallAfter: 0 };
+  console.log(
+    `reprocess_start site=${site.id} parser_version=${PARSER_VERSION} source=${args.source} device=${args.device || "*"} schema=${args.schema || "*"} from=${args.from || "*"} to=${args.to || "*"} force=${args.force} dry_run=${dryRun}`,
+  );
+  try {
+    let afterId = 0;
+    while (stats.files + stats.failed < limit) {
+      const page = await selectReprocessBatch(db, filters, {
+        afterId,
+        limit: Math.min(PAGE_SIZE, limit - stats.files - stats.failed),
+      });
+      if (!page.length) break;
+      afterId = page[page.length - 1].id;
+      await runPool(page, concurrency, async (file) => {
+        try {
+          const out = await reprocessFile(db, file, opts);
+          stats.files += 1;
+          stats.tallBefore += out.tallBefore;
+          stats.tallAfter += out.tallAfter;
+          console.log(
+            `${dryRun ? "reprocess_dry_run" : "reprocessed"} key=${file.r2_key} file_id=${file.id} from_version=${file.parser_version ?? "none"} source=${out.source} raw=${out.rawRows} tall_before=${out.tallBefore} tall_after=${out.tallAfter}`,
+          );
+        } catch (error) {
+          stats.failed += 1;
+          console.error(`reprocess_failed key=${file.r2_key} file_id=${file.id} message=${error.message}`);
+        }
+      });
+    }
+  } finally {
+    await db.end();
+  }
+  console.log(
+    `reprocess_complete site=${site.id} parser_version=${PARSER_VERSION} files=${stats.files} failed=${stats.failed} tall_before=${stats.tallBefore} tall_after=${stats.tallAfter} dry_run=${dryRun}`,
+  );
+  if (stats.failed) process.exitCode = 1;
+}
+
+if (isMainModule()) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,91 @@
+/**
+ * Failure handling for one object: `transient` errors (R2 / network timeouts, throttling, Neon
+ * connection drops, serialization conflicts) are retried within the run with exponential backoff;
+ * anything else is `permanent` (corrupt gzip, unparseable rows, constraint or data errors) and
+ * counts towards the object's dead-letter threshold (see recordFileFailure in db.js).
+ */
+
+const TRANSIENT_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+const TRANSIENT_NAMES = new Set([
+  "TimeoutError",
+  "RequestTimeout",
+  "RequestTimeoutException",
+  "SlowDown",
+  "ThrottlingException",
+  "InternalError",
+  "ServiceUnavailable",
+]);
+
+/** Postgres SQLSTATEs worth retrying: connection loss, serialization / deadlock, resources, shutdown. */
+function isTransientSqlState(code) {
+  return /^(08|53|57P0[1-3])/.test(code) || code === "40001" || code === "40P01";
+}
+
+/** @returns {"transient" | "permanent"} */
+export function classifyError(error) {
+  if (!error) return "permanent";
+  const code = String(error.code || "");
+  if (TRANSIENT_CODES.has(code) || isTransientSqlState(code)) return "transient";
+  if (TRANSIENT_NAMES.has(error.name)) return "transient";
+  if (error.$retryable) return "transient";
+  const http = error.$metadata?.httpStatusCode;
+  if (http === 429 || (http >= 500 && http < 600)) return "transient";
+  if (/Connection terminated|connection timeout|socket hang up/i.test(String(error.message || ""))) return "transient";
+  if (error.cause && error.cause !== error) return classifyError(error.cause);
+  return "permanent";
+}
+
+/**
+ * INGEST_RETRY_ATTEMPTS (tries per object per run, default 3), INGEST_RETRY_BASE_MS (first wait,
+ * doubled each retry, default 1000) and DEAD_LETTER_AFTER (permanent failures, default 3).
+ */
+export function retryOptionsFromEnv(env = process.env) {
+  const int = (v, def, min) => {
+    const n = Number.parseInt(String(v ?? ""), 10);
+    return Number.isFinite(n) && n >= min ? n : def;
+  };
+  return {
+    attempts: int(env.INGEST_RETRY_ATTEMPTS, 3, 1),
+    baseMs: int(env.INGEST_RETRY_BASE_MS, 1000, 0),
+    deadLetterAfter: int(env.DEAD_LETTER_AFTER, 3, 1),
+  };
+}
+
+/**
+ * Calls `fn` until it succeeds, throws a permanent error, or `attempts` tries are used up (the
+ * last error is rethrown). Waits `baseMs * 2^(n-1)`, plus up to 50% jitter, before retry n.
+ *
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {{ attempts?: number, baseMs?: number, onRetry?: (error: any, attempt: number, waitMs: number) => void,
+ *   sleep?: (ms: number) => Promise<void> }} [opts]
+ * @returns {Promise<T>}
+ */
+export async function withRetry(fn, { attempts = 3, baseMs = 1000, onRetry = () => {}, sleep = delay } = {}) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= attempts || classifyError(error) !== "transient") throw error;
+      const waitMs = Math.round(baseMs * 2 ** (attempt - 1) * (1 + Math.random() / 2));
+      onRetry(error, attempt, waitMs);
+      await sleep(waitMs);
+    }
+  }
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,197 @@
+/**
+ * Hourly and daily (UTC) rollups of utility_measurement_tall: min, max, sum / avg, last value and
+ * sample count per device, metric and bucket. The loader recomputes only the device-hours a file
+ * touched, from the tall rows, in the file's transaction; the days containing them are then
+ * recomputed from the hourly rows. `rebuild` redoes a date range (e.g. after `npm run replay:flow`).
+ *
+ *   node src/rollups.js rebuild --from yyyy-mm-dd [--to yyyy-mm-dd]
+ *
+ * Env: NEON_DATABASE_URL, SITE_ID (optional, see src/sites.js).
+ */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createDbPoolFromEnv, withTransaction } from "./db.js";
+import { loadSite } from "./sites.js";
+
+const __filename = fileURLToPath(import.meta.url);
+
+function isMainModule() {
+  const a = process.argv[1];
+  if (!a) return false;
+  try {
+    return path.resolve(a) === __filename;
+  } catch {
+    return false;
+  }
+}
+
+const TOUCHED = `jsonb_to_recordset($2::jsonb) AS t(device_address TEXT, bucket TIMESTAMPTZ)`;
+
+/**
+ * Distinct device-hours of tall rows about to be written for one device (rows without record_ts
+ * are never stored).
+ *
+ * @returns {Array<{ device_address: string, bucket: string }>}
+ */
+export function rollupHours(tallRows, deviceAddress) {
+  const device = deviceAddress || "unknown";
+  const buckets = new Set();
+  for (const row of tallRows) {
+    if (row.recordTs) buckets.add(`${new Date(row.recordTs).toISOString().slice(0, 13)}:00:00.000Z`);
+  }
+  return [...buckets].sort().map((bucket) => ({ device_address: device, bucket }));
+}
+
+/** Device-hours of a file's stored tall rows (before they are deleted, e.g. by reprocess). */
+export async function fileRollupHours(client, fileId) {
+  const resp = await client.query(
+    `SELECT DISTINCT COALESCE(device_address, 'unknown') AS device_address, date_trunc('hour', record_ts) AS bucket
+    FROM utility_measurement_tall
+    WHERE source_file_id = $1`,
+    [fileId],
+  );
+  return resp.rows.map((r) => ({ device_address: r.device_address, bucket: new Date(r.bucket).toISOString() }));
+}
+
+/**
+ * Recomputes the hourly rows of `hours` and the daily rows of their days for one site. Call it in
+ * the transaction that changed the tall rows, after the change. A transaction-scoped advisory lock
+ * per device makes concurrent files of one device refresh one after the other, each seeing the
+ * other's committed rows.
+ *
+ * @param {import("pg").PoolClient} client
+ * @param {string} siteId
+ * @param {Array<{ device_address: string, bucket: string }>} hours
+ */
+export async function refreshRollups(client, siteId, hours) {
+  if (!hours.length) return;
+  const devices = [...new Set(hours.map((h) => h.device_address))].sort();
+  const touched = JSON.stringify(hours);
+  await client.query(
+    "SELECT pg_advisory_xact_lock(hashtext('rollup:' || $1 || ':' || d)) FROM unnest($2::text[]) AS d ORDER BY d",
+    [siteId, devices],
+  );
+
+  await client.query(
+    `DELETE FROM utility_measurement_hourly h
+    USING ${TOUCHED}
+    WHERE h.site_id = $1 AND h.device_address = t.device_address AND h.bucket = t.bucket`,
+    [siteId, touched],
+  );
+  await client.query(
+    `INSERT INTO utility_measurement_hourly (
+      site_id, device_address, metric_key, unit, source_system, physical_group, bucket,
+      min_value, max_value, sum_value, sample_count, last_value, last_ts
+    )
+    SELECT m.site_id, t.device_address, m.metric_key, COALESCE(m.unit, ''), COALESCE(m.source_system, 'unknown'),
+      COALESCE(m.physical_group, 'unknown'), t.bucket,
+      MIN(m.metric_value), MAX(m.metric_value), SUM(m.metric_value), COUNT(*),
+      (ARRAY_AGG(m.metric_value ORDER BY m.record_ts DESC, m.id DESC))[1], MAX(m.record_ts)
+    FROM ${TOUCHED}
+    JOIN utility_measurement_tall m
+      ON m.record_ts >= t.bucket AND m.record_ts < t.bucket + INTERVAL '1 hour'
+      AND COALESCE(m.device_address, 'unknown') = t.device_address
+    WHERE m.site_id = $1
+    GROUP BY 1, 2, 3, 4, 5, 6, 7`,
+    [siteId, touched],
+  );
+
+  const days = `(SELECT DISTINCT t.device_address, (t.bucket AT TIME ZONE 'UTC')::date AS day FROM ${TOUCHED}) AS d`;
+  await client.query(
+    `DELETE FROM utility_measurement_daily x
+    USING ${days}
+    WHERE x.site_id = $1 AND x.device_address = d.device_address AND x.bucket = d.day`,
+    [siteId, touched],
+  );
+  await client.query(
+    `INSERT INTO utility_measurement_daily (
+      site_id, device_address, metric_key, unit, source_system, physical_group, bucket,
+      min_value, max_value, sum_value, sample_count, last_value, last_ts
+    )
+    SELECT h.site_id, h.device_address, h.metric_key, h.unit, h.source_system, h.physical_group, d.day,
+      MIN(h.min_value), MAX(h.max_value), SUM(h.sum_value), SUM(h.sample_count),
+      (ARRAY_AGG(h.last_value ORDER BY h.last_ts DESC))[1], MAX(h.last_ts)
+    FROM ${days}
+    JOIN utility_measurement_hourly h
+      ON h.site_id = $1 AND h.device_address = d.device_address
+      AND h.bucket >= d.day::timestamp AT TIME ZONE 'UTC' AND h.bucket < (d.day + 1)::timestamp AT TIME ZONE 'UTC'
+    GROUP BY 1, 2, 3, 4, 5, 6, 7`,
+    [siteId, touched],
+  );
+}
+
+/**
+ * Recomputes every device-hour of one UTC day that has tall rows or a rollup row (so rollups of
+ * deleted tall rows go too). One transaction.
+ *
+ * @returns {Promise<number>} device-hours refreshed
+ */
+export async function rebuildRollupDay(db, siteId, day) {
+  return withTransaction(db, async (client) => {
+    const resp = await client.query(
+      `SELECT device_address, bucket FROM (
+        SELECT COALESCE(device_address, 'unknown') AS device_address, date_trunc('hour', record_ts) AS bucket
+        FROM utility_measurement_tall
+        WHERE site_id = $1 AND record_ts >= $2::date::timestamp AT TIME ZONE 'UTC'
+          AND record_ts < ($2::date + 1)::timestamp AT TIME ZONE 'UTC'
+        UNION
+        SELECT device_address, bucket
+        FROM utility_measurement_hourly
+        WHERE site_id = $1 AND bucket >= $2::date::timestamp AT TIME ZONE 'UTC'
+          AND bucket < ($2::date + 1)::timestamp AT TIME ZONE 'UTC'
+      ) AS hours
+      ORDER BY 1, 2`,
+      [siteId, day],
+    );
+    const hours = resp.rows.map((r) => ({ device_address: r.device_address, bucket: new Date(r.bucket).toISOString() }));
+    await refreshRollups(client, siteId, hours);
+    return hours.length;
+  });
+}
+
+/** yyyy-mm-dd days from `from` to `to`, inclusive. */
+export function daysBetween(from, to) {
+  const out = [];
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += 86_400_000) {
+    out.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return out;
+}
+
+async function main() {
+  const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: { from: { type: "string" }, to: { type: "string" } },
+  });
+  const to = args.to || new Date().toISOString().slice(0, 10);
+  if (positionals[0] !== "rebuild" || !args.from) {
+    console.error("Usage: node src/rollups.js rebuild --from yyyy-mm-dd [--to yyyy-mm-dd]");
+    process.exitCode = 1;
+    return;
+  }
+  for (const d of [args.from, to]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(d)) throw new Error(`Expected yyyy-mm-dd, got ${d}`);
+  }
+
+  const site = loadSite();
+  const db = createDbPoolFromEnv();
+  let total = 0;
+  try {
+    for (const day of daysBetween(args.from, to)) {
+      const hours = await rebuildRollupDay(db, site.id, day);
+      total += hours;
+      console.log(`rollup_rebuild site=${site.id} day=${day} device_hours=${hours}`);
+    }
+  } finally {
+    await db.end();
+  }
+  console.log(`rollup_rebuild_complete site=${site.id} from=${args.from} to=${to} device_hours=${total}`);
+}
+
+if (isMainModule()) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
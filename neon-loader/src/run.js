@@ -1,52 +1,141 @@
-import { readFileSync } from "node:fs";
 import path from "node:path";
-import { fileURLToPath } from "node:url";
-import { createDbPoolFromEnv, insertRawFile, insertRawRecords, insertTallRows, withTransaction } from "./db.js";
-import { checkpointPairKey, fetchProcessedPairSet, markProcessed } from "./checkpoint.js";
+import {
+  createDbPoolFromEnv,
+  insertRawFile,
+  insertRawRecords,
+  insertTallRows,
+  recordFileFailure,
+  withTransaction,
+} from "./db.js";
+import { checkpointPairKey, fetchDeadLetterPairSet, fetchProcessedPairSet, markProcessed } from "./checkpoint.js";
 import { parseGzipLog } from "./parse.js";
 import { createR2ClientFromEnv, getR2ObjectBytes, listR2Objects } from "./r2.js";
-import { loadLabelMap, resolveLabel } from "./labeling.js";
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-function loadSchemaColumnOrders() {
-  try {
-    return JSON.parse(
-      readFileSync(path.join(__dirname, "..", "schema-column-orders.json"), "utf8"),
-    );
-  } catch {
-    return {};
-  }
-}
+import { ackQueueMessages, listQueuedObjects, QUEUE_PREFIX, splitQueuedObjects } from "./ingest-queue.js";
+import { loadLabelMap, loadSchemaColumnOrders, parseOptionsForLabel, resolveLabel } from "./labeling.js";
+import { ingestStatusObjects, STATUS_PREFIX } from "./status.js";
+import { loadSite, serialFromKey } from "./sites.js";
+import { concurrencyFromEnv, runPool } from "./pool.js";
+import { finishIngestRun, gitSha, newRunId, startIngestRun } from "./ingest-run.js";
+import { classifyError, retryOptionsFromEnv, withRetry } from "./retry.js";
+import { recordHeaderVariant } from "./header-variants.js";
+import { refreshRollups, rollupHours } from "./rollups.js";
 
 const schemaColumnOrders = loadSchemaColumnOrders();
 
 async function main() {
-  const runId = `${Date.now()}`;
-  const bucket = mustGetEnv("R2_BUCKET_NAME");
-  const prefix = process.env.INGEST_PREFIX || "log-gz/";
+  const runId = newRunId();
+  // One site per run (SITE_ID); its keys all sit under site.root, its rows carry site.id.
+  const site = loadSite();
+  const prefix = `${site.root}${process.env.INGEST_PREFIX || "log-gz/"}`;
+  const statusPrefix = `${site.root}${STATUS_PREFIX}`;
   const maxKeys = Number(process.env.INGEST_BATCH_LIMIT || "200");
   const listScanCap = Number(process.env.INGEST_LIST_SCAN_CAP || "");
   const dryRun = process.env.DRY_RUN === "1";
+  // Strict header allowlists can drop every column if filenames/eras don't match exactly.
+  // Default: parse all meter columns (like the legacy Python loader). Opt in with STRICT_SCHEMA=1.
+  const strictSchema = process.env.STRICT_SCHEMA === "1";
+  // Objects downloaded, parsed and loaded at once (each still in its own transaction).
+  const concurrency = concurrencyFromEnv();
+  // queue (default): only objects the Worker announced under ingest-queue/.
+  // reconcile: full listing of INGEST_PREFIX, for objects written before the queue or whose message was lost.
+  const mode = process.env.INGEST_MODE === "reconcile" ? "reconcile" : "queue";
 
   const r2 = createR2ClientFromEnv();
-  const db = createDbPoolFromEnv();
-  const labelMapConfig = await loadLabelMap();
+  const db = createDbPoolFromEnv({ max: concurrency + 1 });
+  const labelMapConfig = await loadLabelMap(site.labelMapPath);
 
-  const objects = await listR2Objects(r2, {
-    bucket,
+  // The ledger row comes first: checkpoints reference it. Dry runs write only this row.
+  await startIngestRun(db, {
+    runId,
+    siteId: site.id,
+    mode,
     prefix,
-    maxKeys,
-    ...(Number.isFinite(listScanCap) && listScanCap > 0 ? { listScanCap } : {}),
+    batchLimit: maxKeys,
+    dryRun,
+    strictSchema,
+    concurrency,
+    gitSha: gitSha(),
   });
   const stats = {
-    listed: objects.length,
+    listed: 0,
     skipped: 0,
     succeeded: 0,
     failed: 0,
+    rawRows: 0,
+    tallRows: 0,
+    bytes: 0,
+    retries: 0,
+    deadLettered: 0,
+    deadLetterSkipped: 0,
   };
+  try {
+    await ingestObjects({
+      runId,
+      site,
+      prefix,
+      statusPrefix,
+      maxKeys,
+      listScanCap,
+      dryRun,
+      strictSchema,
+      concurrency,
+      mode,
+      r2,
+      db,
+      labelMapConfig,
+      stats,
+    });
+  } catch (error) {
+    await finishIngestRun(db, runId, { status: "failed", errorText: String(error.message || error), stats }).catch(
+      (e) => console.error(`ingest_run_update_failed run_id=${runId} message=${e.message}`),
+    );
+    throw error;
+  } finally {
+    await db.end();
+  }
+}
+
+/** Everything after the ledger row; `stats` ends up in ingest_run whether or not this throws. */
+async function ingestObjects({
+  runId,
+  site,
+  prefix,
+  statusPrefix,
+  maxKeys,
+  listScanCap,
+  dryRun,
+  strictSchema,
+  concurrency,
+  mode,
+  r2,
+  db,
+  labelMapConfig,
+  stats,
+}) {
+  const { bucket } = site;
+  let objects;
+  /** status/ uploads, loaded into device_status after the logs. */
+  let statusObjects;
+  /** Queue message keys to delete at the end of the run (consumed, not valid, or for keys outside this run). */
+  const ackKeys = [];
+  if (mode === "reconcile") {
+    const scan = Number.isFinite(listScanCap) && listScanCap > 0 ? { listScanCap } : {};
+    objects = await listR2Objects(r2, { bucket, prefix, maxKeys, ...scan });
+    statusObjects = await listR2Objects(r2, { bucket, prefix: statusPrefix, maxKeys, ...scan });
+  } else {
+    const queued = await listQueuedObjects(r2, { bucket, maxKeys, prefix: `${site.root}${QUEUE_PREFIX}` });
+    const split = splitQueuedObjects(queued.objects, { prefix, statusPrefix });
+    objects = split.logs;
+    statusObjects = split.statuses;
+    ackKeys.push(...queued.invalid);
+    for (const object of split.outside) {
+      console.warn(`queue_skipped key=${object.key} etag=${object.etag} messages=${object.messageKeys.length}`);
+      ackKeys.push(...object.messageKeys);
+    }
+  }
+  stats.listed = objects.length;
   console.log(
-    `run_id=${runId} prefix=${prefix} max_objects_this_run=${maxKeys} list_scan_cap_env=${process.env.INGEST_LIST_SCAN_CAP || "default"} listed=${objects.length} dry_run=${dryRun}`,
+    `run_id=${runId} site=${site.id} mode=${mode} prefix=${prefix} max_objects_this_run=${maxKeys} list_scan_cap_env=${process.env.INGEST_LIST_SCAN_CAP || "default"} listed=${objects.length} concurrency=${concurrency} dry_run=${dryRun}`,
   );
 
   const checkpointPairs = objects.map((o) => ({
@@ -54,112 +143,204 @@ async function main() {
     etag: o.etag || "no_etag",
   }));
   const processedSet = await fetchProcessedPairSet(db, checkpointPairs);
+  const deadLetterSet = await fetchDeadLetterPairSet(db, checkpointPairs);
+  const retry = retryOptionsFromEnv();
 
+  // Different keys overlap; versions of one key (several etags) stay in order on one lane.
+  const lanes = new Map();
   for (const object of objects) {
+    if (!lanes.has(object.key)) lanes.set(object.key, []);
+    lanes.get(object.key).push(object);
+  }
+
+  /**
+   * One object: its own transaction and checkpoint (retried on transient errors), or an error /
+   * dead_letter row. Never throws, so one object cannot stop the pool and the run's acks.
+   */
+  const ingestObject = async (object) => {
     const etag = object.etag || "no_etag";
     const fileName = path.basename(object.key);
     const label = resolveLabel(labelMapConfig, fileName);
-    const serial = serialFromKey(object.key);
+    const serial = serialFromKey(object.key, site.root);
 
     try {
       if (processedSet.has(checkpointPairKey(object.key, etag))) {
         stats.skipped += 1;
-        continue;
+        ackKeys.push(...(object.messageKeys || []));
+        return;
       }
 
-      console.log(`processing key=${object.key}`);
-      const bytes = await getR2ObjectBytes(r2, { bucket, key: object.key });
-      const schema = (labelMapConfig.schemas || {})[label.schemaId] || {};
-      // Strict header allowlists can drop every column if filenames/eras don't match exactly.
-      // Default: parse all meter columns (like the legacy Python loader). Opt in with STRICT_SCHEMA=1.
-      const strictSchema = process.env.STRICT_SCHEMA === "1";
-      const columnOrder = schema.columnOrder || schemaColumnOrders[label.schemaId] || null;
-      const parsed = parseGzipLog(bytes, {
-        expectedHeaders: strictSchema ? schema.expectedHeaders || [] : [],
-        headerAliases: strictSchema ? schema.headerAliases || {} : {},
-        columnOrder,
-      });
-      if (!label.hasData && parsed.measurableHeaders && parsed.measurableHeaders.length > 0) {
-        const preview = parsed.measurableHeaders.slice(0, 5).join(" | ");
-        console.warn(
-          `warning key=${object.key} device=${label.deviceAddress} hasData=false but measurable headers detected: ${preview}`,
-        );
+      if (deadLetterSet.has(checkpointPairKey(object.key, etag))) {
+        stats.deadLetterSkipped += 1;
+        ackKeys.push(...(object.messageKeys || []));
+        console.warn(`skip_dead_letter key=${object.key} etag=${etag} (npm run dead-letter -- replay to load it again)`);
+        return;
       }
-      if (dryRun) {
-        console.log(
-          `dry_run key=${object.key} rows=${parsed.rawRecords.length} tall=${parsed.tallRows.length} label=${label.labelCode}`,
-        );
-        stats.succeeded += 1;
-        continue;
-      }
-
-      await withTransaction(db, async (client) => {
-        const fileId = await insertRawFile(client, {
-          r2Key: object.key,
-          etag,
-          serial,
-          filetime: object.lastModified ? object.lastModified.toISOString() : null,
-          loopname: null,
-          source: "acquisuite",
-          parseStatus: "parsed",
-          errorText: null,
-          deviceAddress: label.deviceAddress,
-          physicalGroup: label.physicalGroup,
-          schemaId: label.schemaId,
-        });
 
-        await insertRawRecords(client, fileId, parsed.rawRecords, label);
-        if (label.hasData) {
-          const tallWithTs = parsed.tallRows.filter((r) => r.recordTs).length;
-          if (parsed.rawRecords.length > 0 && parsed.tallRows.length === 0) {
-            console.warn(
-              `warning key=${object.key} device=${label.deviceAddress} schemaId=${label.schemaId} raw_rows=${parsed.rawRecords.length} tall_rows=0 (no measurable numeric columns — strict schema, loose parse, or non-numeric cells)`,
-            );
-          }
-          if (parsed.tallRows.length > 0 && tallWithTs === 0) {
-            const sample = parsed.rawRecords[0]?.parsedJson || {};
-            console.warn(
-              `warning key=${object.key} device=${label.deviceAddress} parsed ${parsed.tallRows.length} tall rows but none had record_ts; check time column sample=${JSON.stringify(sample)}`,
-            );
-          }
-          await insertTallRows(client, fileId, serial, parsed.tallRows, label);
-        } else {
+      console.log(`processing key=${object.key}`);
+      // Download, parse and transaction again on transient errors; the transaction rolls back first.
+      // A connection lost during COMMIT may still have committed, so a retry checks the checkpoint.
+      let lastParsed = null;
+      // Size of the download that loaded; counted once, after the retries.
+      let loadedBytes = 0;
+      const loadOnce = async () => {
+        if (lastParsed && !dryRun) {
+          const done = await fetchProcessedPairSet(db, [{ r2Key: object.key, etag }]);
+          if (done.size) return lastParsed;
+        }
+        const bytes = await getR2ObjectBytes(r2, { bucket, key: object.key });
+        loadedBytes = bytes.length;
+        const parsed = parseGzipLog(bytes, parseOptionsForLabel(labelMapConfig, label, { strictSchema, schemaColumnOrders }));
+        lastParsed = parsed;
+        if (!label.hasData && parsed.measurableHeaders && parsed.measurableHeaders.length > 0) {
+          const preview = parsed.measurableHeaders.slice(0, 5).join(" | ");
           console.warn(
-            `skip_utility_measurement_tall key=${object.key} label=${label.labelCode} device=${label.deviceAddress} reason=hasData_false (ingest_raw_record still written)`,
+            `warning key=${object.key} device=${label.deviceAddress} hasData=false but measurable headers detected: ${preview}`,
           );
         }
-        await markProcessed(client, { r2Key: object.key, etag, runId });
-      });
-      stats.succeeded += 1;
-      console.log(
-        `ingested key=${object.key} rows=${parsed.rawRecords.length} tall=${parsed.tallRows.length} label=${label.labelCode}`,
-      );
-    } catch (error) {
-      stats.failed += 1;
-      console.error(`failed key=${object.key} message=${error.message}`);
-      if (!dryRun) {
+        if (dryRun) return parsed;
+
         await withTransaction(db, async (client) => {
-          await insertRawFile(client, {
+          const fileId = await insertRawFile(client, {
             r2Key: object.key,
             etag,
+            siteId: site.id,
             serial,
             filetime: object.lastModified ? object.lastModified.toISOString() : null,
             loopname: null,
             source: "acquisuite",
-            parseStatus: "error",
-            errorText: String(error.message || error),
+            parseStatus: "parsed",
+            errorText: null,
             deviceAddress: label.deviceAddress,
             physicalGroup: label.physicalGroup,
             schemaId: label.schemaId,
+            columnHeaders: parsed.headers,
           });
+
+          await insertRawRecords(client, fileId, parsed.rawRecords, label);
+          if (parsed.headerSource === "file") {
+            await recordHeaderVariant(client, {
+              siteId: site.id,
+              deviceAddress: label.deviceAddress,
+              schemaId: label.schemaId,
+              headers: parsed.headers,
+              seenAt: object.lastModified ? object.lastModified.toISOString() : null,
+            });
+          }
+          if (label.hasData) {
+            const tallWithTs = parsed.tallRows.filter((r) => r.recordTs).length;
+            if (parsed.rawRecords.length > 0 && parsed.tallRows.length === 0) {
+              console.warn(
+                `warning key=${object.key} device=${label.deviceAddress} schemaId=${label.schemaId} raw_rows=${parsed.rawRecords.length} tall_rows=0 (no measurable numeric columns — strict schema, loose parse, or non-numeric cells)`,
+              );
+            }
+            if (parsed.tallRows.length > 0 && tallWithTs === 0) {
+              const sample = parsed.rawRecords[0]?.parsedJson || {};
+              console.warn(
+                `warning key=${object.key} device=${label.deviceAddress} parsed ${parsed.tallRows.length} tall rows but none had record_ts; check time column sample=${JSON.stringify(sample)}`,
+              );
+            }
+            await insertTallRows(client, fileId, serial, parsed.tallRows, label, site.id);
+            await refreshRollups(client, site.id, rollupHours(parsed.tallRows, label.deviceAddress));
+          } else {
+            console.warn(
+              `skip_utility_measurement_tall key=${object.key} label=${label.labelCode} device=${label.deviceAddress} reason=hasData_false (ingest_raw_record still written)`,
+            );
+          }
+          await markProcessed(client, { r2Key: object.key, etag, runId });
         });
+        return parsed;
+      };
+      const parsed = await withRetry(loadOnce, {
+        ...retry,
+        onRetry: (error, attempt, waitMs) => {
+          stats.retries += 1;
+          console.warn(`retry key=${object.key} attempt=${attempt} wait_ms=${waitMs} message=${error.message}`);
+        },
+      });
+      stats.bytes += loadedBytes;
+      if (dryRun) {
+        console.log(
+          `dry_run key=${object.key} rows=${parsed.rawRecords.length} tall=${parsed.tallRows.length} label=${label.labelCode}`,
+        );
+        stats.succeeded += 1;
+        return;
+      }
+
+      stats.succeeded += 1;
+      stats.rawRows += parsed.rawRecords.length;
+      if (label.hasData) stats.tallRows += parsed.tallRows.filter((r) => r.recordTs).length;
+      ackKeys.push(...(object.messageKeys || []));
+      console.log(
+        `ingested key=${object.key} rows=${parsed.rawRecords.length} tall=${parsed.tallRows.length} label=${label.labelCode}`,
+      );
+    } catch (error) {
+      const errorClass = classifyError(error);
+      stats.failed += 1;
+      console.error(`failed key=${object.key} class=${errorClass} message=${error.message}`);
+      if (dryRun) return;
+      // The error row is bookkeeping: if it cannot be written (e.g. the database is down), log it and
+      // go on with the next object, which leaves this one unacked for the next run.
+      let outcome;
+      try {
+        outcome = await withTransaction(db, (client) =>
+          recordFileFailure(
+            client,
+            {
+              r2Key: object.key,
+              etag,
+              siteId: site.id,
+              serial,
+              filetime: object.lastModified ? object.lastModified.toISOString() : null,
+              loopname: null,
+              source: "acquisuite",
+              errorText: String(error.message || error),
+              deviceAddress: label.deviceAddress,
+              physicalGroup: label.physicalGroup,
+              schemaId: label.schemaId,
+            },
+            { errorClass, deadLetterAfter: retry.deadLetterAfter },
+          ),
+        );
+      } catch (recordError) {
+        console.error(`failed_record_error key=${object.key} etag=${etag} message=${recordError.message}`);
+        return;
+      }
+      if (outcome.parseStatus === "dead_letter") {
+        // Parked: its queue messages go too; a replay queues it again.
+        stats.deadLettered += 1;
+        ackKeys.push(...(object.messageKeys || []));
+        console.warn(
+          `dead_letter key=${object.key} etag=${etag} attempts=${outcome.attemptCount} permanent_failures=${outcome.permanentFailures}`,
+        );
       }
     }
+  };
+
+  await runPool([...lanes.values()], concurrency, async (lane) => {
+    for (const object of lane) await ingestObject(object);
+  });
+
+  const status = await ingestStatusObjects({ r2, db, bucket, root: site.root, objects: statusObjects, runId, dryRun });
+  ackKeys.push(...status.ackKeys);
+  stats.bytes += status.bytes;
+
+  if (!dryRun && ackKeys.length) {
+    await ackQueueMessages(r2, { bucket, keys: ackKeys });
   }
 
-  await db.end();
+  await finishIngestRun(db, runId, {
+    status: "succeeded",
+    stats: {
+      ...stats,
+      statusListed: status.stats.listed,
+      statusSucceeded: status.stats.succeeded,
+      statusFailed: status.stats.failed,
+      acked: dryRun ? 0 : ackKeys.length,
+    },
+  });
   console.log(
-    `run_complete run_id=${runId} listed=${stats.listed} skipped=${stats.skipped} succeeded=${stats.succeeded} failed=${stats.failed}`,
+    `run_complete run_id=${runId} site=${site.id} mode=${mode} acked=${dryRun ? 0 : ackKeys.length} listed=${stats.listed} skipped=${stats.skipped} succeeded=${stats.succeeded} failed=${stats.failed} retries=${stats.retries} dead_lettered=${stats.deadLettered} dead_letter_skipped=${stats.deadLetterSkipped} raw_rows=${stats.rawRows} tall_rows=${stats.tallRows} bytes=${stats.bytes} status_listed=${status.stats.listed} status_succeeded=${status.stats.succeeded} status_failed=${status.stats.failed}`,
   );
   if (
     stats.listed > 0 &&
@@ -173,17 +354,6 @@ async function main() {
   }
 }
 
-function serialFromKey(r2Key) {
-  const parts = String(r2Key || "").split("/");
-  return parts.length >= 2 ? parts[1] : "unknown_serial";
-}
-
-function mustGetEnv(name) {
-  const value = process.env[name];
-  if (!value) throw new Error(`Missing required env var: ${name}`);
-  return value;
-}
-
 main().catch((error) => {
   console.error(error);
   process.exit(1);
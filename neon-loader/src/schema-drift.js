@@ -0,0 +1,169 @@
+/**
+ * Schema drift report: the `header_variant` catalog (src/header-variants.js) checked against
+ * label-map.json and schema-column-orders.json. A device that starts sending different columns
+ * shows up here from the first file with the new header row.
+ *
+ *   node src/schema-drift.js [--since yyyy-mm-dd] [--device mb-006] [--all] [--json] [--fail-on-drift]
+ *
+ * --since limits the report to variants seen since that day (UTC) and flags variants first seen
+ * since then as `new_variant`. Without --all only variants with issues are printed.
+ * --fail-on-drift exits 1 when any are found.
+ *
+ * Env: NEON_DATABASE_URL, SITE_ID / LABEL_MAP_PATH (optional, see src/sites.js).
+ */
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { createDbPoolFromEnv } from "./db.js";
+import { loadLabelMap, loadSchemaColumnOrders } from "./labeling.js";
+import { parseColumnSpec } from "./parse.js";
+import { loadSite } from "./sites.js";
+
+const __filename = fileURLToPath(import.meta.url);
+
+function isMainModule() {
+  const a = process.argv[1];
+  if (!a) return false;
+  try {
+    return path.resolve(a) === __filename;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Header variants of one site, by device and first sighting. All of them, however old: whether a
+ * variant is new depends on the device's earlier ones (see buildDriftReport).
+ */
+export async function listHeaderVariants(db, { siteId, device = null }) {
+  const resp = await db.query(
+    `SELECT device_address, schema_id, fingerprint, headers, first_seen, last_seen, file_count
+    FROM header_variant
+    WHERE site_id = $1
+      AND ($2::text IS NULL OR device_address = $2)
+    ORDER BY device_address, first_seen`,
+    [siteId, device],
+  );
+  return resp.rows;
+}
+
+function labelForDevice(labelMapConfig, deviceAddress) {
+  return Object.values(labelMapConfig.labels || {}).find((l) => l.deviceAddress === deviceAddress) || null;
+}
+
+/**
+ * Issues of one variant against the label map (is the device mapped, to this schema, with data?)
+ * and the schema's column order and STRICT_SCHEMA header allowlist, when it has them.
+ *
+ * @returns {Array<{ code: string, detail?: string }>}
+ */
+export function compareHeaderVariant(variant, { labelMapConfig, schemaColumnOrders = {} }) {
+  const issues = [];
+  const headers = variant.headers || [];
+  const mapped = labelForDevice(labelMapConfig, variant.device_address);
+  if (!mapped) {
+    issues.push({ code: "unknown_device" });
+  } else {
+    const mappedSchema = mapped.schemaId || "default_v1";
+    if (mappedSchema !== variant.schema_id) issues.push({ code: "schema_mismatch", detail: `label_map=${mappedSchema}` });
+    if (mapped.hasData === false) {
+      const measurable = headers.filter((h) => parseColumnSpec(h));
+      if (measurable.length) issues.push({ code: "measurable_but_has_data_false", detail: measurable.join(" | ") });
+    }
+  }
+
+  const schema = (labelMapConfig.schemas || {})[variant.schema_id] || {};
+  const columnOrder = (schema.columnOrder || schemaColumnOrders[variant.schema_id] || []).map((h) => String(h).trim());
+  if (columnOrder.length) {
+    const missing = columnOrder.filter((h) => !headers.includes(h));
+    const extra = headers.filter((h) => !columnOrder.includes(h));
+    if (missing.length) issues.push({ code: "missing_columns", detail: missing.join(" | ") });
+    if (extra.length) issues.push({ code: "extra_columns", detail: extra.join(" | ") });
+    if (!missing.length && !extra.length && headers.join("\n") !== columnOrder.join("\n")) {
+      issues.push({ code: "column_order_changed" });
+    }
+  }
+
+  const expected = schema.expectedHeaders || [];
+  if (expected.length) {
+    const strict = { expectedHeaders: new Set(expected), headerAliases: schema.headerAliases || {}, strictHeaders: true };
+    const dropped = headers.filter((h) => parseColumnSpec(h) && !parseColumnSpec(h, strict));
+    if (dropped.length) issues.push({ code: "not_in_expected_headers", detail: dropped.join(" | ") });
+  }
+  return issues;
+}
+
+/**
+ * Every variant with its issues. With `since`, only variants seen on or after that day are
+ * reported, and one first seen then is also a `new_variant` when the device had another variant
+ * before, including variants last seen before `since` (so pass the device's full history).
+ */
+export function buildDriftReport(variants, { labelMapConfig, schemaColumnOrders = {}, since = null }) {
+  const sinceTs = since ? Date.parse(`${since}T00:00:00Z`) : null;
+  const recent = sinceTs === null ? variants : variants.filter((v) => new Date(v.last_seen).getTime() >= sinceTs);
+  return recent.map((v) => {
+    const issues = compareHeaderVariant(v, { labelMapConfig, schemaColumnOrders });
+    const firstSeen = new Date(v.first_seen).getTime();
+    const hadEarlier = variants.some(
+      (o) => o !== v && o.device_address === v.device_address && new Date(o.first_seen).getTime() < firstSeen,
+    );
+    if (sinceTs !== null && firstSeen >= sinceTs && hadEarlier) issues.unshift({ code: "new_variant" });
+    return { ...v, issues, status: issues.length ? "drift" : "ok" };
+  });
+}
+
+function isoDay(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : "";
+}
+
+async function main() {
+  const { values: args } = parseArgs({
+    options: {
+      since: { type: "string" },
+      device: { type: "string" },
+      all: { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+      "fail-on-drift": { type: "boolean", default: false },
+    },
+  });
+  if (args.since && !/^\d{4}-\d{2}-\d{2}$/.test(args.since)) throw new Error(`Expected yyyy-mm-dd, got ${args.since}`);
+
+  const site = loadSite();
+  const labelMapConfig = await loadLabelMap(site.labelMapPath);
+  const db = createDbPoolFromEnv();
+  let variants;
+  try {
+    variants = await listHeaderVariants(db, { siteId: site.id, device: args.device || null });
+  } finally {
+    await db.end();
+  }
+  const report = buildDriftReport(variants, {
+    labelMapConfig,
+    schemaColumnOrders: loadSchemaColumnOrders(),
+    since: args.since || null,
+  });
+  const shown = args.all ? report : report.filter((r) => r.status === "drift");
+  const drifted = report.filter((r) => r.status === "drift").length;
+
+  if (args.json) {
+    console.log(JSON.stringify(shown, null, 2));
+  } else {
+    for (const r of shown) {
+      const issues = r.issues.map((i) => (i.detail ? `${i.code}: ${i.detail}` : i.code)).join("; ");
+      console.log(
+        `${r.status}\tdevice=${r.device_address}\tschema=${r.schema_id}\tfingerprint=${r.fingerprint.slice(0, 12)}\tfiles=${r.file_count}\tfirst_seen=${isoDay(r.first_seen)}\tlast_seen=${isoDay(r.last_seen)}${issues ? `\t${issues}` : ""}`,
+      );
+    }
+    console.log(
+      `schema_drift_report site=${site.id} variants=${report.length} drifted=${drifted} new=${report.filter((r) => r.issues.some((i) => i.code === "new_variant")).length}${args.since ? ` since=${args.since}` : ""}`,
+    );
+  }
+  if (args["fail-on-drift"] && drifted) process.exitCode = 1;
+}
+
+if (isMainModule()) {
+  main().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,53 @@
+import { existsSync, readFileSync } from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/**
+ * The site one run loads: R2 bucket, key root and label map. `sites.json` (or SITES_PATH) is the
+ * loader-side twin of the Worker's SITES var (worker/src/sites.js):
+ *
+ *   { "south": { "bucket": "ds-acquisuite-south", "prefix": "", "labelMap": "label-map.south.json" } }
+ *
+ * SITE_ID picks the entry (default "default"). The default site needs no entry: it is the
+ * single-site setup from R2_BUCKET_NAME and LABEL_MAP_PATH, with no prefix.
+ */
+
+export const DEFAULT_SITE_ID = "default";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * @param {Record<string, string | undefined>} env
+ * @returns {{ id: string, bucket: string, root: string, labelMapPath: string | undefined }}
+ */
+export function loadSite(env = process.env) {
+  const id = String(env.SITE_ID || "").trim() || DEFAULT_SITE_ID;
+  const sitesPath = env.SITES_PATH || path.resolve(__dirname, "..", "sites.json");
+  const sites = existsSync(sitesPath) ? JSON.parse(readFileSync(sitesPath, "utf8")) : {};
+  const entry = sites[id];
+  if (!entry && id !== DEFAULT_SITE_ID) throw new Error(`Unknown SITE_ID ${id} (not in ${sitesPath})`);
+
+  const bucket = entry?.bucket || env.R2_BUCKET_NAME;
+  if (!bucket) throw new Error(`Missing required env var: R2_BUCKET_NAME (or a bucket for site ${id})`);
+  return {
+    id,
+    bucket,
+    root: siteRoot(entry?.prefix),
+    labelMapPath: entry?.labelMap ? path.resolve(path.dirname(sitesPath), entry.labelMap) : env.LABEL_MAP_PATH,
+  };
+}
+
+/** "south" / "/south/" → "south/"; "" stays "" (same rule as the Worker). */
+export function siteRoot(prefix) {
+  const p = String(prefix || "")
+    .trim()
+    .replace(/^\/+|\/+$/g, "");
+  return p ? `${p}/` : "";
+}
+
+/** `<root>log-gz/<serial>/…` → serial, or "unknown_serial". */
+export function serialFromKey(r2Key, root = "") {
+  const rel = String(r2Key || "").startsWith(root) ? String(r2Key).slice(root.length) : String(r2Key || "");
+  const parts = rel.split("/");
+  return parts.length >= 2 && parts[1] ? parts[1] : "unknown_serial";
+}
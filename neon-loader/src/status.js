@@ -0,0 +1,145 @@
+import path from "node:path";
+import { gunzipSync } from "node:zlib";
+import { insertDeviceStatus, withTransaction } from "./db.js";
+import { checkpointPairKey, fetchProcessedPairSet, markProcessed } from "./checkpoint.js";
+import { getR2ObjectBytes } from "./r2.js";
+import { serialFromKey } from "./sites.js";
+
+/**
+ * AcquiSuite STATUS uploads under `status/<serial>/<yyyy>/<mm>/<dd>/`: the Worker's
+ * `status_<ms>.txt` (the device's fields as KEY=value lines) and any attached status file.
+ * Parsed into `device_status`; checkpointed in `ingest_checkpoint` like logs.
+ */
+
+export const STATUS_PREFIX = "status/";
+
+const FIRMWARE_FIELDS = ["FIRMWAREVERSION", "ACQUISUITEVERSION", "FIRMWARE", "SOFTWAREVERSION", "VERSION"];
+const SIGNAL_FIELDS = ["SIGNALQUALITY", "GSMSIGNAL", "MODEMSIGNAL", "CELLSIGNAL", "RSSI", "SIGNAL"];
+const MODBUS_LIST_FIELDS = ["MODBUSDEVICES", "DEVICELIST", "MODBUSDEVICELIST"];
+const MODBUS_DEVICE_RE = /^(?:MODBUS_?)?(?:DEVICE|MB)[_-]?(\d{1,3})(?:_?NAME)?$/;
+const ERROR_COUNTER_RE = /ERROR|ERR_|FAIL|TIMEOUT|CRC|RETR|DROP/;
+
+/**
+ * @param {string} text — `KEY=value` or `Key: value` lines; anything else is ignored
+ * @returns {{ fields: Record<string, string>, loopname: string | null, uptimeSeconds: number | null, firmwareVersion: string | null, modbusDevices: Array<{ address: number, name: string }>, signalQuality: number | null, errorCounters: Record<string, number> }}
+ */
+export function parseStatusText(text) {
+  const fields = {};
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const m = line.match(/^\s*([A-Za-z][\w.-]*)\s*(?:=|:)\s*(.*?)\s*$/);
+    if (m) fields[m[1].toUpperCase()] = m[2];
+  }
+
+  const first = (names) => names.map((n) => fields[n]).find((v) => v != null && v !== "") ?? null;
+  const signal = Number.parseFloat(first(SIGNAL_FIELDS));
+
+  const errorCounters = {};
+  for (const [k, v] of Object.entries(fields)) {
+    if (ERROR_COUNTER_RE.test(k) && /^-?\d+(\.\d+)?$/.test(v)) errorCounters[k.toLowerCase()] = Number(v);
+  }
+
+  return {
+    fields,
+    loopname: fields.LOOPNAME || null,
+    uptimeSeconds: parseUptime(fields.UPTIME),
+    firmwareVersion: first(FIRMWARE_FIELDS),
+    modbusDevices: modbusDevices(fields),
+    signalQuality: Number.isFinite(signal) ? signal : null,
+    errorCounters,
+  };
+}
+
+/** "3600", "12 days, 03:04:05", "2 days 3:04" → seconds. */
+export function parseUptime(value) {
+  const s = String(value ?? "").trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.round(Number(s));
+  const m = s.match(/^(?:(\d+)\s*days?,?\s*)?(\d+):(\d{2})(?::(\d{2}))?$/i);
+  if (!m) return null;
+  const [, d = 0, h, mi, sec = 0] = m;
+  return Number(d) * 86400 + Number(h) * 3600 + Number(mi) * 60 + Number(sec);
+}
+
+/** DEVICE1=Main meter / MB-004=Hydro fields, or MODBUSDEVICES=1:Main meter;4:Hydro. */
+function modbusDevices(fields) {
+  const byAddr = new Map();
+  for (const [k, v] of Object.entries(fields)) {
+    const m = k.match(MODBUS_DEVICE_RE);
+    if (m && v) byAddr.set(Number(m[1]), v);
+  }
+  for (const name of MODBUS_LIST_FIELDS) {
+    for (const item of String(fields[name] || "").split(/[;,]/)) {
+      const m = item.trim().match(/^(?:mb-?)?(\d{1,3})\s*[:=]\s*(.+)$/i);
+      if (m) byAddr.set(Number(m[1]), m[2].trim());
+    }
+  }
+  return [...byAddr.entries()].sort(([a], [b]) => a - b).map(([address, name]) => ({ address, name }));
+}
+
+/** The Worker names its files status_<epoch ms>.txt; otherwise the object's own time. */
+export function statusReportedAt(key, lastModified) {
+  const m = path.basename(key).match(/^status_(\d{13})\b/);
+  if (m) return new Date(Number(m[1]));
+  return lastModified instanceof Date ? lastModified : new Date();
+}
+
+/**
+ * Loads status objects (same `{ key, etag, lastModified, messageKeys }` shape as log objects).
+ * One transaction per file; failures are logged and left queued for the next run. `root` is the
+ * site's key prefix (src/sites.js). `bytes` is what was downloaded, for the ingest_run row.
+ */
+export async function ingestStatusObjects({ r2, db, bucket, root = "", objects, runId, dryRun }) {
+  const stats = { listed: objects.length, skipped: 0, succeeded: 0, failed: 0 };
+  const ackKeys = [];
+  let downloaded = 0;
+  const processedSet = await fetchProcessedPairSet(
+    db,
+    objects.map((o) => ({ r2Key: o.key, etag: o.etag || "no_etag" })),
+  );
+
+  for (const object of objects) {
+    const etag = object.etag || "no_etag";
+    if (processedSet.has(checkpointPairKey(object.key, etag))) {
+      stats.skipped += 1;
+      ackKeys.push(...(object.messageKeys || []));
+      continue;
+    }
+    try {
+      const bytes = await getR2ObjectBytes(r2, { bucket, key: object.key });
+      downloaded += bytes.length;
+      const status = parseStatusText(decode(bytes));
+      if (dryRun) {
+        console.log(`dry_run status key=${object.key} fields=${Object.keys(status.fields).length}`);
+        stats.succeeded += 1;
+        continue;
+      }
+      await withTransaction(db, async (client) => {
+        if (Object.keys(status.fields).length) {
+          await insertDeviceStatus(client, {
+            ...status,
+            r2Key: object.key,
+            etag,
+            serial: serialFromKey(object.key, root),
+            reportedAt: statusReportedAt(object.key, object.lastModified),
+          });
+        } else {
+          console.warn(`status_no_fields key=${object.key}`);
+        }
+        await markProcessed(client, { r2Key: object.key, etag, runId });
+      });
+      stats.succeeded += 1;
+      ackKeys.push(...(object.messageKeys || []));
+    } catch (error) {
+      stats.failed += 1;
+      console.error(`failed status key=${object.key} message=${error.message}`);
+    }
+  }
+  return { stats, ackKeys, bytes: downloaded };
+}
+
+function decode(bytes) {
+  try {
+    return gunzipSync(Buffer.from(bytes)).toString("utf8");
+  } catch {
+    return Buffer.from(bytes).toString("utf8");
+  }
+}
@@ -0,0 +1,87 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { GetObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { auditDays, loadAuditDay, parseAuditLines } from "../src/audit.js";
+
+function fakeBucket(objects) {
+  const gets = [];
+  return {
+    gets,
+    async send(command) {
+      if (command instanceof ListObjectsV2Command) {
+        const keys = Object.keys(objects).filter((k) => k.startsWith(command.input.Prefix)).sort();
+        return { Contents: keys.map((Key) => ({ Key })), IsTruncated: false };
+      }
+      if (!(command instanceof GetObjectCommand)) return {};
+      gets.push(command.input.Key);
+      const text = objects[command.input.Key];
+      if (text == null) throw Object.assign(new Error("missing"), { name: "NoSuchKey" });
+      return { Body: [Buffer.from(text)] };
+    },
+  };
+}
+
+/** Pool whose client keeps inserted (audit_key, line_no) pairs like the UNIQUE constraint would. */
+function fakePool() {
+  const seen = new Set();
+  const client = {
+    async query(sql, values = []) {
+      if (sql.includes("SELECT DISTINCT audit_key")) {
+        const keys = [...seen].map((k) => k.split("#")[0]).filter((k) => k.startsWith(values[1].slice(0, -1)));
+        return { rows: [...new Set(keys)].map((audit_key) => ({ audit_key })) };
+      }
+      if (!sql.includes("INSERT INTO upload_audit")) return { rowCount: 0 };
+      let rowCount = 0;
+      for (let i = 0; i < values.length; i += 14) {
+        const k = `${values[i]}#${values[i + 1]}`;
+        if (!seen.has(k)) rowCount += 1;
+        seen.add(k);
+      }
+      return { rowCount };
+    },
+    release() {},
+  };
+  return { seen, query: client.query, connect: async () => client };
+}
+
+const line = (serial, outcome) => JSON.stringify({ ts: "2026-03-01T10:00:00.000Z", serial, outcome, status: 200, parts: [] });
+
+test("auditDays covers every UTC day in the range", () => {
+  assert.deepEqual(auditDays("2026-02-27", "2026-03-01"), ["2026-02-27", "2026-02-28", "2026-03-01"]);
+  assert.throws(() => auditDays("2026-3-1", "2026-03-02"), /yyyy-mm-dd/);
+});
+
+test("parseAuditLines keeps object line numbers and counts bad lines", () => {
+  const { rows, bad } = parseAuditLines(`${line("S1", "ok")}\nnot json\n{"serial":"S2"}\n\n${line("S3", "rejected")}\n`);
+  assert.equal(bad, 2);
+  assert.deepEqual(
+    rows.map((r) => [r.lineNo, r.record.serial]),
+    [
+      [1, "S1"],
+      [5, "S3"],
+    ],
+  );
+});
+
+test("loadAuditDay loads each per-request object once and skips those already loaded", async () => {
+  const objects = {
+    "audit/2026/03/01/100000000Z-a.json": line("S1", "ok"),
+    "audit/2026/03/01/100000000Z-b.json": line("S2", "rejected"),
+    "audit/2026/03/02/000000000Z-c.json": line("S9", "ok"),
+  };
+  const db = fakePool();
+  const first = await loadAuditDay({ r2: fakeBucket(objects), db, bucket: "b", day: "2026-03-01" });
+  assert.deepEqual(first, { day: "2026-03-01", objects: 2, skipped: 0, lines: 2, bad: 0, inserted: 2 });
+  assert.deepEqual([...db.seen].sort(), ["audit/2026/03/01/100000000Z-a.json#1", "audit/2026/03/01/100000000Z-b.json#1"]);
+
+  objects["audit/2026/03/01/100500000Z-d.json"] = line("S3", "ok");
+  const r2 = fakeBucket(objects);
+  const second = await loadAuditDay({ r2, db, bucket: "b", day: "2026-03-01" });
+  assert.deepEqual(second, { day: "2026-03-01", objects: 3, skipped: 2, lines: 1, bad: 0, inserted: 1 });
+  assert.deepEqual(r2.gets, ["audit/2026/03/01/100500000Z-d.json"]);
+});
+
+test("loadAuditDay reports an empty day without failing", async () => {
+  const out = await loadAuditDay({ r2: fakeBucket({}), db: fakePool(), bucket: "b", day: "2026-03-02" });
+  assert.deepEqual(out, { day: "2026-03-02", objects: 0, skipped: 0, lines: 0, bad: 0, inserted: 0 });
+});
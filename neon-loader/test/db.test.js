@@ -1,6 +1,6 @@
 import test from "node:test";
 import assert from "node:assert/strict";
-import { physicalGroupForTallRow } from "../src/db.js";
+import { copyTextLine, deleteTallRows, insertRawRecords, insertTallRows, physicalGroupForTallRow, recordFileFailure } from "../src/db.js";
 
 test("physicalGroupForTallRow prefers inferred source_system when not unknown", () => {
   const labelSolar = {
@@ -22,3 +22,124 @@ test("physicalGroupForTallRow falls back to label when source_system missing or
   assert.equal(physicalGroupForTallRow({ sourceSystem: "unknown" }, label), "deep_well");
   assert.equal(physicalGroupForTallRow({ sourceSystem: "" }, label), "deep_well");
 });
+
+/** Client that records SQL and plays the server side of COPY FROM STDIN (or fails it). */
+function fakeClient({ failCopy = false } = {}) {
+  const sql = [];
+  const copied = [];
+  return {
+    sql,
+    copied,
+    // Like pg: plain queries return a promise, a COPY stream is returned as-is.
+    query(text, values) {
+      if (typeof text === "string") {
+        sql.push({ text: text.replace(/\s+/g, " ").trim(), values });
+        return Promise.resolve({ rows: [], rowCount: 0 });
+      }
+      sql.push({ text: text.text });
+      let data = false;
+      const connection = {
+        query() {},
+        sendCopyFail() {},
+        stream: {
+          once() {},
+          write(buf) {
+            if (data) copied.push(buf.toString("utf8"));
+            data = !data && buf.length === 5 && buf[0] === 0x64;
+            if (buf.length === 5 && buf[0] === 0x63) setImmediate(() => text.handleReadyForQuery());
+            return true;
+          },
+        },
+      };
+      text.submit(connection);
+      setImmediate(() => (failCopy ? text.handleError(new Error("COPY not allowed")) : text.handleCopyInResponse(connection)));
+      return text;
+    },
+  };
+}
+
+const LABEL = { deviceAddress: "mb-006", physicalGroup: "hydro_plant", labelCode: "mb-006", labelName: "Hydro" };
+const TALL = [
+  { recordTs: "2026-03-01T00:15:00Z", metricKey: "flow_wyman", metricValue: 41.5, unit: "Gpm", quality: null, sourceSystem: "hydro_plant" },
+  { recordTs: null, metricKey: "dropped", metricValue: 1 },
+];
+
+test("copyTextLine escapes COPY text-format specials and writes NULL as \\N", () => {
+  assert.equal(copyTextLine([1, null, "a\tb\\c\nd", true, new Date("2026-03-01T00:00:00Z")]), "1\t\\N\ta\\tb\\\\c\\nd\tt\t2026-03-01T00:00:00.000Z\n");
+});
+
+test("insertTallRows streams rows through a staging table, then INSERT … SELECT ON CONFLICT DO NOTHING", async () => {
+  const client = fakeClient();
+  await insertTallRows(client, 7, "001EC6000200", TALL, LABEL, "south");
+  assert.equal(client.copied.join(""), "001EC6000200\t2026-03-01T00:15:00Z\tflow_wyman\t41.5\tGpm\t\\N\t7\thydro_plant\tf\tf\tf\tmb-006\thydro_plant\tsouth\n");
+  const texts = client.sql.map((q) => q.text);
+  assert.match(
+    texts.at(-2),
+    /^WITH ins AS \( INSERT INTO utility_measurement_tall \(serial, .*\) SELECT .* FROM stage_utility_measurement_tall ON CONFLICT .* DO NOTHING RETURNING /,
+  );
+  assert.equal(texts.at(-1), "RELEASE SAVEPOINT bulk_copy");
+});
+
+test("insertTallRows adds only the rows it stored to metric_catalog, aggregated in the same statement", async () => {
+  const rows = [
+    { ...TALL[0], sourceHeader: "Wyman Creek Flow (Gpm)" },
+    { ...TALL[0], recordTs: "2026-03-01T00:00:00Z", sourceHeader: "Wyman Creek Flow (Gpm)" },
+    { ...TALL[0], metricKey: "flow_bypass", unit: null, sourceSystem: undefined },
+  ];
+  const client = fakeClient({ failCopy: true });
+  await insertTallRows(client, 7, "001EC6000200", rows, LABEL, "south");
+  const { text, values } = client.sql.at(-1);
+  // The catalog is fed from the INSERT's RETURNING rows, so duplicates skipped by ON CONFLICT add nothing.
+  assert.match(text, /^WITH ins AS \( INSERT INTO utility_measurement_tall \(.*\) VALUES .* ON CONFLICT \(serial, record_ts, metric_key, source_file_id\) DO NOTHING RETURNING site_id, device_address, metric_key, COALESCE\(unit, ''\) AS unit, source_system, physical_group, record_ts \) INSERT INTO metric_catalog \(/);
+  assert.match(text, /MIN\(ins\.record_ts\), MAX\(ins\.record_ts\), COUNT\(\*\) FROM ins LEFT JOIN jsonb_to_recordset\(\$43::jsonb\)/);
+  assert.match(text, /GROUP BY 1, 2, 3, 4, 5, 6, 7 ORDER BY 1, 2, 3, 4, 5, 6 ON CONFLICT/);
+  assert.match(text, /row_count = metric_catalog\.row_count \+ EXCLUDED\.row_count/);
+  assert.ok(!client.sql.some((q) => /^INSERT INTO metric_catalog/.test(q.text)));
+  assert.equal(values.length, 43);
+  assert.deepEqual(JSON.parse(values[42]), [
+    {
+      metric_key: "flow_wyman",
+      unit: "Gpm",
+      source_system: "hydro_plant",
+      physical_group: "hydro_plant",
+      source_header: "Wyman Creek Flow (Gpm)",
+    },
+  ]);
+});
+
+test("deleteTallRows takes the deleted rows off metric_catalog in the same statement, joins included", async () => {
+  const client = fakeClient();
+  await deleteTallRows(client, { using: "USING ingest_raw_file f", where: "t.source_file_id = f.id AND f.device_address = ANY($1::text[])", values: [["mb-006"]] });
+  const { text, values } = client.sql.at(-1);
+  assert.match(text, /^WITH deleted AS \( DELETE FROM utility_measurement_tall t USING ingest_raw_file f WHERE t\.source_file_id = f\.id AND .* RETURNING t\.site_id, t\.device_address, /);
+  assert.match(text, /UPDATE metric_catalog m SET row_count = GREATEST\(m\.row_count - c\.n, 0\)/);
+  assert.deepEqual(values, [["mb-006"]]);
+});
+
+test("a failed COPY rolls back to the savepoint and loads with INSERT … VALUES", async () => {
+  const client = fakeClient({ failCopy: true });
+  await insertRawRecords(client, 7, [{ lineNo: 2, rawText: "x", parsedJson: { a: 1 }, recordTs: null }], LABEL);
+  const last = client.sql.at(-1);
+  assert.equal(client.sql.at(-2).text, "ROLLBACK TO SAVEPOINT bulk_copy");
+  assert.match(last.text, /^INSERT INTO ingest_raw_record \(file_id, .*\) VALUES \(\$1, \$2, \$3, \$4::jsonb, \$5, \$6, \$7\)$/);
+  assert.deepEqual(last.values, [7, 2, "x", '{"a":1}', "mb-006", "Hydro", null]);
+});
+
+test("recordFileFailure counts permanent failures towards the dead-letter threshold", async () => {
+  const calls = [];
+  const client = {
+    async query(text, values) {
+      calls.push({ text, values });
+      return { rows: [{ parse_status: "dead_letter", attempt_count: 4, permanent_failures: 3 }] };
+    },
+  };
+  const out = await recordFileFailure(
+    client,
+    { r2Key: "log-gz/S1/a.log.gz", etag: "e1", errorText: "incorrect header check", siteId: "south" },
+    { errorClass: "permanent", deadLetterAfter: 3 },
+  );
+  assert.deepEqual(out, { parseStatus: "dead_letter", attemptCount: 4, permanentFailures: 3 });
+  assert.match(calls[0].text, /WHEN ingest_raw_file\.permanent_failures \+ \$10::int >= \$11::int THEN 'dead_letter'/);
+  const v = calls[0].values;
+  assert.deepEqual([v[0], v[6], v[9], v[10], v[12], v[13]], ["log-gz/S1/a.log.gz", "incorrect header check", 1, 3, "south", "permanent"]);
+});
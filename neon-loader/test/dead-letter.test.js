@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PutObjectCommand } from "@aws-sdk/client-s3";
+import { replayDeadLetters } from "../src/dead-letter.js";
+
+test("replayDeadLetters resets matching rows and queues each under the site root", async () => {
+  const queries = [];
+  const db = {
+    async query(sql, values) {
+      queries.push({ sql, values });
+      return { rows: [{ r2_key: "east/log-gz/S1/2026/03/01/mb-006.log.gz", etag: "e1", serial: "S1" }] };
+    },
+  };
+  const puts = [];
+  const r2 = {
+    async send(command) {
+      if (command instanceof PutObjectCommand) puts.push(command.input);
+      return {};
+    },
+  };
+  const rows = await replayDeadLetters({
+    db,
+    r2,
+    bucket: "b",
+    root: "east/",
+    siteId: "east",
+    key: "east/log-gz/S1/2026/03/01/mb-006.log.gz",
+  });
+  assert.equal(rows.length, 1);
+  assert.match(queries[0].sql, /SET parse_status = 'error', permanent_failures = 0\s+WHERE parse_status = 'dead_letter'/);
+  assert.deepEqual(queries[0].values, ["east", "east/log-gz/S1/2026/03/01/mb-006.log.gz", null]);
+  assert.equal(puts.length, 1);
+  assert.match(puts[0].Key, /^east\/ingest-queue\/\d{13}-[0-9a-f]{8}\.json$/);
+  assert.deepEqual(
+    (({ key, etag, serial }) => ({ key, etag, serial }))(JSON.parse(puts[0].Body)),
+    { key: "east/log-gz/S1/2026/03/01/mb-006.log.gz", etag: "e1", serial: "S1" },
+  );
+});
@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { headerFingerprint, recordHeaderVariant } from "../src/header-variants.js";
+
+test("headerFingerprint depends on header order", () => {
+  const a = headerFingerprint(["time(UTC)", "error", "Flow (GPM)"]);
+  assert.match(a, /^[0-9a-f]{64}$/);
+  assert.equal(a, headerFingerprint(["time(UTC)", "error", "Flow (GPM)"]));
+  assert.notEqual(a, headerFingerprint(["time(UTC)", "Flow (GPM)", "error"]));
+});
+
+test("recordHeaderVariant upserts by site, device, schema and fingerprint", async () => {
+  const queries = [];
+  const client = {
+    async query(sql, values) {
+      queries.push({ sql, values });
+      return { rows: [] };
+    },
+  };
+  const headers = ["time(UTC)", "error", "Flow (GPM)"];
+  await recordHeaderVariant(client, {
+    siteId: "default",
+    deviceAddress: "mb-006",
+    schemaId: "flow_v1",
+    headers,
+    seenAt: "2026-03-01T00:15:00.000Z",
+  });
+  await recordHeaderVariant(client, { siteId: "default", deviceAddress: "mb-006", schemaId: "flow_v1", headers: [] });
+
+  assert.equal(queries.length, 1);
+  assert.match(queries[0].sql, /ON CONFLICT \(site_id, device_address, schema_id, fingerprint\) DO UPDATE/);
+  assert.match(queries[0].sql, /file_count = header_variant\.file_count \+ 1/);
+  assert.deepEqual(queries[0].values, [
+    "default",
+    "mb-006",
+    "flow_v1",
+    headerFingerprint(headers),
+    JSON.stringify(headers),
+    "2026-03-01T00:15:00.000Z",
+  ]);
+});
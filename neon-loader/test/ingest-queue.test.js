@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { DeleteObjectsCommand, GetObjectCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { ackQueueMessages, listQueuedObjects, parseQueueMessage, splitQueuedObjects } from "../src/ingest-queue.js";
+
+function fakeBucket(objects) {
+  const calls = [];
+  return {
+    calls,
+    async send(command) {
+      calls.push(command);
+      if (command instanceof ListObjectsV2Command) {
+        const keys = Object.keys(objects).filter((k) => k.startsWith(command.input.Prefix)).sort();
+        return { Contents: keys.slice(0, command.input.MaxKeys).map((Key) => ({ Key })), IsTruncated: false };
+      }
+      if (command instanceof GetObjectCommand) {
+        return { Body: { transformToString: async () => objects[command.input.Key] } };
+      }
+      return {};
+    },
+  };
+}
+
+test("parseQueueMessage rejects junk and strips etag quotes", () => {
+  assert.equal(parseQueueMessage("not json"), null);
+  assert.equal(parseQueueMessage("{}"), null);
+  assert.deepEqual(parseQueueMessage('{"key":"log-gz/a","etag":"\\"abc\\""}'), { key: "log-gz/a", etag: "abc" });
+});
+
+test("listQueuedObjects de-duplicates by key+etag and reports invalid messages", async () => {
+  const msg = (key, etag) => JSON.stringify({ key, etag, size: 10, enqueued_at: "2026-03-01T00:00:00Z" });
+  const client = fakeBucket({
+    "ingest-queue/0001-a.json": msg("log-gz/s/2026/03/01/mb-001.log.gz", "e1"),
+    "ingest-queue/0002-b.json": msg("log-gz/s/2026/03/01/mb-001.log.gz", "e1"),
+    "ingest-queue/0003-c.json": "garbage",
+    "ingest-queue/0004-d.json": msg("log-gz/s/2026/03/01/mb-004.log.gz", "e2"),
+    "log-gz/s/2026/03/01/mb-001.log.gz": "bytes",
+  });
+  const { objects, invalid } = await listQueuedObjects(client, { bucket: "b", maxKeys: 10 });
+  assert.deepEqual(invalid, ["ingest-queue/0003-c.json"]);
+  assert.equal(objects.length, 2);
+  assert.deepEqual(objects[0].messageKeys, ["ingest-queue/0001-a.json", "ingest-queue/0002-b.json"]);
+  assert.equal(objects[0].etag, "e1");
+  assert.ok(objects[0].lastModified instanceof Date);
+  assert.equal(objects[1].key, "log-gz/s/2026/03/01/mb-004.log.gz");
+});
+
+test("splitQueuedObjects separates logs and status files from keys the run never loads", () => {
+  const keys = ["south/log-gz/S1/a.log.gz", "south/status/S1/status_1.txt", "custom/S1/b.log.gz", "north/log-gz/S2/c.log.gz"];
+  const out = splitQueuedObjects(
+    keys.map((key) => ({ key, etag: "e", messageKeys: [`south/ingest-queue/${key.length}.json`] })),
+    { prefix: "south/log-gz/", statusPrefix: "south/status/" },
+  );
+  assert.deepEqual(out.logs.map((o) => o.key), ["south/log-gz/S1/a.log.gz"]);
+  assert.deepEqual(out.statuses.map((o) => o.key), ["south/status/S1/status_1.txt"]);
+  assert.deepEqual(out.outside.map((o) => o.key), ["custom/S1/b.log.gz", "north/log-gz/S2/c.log.gz"]);
+});
+
+test("ackQueueMessages deletes in batches of 1000", async () => {
+  const client = fakeBucket({});
+  const keys = Array.from({ length: 1500 }, (_, i) => `ingest-queue/${i}.json`);
+  await ackQueueMessages(client, { bucket: "b", keys });
+  const deletes = client.calls.filter((c) => c instanceof DeleteObjectsCommand);
+  assert.equal(deletes.length, 2);
+  assert.equal(deletes[0].input.Delete.Objects.length, 1000);
+  assert.equal(deletes[1].input.Delete.Objects.length, 500);
+});
@@ -0,0 +1,51 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { finishIngestRun, gitSha, newRunId, startIngestRun } from "../src/ingest-run.js";
+
+function fakePool() {
+  const calls = [];
+  return {
+    calls,
+    query(sql, values) {
+      calls.push({ sql: sql.replace(/\s+/g, " ").trim(), values });
+      return Promise.resolve({ rows: [], rowCount: 1 });
+    },
+  };
+}
+
+test("newRunId sorts by start time and differs within one millisecond", () => {
+  const a = newRunId(1772323200000);
+  const b = newRunId(1772323200000);
+  assert.match(a, /^1772323200000-[0-9a-f]{8}$/);
+  assert.notEqual(a, b);
+  assert.ok(newRunId(1772323200001) > a);
+});
+
+test("gitSha prefers the CI environment", () => {
+  assert.equal(gitSha({ GITHUB_SHA: "abc123" }), "abc123");
+  assert.equal(gitSha({ GIT_SHA: "def456" }), "def456");
+});
+
+test("startIngestRun records the run's parameters as running", async () => {
+  const pool = fakePool();
+  await startIngestRun(pool, {
+    runId: "r1",
+    siteId: "south",
+    mode: "queue",
+    prefix: "log-gz/",
+    batchLimit: 200,
+    dryRun: true,
+    strictSchema: false,
+    concurrency: 4,
+    gitSha: "abc123",
+  });
+  assert.match(pool.calls[0].sql, /^INSERT INTO ingest_run .* VALUES \(\$1, NOW\(\), 'running'/);
+  assert.deepEqual(pool.calls[0].values, ["r1", "south", "queue", "log-gz/", 200, true, false, 4, "abc123"]);
+});
+
+test("finishIngestRun writes the counts, zero for anything not reached", async () => {
+  const pool = fakePool();
+  await finishIngestRun(pool, "r1", { status: "failed", errorText: "R2 down", stats: { listed: 3, succeeded: 1, bytes: 2048, retries: 2 } });
+  assert.match(pool.calls[0].sql, /^UPDATE ingest_run SET finished_at = NOW\(\), status = \$2/);
+  assert.deepEqual(pool.calls[0].values, ["r1", "failed", "R2 down", 3, 0, 1, 0, 0, 0, 0, 0, 0, 0, 2048, 2, 0, 0]);
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { formatMetricCatalog, listMetricCatalog } from "../src/metric-catalog.js";
+
+test("listMetricCatalog filters by site, device, metric pattern and group, hiding empty entries", async () => {
+  const queries = [];
+  const db = {
+    async query(sql, values) {
+      queries.push({ sql, values });
+      return { rows: [] };
+    },
+  };
+  await listMetricCatalog(db, { siteId: "default", metric: "power_instantaneous%", group: "hydro_plant" });
+  assert.match(queries[0].sql, /metric_key LIKE \$3/);
+  assert.match(queries[0].sql, /\(\$5::boolean OR row_count > 0\)/);
+  assert.deepEqual(queries[0].values, ["default", null, "power_instantaneous%", "hydro_plant", false]);
+});
+
+test("formatMetricCatalog prints aligned columns under a header line", () => {
+  const text = formatMetricCatalog([
+    {
+      device_address: "mb-004",
+      metric_key: "power_instantaneous",
+      unit: "kW",
+      source_system: "hydro_plant",
+      physical_group: "hydro_plant",
+      row_count: "2880",
+      first_seen: new Date("2026-03-01T00:00:00Z"),
+      last_seen: new Date("2026-03-02T23:59:00Z"),
+      source_header: "Hydro Plant Power Instantaneous (kW)",
+    },
+    {
+      device_address: "mb-006",
+      metric_key: "flow_wyman_avg",
+      unit: "",
+      source_system: "hydro_plant",
+      physical_group: "hydro_plant",
+      row_count: "96",
+      first_seen: new Date("2026-03-01T00:00:00Z"),
+      last_seen: new Date("2026-03-01T23:45:00Z"),
+      source_header: null,
+    },
+  ]);
+  const lines = text.split("\n");
+  assert.equal(lines.length, 3);
+  assert.match(lines[0], /^device\s+metric_key\s+unit\s+source_system\s+physical_group\s+rows\s+first_seen\s+last_seen\s+header$/);
+  assert.equal(lines[1].indexOf("hydro_plant"), lines[2].indexOf("hydro_plant"));
+  assert.match(lines[1], /2880\s+2026-03-01T00:00:00Z\s+2026-03-02T23:59:00Z\s+Hydro Plant Power Instantaneous \(kW\)$/);
+  assert.match(lines[2], /96\s+2026-03-01T00:00:00Z\s+2026-03-01T23:45:00Z$/);
+});
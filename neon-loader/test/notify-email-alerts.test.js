@@ -4,6 +4,7 @@ import {
   buildAlertSubject,
   buildBundlePayload,
   bundleHasFire,
+  collectStaleGroups,
   firingSectionLabels,
   parseRecipientList,
 } from "../src/notify-email-alerts.js";
@@ -111,3 +112,35 @@ test("bundleHasFire", () => {
     true,
   );
 });
+
+/** Client answering the stale-data queries; `today` says whether the daily rollup has the current UTC day. */
+function staleClient({ today, tallRows = true }) {
+  const sql = [];
+  return {
+    sql,
+    async query(text) {
+      const t = text.replace(/\s+/g, " ").trim();
+      sql.push(t);
+      if (t.includes("FROM utility_measurement_daily WHERE bucket")) return { rows: [{ today }] };
+      if (t.includes("EXISTS (SELECT 1 FROM utility_measurement_tall)")) return { rows: [{ any: tallRows }] };
+      if (t.includes("FROM utility_measurement_daily")) return { rows: [{ physical_group: "solar_field", latest_ts: "2026-03-01T00:00:00Z" }] };
+      return { rows: [{ physical_group: "deep_well", latest_ts: "2026-03-01T02:00:00Z" }] };
+    },
+  };
+}
+
+test("collectStaleGroups reads the daily rollup when it has the current day", async () => {
+  const client = staleClient({ today: true });
+  assert.deepStrictEqual(await collectStaleGroups(client, 240), [{ physical_group: "solar_field", latest_ts: "2026-03-01T00:00:00Z" }]);
+  assert.ok(!client.sql.some((t) => t.includes("utility_measurement_tall")));
+});
+
+test("collectStaleGroups falls back to the tall table when the rollup lacks the current day", async () => {
+  const client = staleClient({ today: false });
+  assert.deepStrictEqual(await collectStaleGroups(client, 240), [{ physical_group: "deep_well", latest_ts: "2026-03-01T02:00:00Z" }]);
+  assert.match(client.sql.at(-1), /MAX\(record_ts\) AS latest_ts FROM utility_measurement_tall GROUP BY/);
+
+  assert.deepStrictEqual(await collectStaleGroups(staleClient({ today: false, tallRows: false }), 240), [
+    { physical_group: "(no rows)", latest_ts: null },
+  ]);
+});
@@ -1,7 +1,7 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import { gzipSync } from "node:zlib";
-import { parseGzipLog, parseUtcTime } from "../src/parse.js";
+import { parseGzipLog, parseUtcTime, tallRowsFromRawRecords } from "../src/parse.js";
 
 test("parseGzipLog parses key=value log lines", () => {
   const payload = [
@@ -30,6 +30,15 @@ test("parseGzipLog parses acquisuite csv headers to normalized tall rows", () =>
   assert.equal(result.tallRows[0].sourceSystem, "solar_field");
   assert.equal(result.tallRows[0].unit, "kWh");
   assert.equal(result.measurableHeaders.length, 2);
+  assert.equal(result.headerSource, "file");
+  assert.deepEqual(result.headers, [
+    "time(UTC)",
+    "error",
+    "lowalarm",
+    "highalarm",
+    "Solar Array Power (kWh)",
+    "Solar Array Power Demand (kW)",
+  ]);
 });
 
 test("parseUtcTime handles AcquiSuite space-separated UTC timestamps", () => {
@@ -81,6 +90,7 @@ test("parseGzipLog uses columnOrder when there is no header row (headerless expo
   assert.equal(result.rawRecords.length, 1);
   assert.equal(result.rawRecords[0].recordTs, "2026-02-23T20:45:00.000Z");
   assert.ok(result.tallRows.some((r) => r.sourceSystem === "solar_field"));
+  assert.equal(result.headerSource, "column_order");
 });
 
 test("parseGzipLog handles tab-separated AcquiSuite CSV with quoted time cell", () => {
@@ -126,3 +136,41 @@ test("parseGzipLog disambiguates hydro Wyman intake vs F-1 bypass on mb-006 (flo
   assert.equal(wyman.metricValue, 340);
   assert.equal(wyman.sourceSystem, "hydro_plant");
 });
+
+test("tallRowsFromRawRecords rebuilds the same tall rows from stored raw records", () => {
+  const payload = [
+    "time(UTC),error,lowalarm,highalarm,F-1 Reservoir By-pass Ave (Gpm),F2 - Wyman Creek Flow Ave (Gpm),Solar Array Power (kWh),Solar Array Power (kWh)",
+    "'2026-04-22 12:00:00',0,1,0,12,340,5.5,6.5",
+    "'2026-04-22 12:15:00',1,0,0,13,341,7,8",
+  ].join("\n");
+  const result = parseGzipLog(gzipSync(Buffer.from(payload, "utf8")));
+  // What comes back from Postgres: JSONB, keys in its own order.
+  const stored = result.rawRecords.map((r) => ({
+    ...r,
+    parsedJson: Object.fromEntries(Object.entries(r.parsedJson).reverse()),
+  }));
+  const sort = (rows) => rows.map((r) => JSON.stringify(r)).sort();
+  assert.deepEqual(sort(tallRowsFromRawRecords(stored)), sort(result.tallRows));
+
+  const loose = parseGzipLog(gzipSync(Buffer.from("ts=2026-04-22T12:00:00Z flow=3.5\n", "utf8")));
+  assert.deepEqual(tallRowsFromRawRecords(loose.rawRecords), loose.tallRows);
+});
+
+test("tallRowsFromRawRecords keeps the file's column order when two columns give the same metric key", () => {
+  const payload = ["time(UTC),error,lowalarm,highalarm,Main Pump Power (kW),Pump Power (kW)", "'2026-04-22 12:00:00',0,0,0,40,7"].join("\n");
+  const result = parseGzipLog(gzipSync(Buffer.from(payload, "utf8")));
+  assert.deepEqual(
+    result.tallRows.map((r) => [r.metricKey, r.metricValue]),
+    [
+      ["power", 40],
+      ["power", 7],
+    ],
+  );
+  // JSONB orders keys by length, then bytes: "Pump Power (kW)" comes back before "Main Pump Power (kW)".
+  const jsonbOrder = (json) => Object.fromEntries(Object.entries(json).sort(([a], [b]) => a.length - b.length || (a < b ? -1 : 1)));
+  const stored = result.rawRecords.map((r) => ({ ...r, parsedJson: jsonbOrder(r.parsedJson) }));
+
+  // The first row per metric is the one ON CONFLICT DO NOTHING keeps.
+  assert.deepEqual(tallRowsFromRawRecords(stored, {}, result.headers), result.tallRows);
+  assert.equal(tallRowsFromRawRecords(stored)[0].metricValue, 7);
+});
@@ -0,0 +1,156 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  archivePartition,
+  drainDefaultPartitions,
+  dropRawPartition,
+  ensurePartitions,
+  expiredPartitions,
+  monthStart,
+  monthsToDrain,
+  partitionMonth,
+  partitionOptionsFromEnv,
+  rawMonthRetired,
+} from "../src/partitions.js";
+
+test("monthStart steps whole UTC months across year ends", () => {
+  const now = new Date("2026-01-31T23:30:00Z");
+  assert.equal(monthStart(now), "2026-01-01");
+  assert.equal(monthStart(now, 1), "2026-02-01");
+  assert.equal(monthStart(now, -1), "2025-12-01");
+  assert.equal(monthStart(now, 12), "2027-01-01");
+});
+
+test("partitionMonth reads monthly partition names and ignores the default partition", () => {
+  assert.equal(partitionMonth("ingest_raw_record", "ingest_raw_record_p2026_03"), "2026-03-01");
+  assert.equal(partitionMonth("ingest_raw_record", "ingest_raw_record_default"), null);
+  assert.equal(partitionMonth("ingest_raw_record", "utility_measurement_tall_p2026_03"), null);
+});
+
+test("expiredPartitions keeps the current month plus RAW_RETENTION_MONTHS before it", () => {
+  const partitions = ["2026_07", "2025_12", "2026_04", "2026_05", "2026_10", "default"].map((m) => ({
+    name: `ingest_raw_record_p${m}`.replace("_pdefault", "_default"),
+  }));
+  const now = new Date("2026-10-19T00:00:00Z");
+  assert.deepEqual(
+    expiredPartitions(partitions, { now, retentionMonths: 5 }).map((p) => p.month),
+    ["2025-12-01", "2026-04-01"],
+  );
+  assert.deepEqual(expiredPartitions(partitions, { now, retentionMonths: 0 }), []);
+});
+
+test("partitionOptionsFromEnv defaults to archiving into the ingest bucket and rejects unknown actions", () => {
+  assert.deepEqual(partitionOptionsFromEnv({ R2_BUCKET_NAME: "logs", RAW_RETENTION_MONTHS: "6" }), {
+    monthsAhead: 3,
+    retentionMonths: 6,
+    action: "archive",
+    bucket: "logs",
+    prefix: "archive/ingest_raw_record/",
+  });
+  assert.throws(() => partitionOptionsFromEnv({ RAW_RETENTION_ACTION: "delete" }), /archive or drop/);
+});
+
+test("ensurePartitions asks for the current month and the months ahead of both tables", async () => {
+  const calls = [];
+  const db = {
+    async query(sql, values) {
+      calls.push(values);
+      return { rows: [{ created: values[1] === "2026-12-01" }] };
+    },
+  };
+  const created = await ensurePartitions(db, { now: new Date("2026-10-19T00:00:00Z"), monthsAhead: 2 });
+  assert.deepEqual(calls.map((v) => v.join(" ")), [
+    "utility_measurement_tall 2026-10-01",
+    "utility_measurement_tall 2026-11-01",
+    "utility_measurement_tall 2026-12-01",
+    "ingest_raw_record 2026-10-01",
+    "ingest_raw_record 2026-11-01",
+    "ingest_raw_record 2026-12-01",
+  ]);
+  assert.deepEqual(created, ["utility_measurement_tall_p2026_12", "ingest_raw_record_p2026_12"]);
+});
+
+test("monthsToDrain keeps months inside the window, open ends included", () => {
+  const months = [{ month: "1970-01-01" }, { month: "2026-09-01" }, { month: "2099-01-01" }];
+  assert.deepEqual(monthsToDrain(months, {}), months);
+  assert.deepEqual(monthsToDrain(months, { from: "2025-01-01", to: "2027-01-01" }), [{ month: "2026-09-01" }]);
+});
+
+test("drainDefaultPartitions moves raw-record months out of DEFAULT and keeps broken-clock tall rows there", async () => {
+  const defaults = {
+    utility_measurement_tall_default: [
+      { month: "1970-01-01", rows: 4 },
+      { month: "2026-11-01", rows: 96 },
+    ],
+    ingest_raw_record_default: [{ month: "2026-11-01", rows: 12 }],
+  };
+  const ensured = [];
+  const db = {
+    async query(sql, values) {
+      const from = String(sql).match(/FROM "(\w+_default)"/);
+      if (from) return { rows: defaults[from[1]] };
+      if (/FROM ingest_raw_file/.test(sql)) return { rows: [{ month: "2025-01-01" }] };
+      ensured.push(values.join(" "));
+      return { rows: [{ ensure_month_partition: true }] };
+    },
+  };
+  const out = await drainDefaultPartitions(db, { now: new Date("2026-11-02T00:00:00Z"), monthsAhead: 3 });
+  assert.deepEqual(ensured, ["utility_measurement_tall 2026-11-01", "ingest_raw_record 2026-11-01"]);
+  assert.deepEqual(
+    out.map((e) => [e.table, e.month, e.rows, e.moved]),
+    [
+      ["utility_measurement_tall", "1970-01-01", 4, false],
+      ["utility_measurement_tall", "2026-11-01", 96, true],
+      ["ingest_raw_record", "2026-11-01", 12, true],
+    ],
+  );
+});
+
+test("rawMonthRetired is true for months in raw_record_archive or past the retention cutoff", async () => {
+  const asked = [];
+  const db = {
+    async query(sql, values) {
+      asked.push(values[0]);
+      return { rows: values[0] === "2026-05-01" ? [{}] : [] };
+    },
+  };
+  const now = new Date("2026-10-19T00:00:00Z");
+  assert.equal(await rawMonthRetired(db, new Date("2026-05-31T23:00:00Z"), { now }), true);
+  assert.equal(await rawMonthRetired(db, new Date("2026-06-02T00:00:00Z"), { now }), false);
+  assert.equal(await rawMonthRetired(db, new Date("2026-06-02T00:00:00Z"), { now, retentionMonths: 3 }), true);
+  assert.equal(await rawMonthRetired(db, new Date("2026-07-01T00:00:00Z"), { now, retentionMonths: 3 }), false);
+  assert.deepEqual(asked, ["2026-05-01", "2026-06-01", "2026-07-01"]);
+});
+
+test("archivePartition refuses to overwrite an archive already in R2", async () => {
+  const db = {
+    async connect() {
+      throw new Error("should not read the partition");
+    },
+  };
+  const r2 = {
+    async send() {
+      return { ContentLength: 512 };
+    },
+  };
+  await assert.rejects(
+    archivePartition(db, r2, { bucket: "b", key: "archive/ingest_raw_record/2026-03.copy.gz", partition: "ingest_raw_record_p2026_03" }),
+    /archive\/ingest_raw_record\/2026-03\.copy\.gz already exists/,
+  );
+});
+
+test("dropRawPartition rolls back instead of replacing a month already in raw_record_archive", async () => {
+  const sql = [];
+  const client = {
+    async query(text) {
+      sql.push(text.split(/\s+/).slice(0, 3).join(" "));
+      return { rows: [] };
+    },
+    release() {},
+  };
+  await assert.rejects(
+    dropRawPartition({ connect: async () => client }, { partition: "ingest_raw_record_p2026_03", month: "2026-03-01", action: "archived" }),
+    /ingest_raw_record_p2026_03 is already in raw_record_archive/,
+  );
+  assert.deepEqual(sql, ["BEGIN", "ALTER TABLE ingest_raw_record", 'DROP TABLE "ingest_raw_record_p2026_03"', "INSERT INTO raw_record_archive", "ROLLBACK"]);
+});
@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { concurrencyFromEnv, runPool } from "../src/pool.js";
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 1));
+
+test("runPool keeps at most `limit` calls in flight and visits every item once", async () => {
+  let running = 0;
+  let peak = 0;
+  const seen = [];
+  await runPool([1, 2, 3, 4, 5, 6, 7], 3, async (n) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await tick();
+    seen.push(n);
+    running -= 1;
+  });
+  assert.equal(peak, 3);
+  assert.deepEqual(seen.sort(), [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test("runPool stops starting items after an error and rethrows it once running calls settle", async () => {
+  const finished = [];
+  await assert.rejects(
+    runPool([1, 2, 3, 4, 5], 2, async (n) => {
+      await tick();
+      if (n === 1) throw new Error("db down");
+      await tick();
+      finished.push(n);
+    }),
+    /db down/,
+  );
+  assert.deepEqual(finished, [2]);
+});
+
+test("concurrencyFromEnv defaults to 4 and caps at 32", () => {
+  assert.equal(concurrencyFromEnv(undefined), 4);
+  assert.equal(concurrencyFromEnv("0"), 4);
+  assert.equal(concurrencyFromEnv("1"), 1);
+  assert.equal(concurrencyFromEnv("100"), 32);
+});
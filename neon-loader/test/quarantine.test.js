@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+} from "@aws-sdk/client-s3";
+import { listQuarantined, releaseQuarantined, releasedKey } from "../src/quarantine.js";
+
+function fakeBucket(objects) {
+  const calls = [];
+  return {
+    calls,
+    async send(command) {
+      calls.push(command);
+      const { Key, Prefix } = command.input;
+      if (command instanceof ListObjectsV2Command) {
+        const keys = Object.keys(objects).filter((k) => k.startsWith(Prefix)).sort();
+        return { Contents: keys.map((k) => ({ Key: k, Size: objects[k].size })), IsTruncated: false };
+      }
+      if (command instanceof HeadObjectCommand) {
+        return { Metadata: objects[Key].meta, ContentLength: objects[Key].size, ContentType: "application/gzip" };
+      }
+      if (command instanceof CopyObjectCommand) return { CopyObjectResult: { ETag: "\"copied\"" } };
+      return {};
+    },
+  };
+}
+
+const objects = {
+  "quarantine/S1/2026/03/01/mb-001.log.gz": { size: 0, meta: { serial: "S1", quarantine_reason: "empty" } },
+  "quarantine/S2/2026/03/01/mb-004.log.gz": { size: 12, meta: { serial: "S2", filetime: "2026-03-01 00:00:00", quarantine_reason: "invalid_gzip" } },
+};
+
+test("releasedKey maps quarantine/ to log-gz/ and rejects anything else", () => {
+  assert.equal(releasedKey("quarantine/S1/2026/03/01/a.log.gz"), "log-gz/S1/2026/03/01/a.log.gz");
+  assert.throws(() => releasedKey("log-gz/S1/a.log.gz"), /Not a quarantine key/);
+});
+
+test("listQuarantined filters by serial and reads the reason", async () => {
+  const client = fakeBucket(objects);
+  const items = await listQuarantined(client, { bucket: "b", serial: "S2" });
+  assert.deepEqual(
+    items.map((i) => [i.key, i.size, i.reason]),
+    [["quarantine/S2/2026/03/01/mb-004.log.gz", 12, "invalid_gzip"]],
+  );
+});
+
+test("releaseQuarantined copies back, queues, then deletes the quarantined copy", async () => {
+  const client = fakeBucket(objects);
+  const key = "quarantine/S2/2026/03/01/mb-004.log.gz";
+  const out = await releaseQuarantined(client, { bucket: "b", key }, new Date("2026-03-02T00:00:00Z"));
+  assert.deepEqual(out, { key: "log-gz/S2/2026/03/01/mb-004.log.gz", etag: "copied", reason: "invalid_gzip" });
+
+  const [copy] = client.calls.filter((c) => c instanceof CopyObjectCommand);
+  assert.equal(copy.input.CopySource, `b/${key}`);
+  assert.equal(copy.input.Metadata.quarantine_reason, undefined);
+  assert.equal(copy.input.Metadata.released_from_quarantine, "invalid_gzip");
+
+  const [put] = client.calls.filter((c) => c instanceof PutObjectCommand);
+  assert.match(put.input.Key, /^ingest-queue\/\d{13}-[0-9a-f]{8}\.json$/);
+  assert.deepEqual(JSON.parse(put.input.Body).key, out.key);
+
+  const order = client.calls.map((c) => c.constructor.name);
+  assert.ok(order.indexOf("PutObjectCommand") < order.indexOf("DeleteObjectCommand"));
+  assert.equal(client.calls.filter((c) => c instanceof DeleteObjectCommand)[0].input.Key, key);
+});
+
+test("releasedKey keeps a site's prefix", () => {
+  assert.equal(
+    releasedKey("east/quarantine/001EC6000201/2026/03/01/mb-001.log.gz", "east/"),
+    "east/log-gz/001EC6000201/2026/03/01/mb-001.log.gz",
+  );
+  assert.throws(() => releasedKey("quarantine/001EC6000201/x.log.gz", "east/"), /Not a quarantine key/);
+});
@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  AbortMultipartUploadCommand,
+  CompleteMultipartUploadCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+} from "@aws-sdk/client-s3";
+import { uploadR2Stream } from "../src/r2.js";
+
+function fakeR2({ failPart } = {}) {
+  const sent = [];
+  return {
+    sent,
+    async send(command) {
+      sent.push(command);
+      if (command instanceof CreateMultipartUploadCommand) return { UploadId: "u1" };
+      if (command instanceof UploadPartCommand) {
+        if (command.input.PartNumber === failPart) throw new Error("part failed");
+        return { ETag: `"e${command.input.PartNumber}"` };
+      }
+      return {};
+    },
+  };
+}
+
+async function* chunks(...sizes) {
+  for (const n of sizes) yield Buffer.alloc(n, 1);
+}
+
+test("uploadR2Stream sends equal-size parts and a short last part", async () => {
+  const r2 = fakeR2();
+  const out = await uploadR2Stream(r2, { bucket: "b", key: "k", body: chunks(3, 7, 1, 2), partBytes: 4 });
+  assert.deepEqual(out, { bytes: 13, parts: 4 });
+  const parts = r2.sent.filter((c) => c instanceof UploadPartCommand).map((c) => c.input.Body.length);
+  assert.deepEqual(parts, [4, 4, 4, 1]);
+  const complete = r2.sent.at(-1);
+  assert.ok(complete instanceof CompleteMultipartUploadCommand);
+  assert.deepEqual(complete.input.MultipartUpload.Parts.map((p) => p.PartNumber), [1, 2, 3, 4]);
+});
+
+test("uploadR2Stream uploads one empty part for an empty stream", async () => {
+  const r2 = fakeR2();
+  assert.deepEqual(await uploadR2Stream(r2, { bucket: "b", key: "k", body: chunks(), partBytes: 4 }), { bytes: 0, parts: 1 });
+});
+
+test("uploadR2Stream aborts the upload when a part fails", async () => {
+  const r2 = fakeR2({ failPart: 2 });
+  await assert.rejects(uploadR2Stream(r2, { bucket: "b", key: "k", body: chunks(10), partBytes: 4 }), /part failed/);
+  assert.ok(r2.sent.at(-1) instanceof AbortMultipartUploadCommand);
+  assert.ok(!r2.sent.some((c) => c instanceof CompleteMultipartUploadCommand));
+});
@@ -0,0 +1,135 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { gzipSync } from "node:zlib";
+import { GetObjectCommand } from "@aws-sdk/client-s3";
+import { PARSER_VERSION } from "../src/parse.js";
+import { reprocessFile, selectReprocessBatch } from "../src/reprocess.js";
+
+process.env.BULK_LOAD_MODE = "insert";
+
+const labelMapConfig = {
+  labels: { "006": { labelName: "Flow Meter", deviceAddress: "mb-006", physicalGroup: "water", schemaId: "flow_v1" } },
+};
+const file = {
+  id: 7,
+  r2_key: "log-gz/S1/2026/03/01/mb-006.log.gz",
+  serial: "S1",
+  site_id: "default",
+  parser_version: null,
+  ingested_at: new Date("2026-03-01T00:20:00Z"),
+};
+
+function fakeDb(rawRows = []) {
+  const queries = [];
+  const client = {
+    async query(sql, values) {
+      queries.push({ sql: String(sql).trim(), values });
+      if (/^SELECT line_no/.test(String(sql))) return { rows: rawRows };
+      if (/^WITH deleted AS/.test(String(sql).trim())) return { rows: [{ deleted: 3 }] };
+      return { rows: [], rowCount: 0 };
+    },
+    release() {},
+  };
+  return { queries, db: { async connect() { return client; }, query: client.query } };
+}
+
+const csv = "time(UTC),error,lowalarm,highalarm,Flow (GPM)\n2026-03-01 00:00:00,0,0,0,12.5\n2026-03-01 00:15:00,0,0,0,13\n";
+
+test("selectReprocessBatch filters on site, version, device, schema and day range", async () => {
+  const { db, queries } = fakeDb();
+  await selectReprocessBatch(db, { siteId: "east", device: "mb-006", from: "2026-03-01", to: "2026-03-31" }, { afterId: 40, limit: 10 });
+  assert.match(queries[0].sql, /parser_version IS NULL OR parser_version < \$3/);
+  assert.deepEqual(queries[0].values, ["east", false, PARSER_VERSION, "mb-006", null, "2026-03-01", "2026-03-31", 40, 10]);
+});
+
+test("reprocessFile from R2 replaces raw and tall rows and bumps parser_version in one transaction", async () => {
+  const { db, queries } = fakeDb();
+  const r2 = {
+    async send(command) {
+      assert.ok(command instanceof GetObjectCommand);
+      return { Body: [gzipSync(Buffer.from(csv))] };
+    },
+  };
+  const out = await reprocessFile(db, file, { r2, bucket: "b", labelMapConfig });
+  assert.deepEqual(out, { source: "r2", rawRows: 2, tallBefore: 3, tallAfter: 2 });
+  const sql = queries.map((q) => q.sql.split(/\s+/).slice(0, 3).join(" "));
+  assert.deepEqual(sql, [
+    "BEGIN",
+    "SELECT 1 FROM",
+    "DELETE FROM ingest_raw_record",
+    "INSERT INTO ingest_raw_record",
+    "SELECT DISTINCT COALESCE(device_address,",
+    "WITH deleted AS",
+    "WITH ins AS",
+    "SELECT pg_advisory_xact_lock(hashtext('rollup:' ||",
+    "DELETE FROM utility_measurement_hourly",
+    "INSERT INTO utility_measurement_hourly",
+    "DELETE FROM utility_measurement_daily",
+    "INSERT INTO utility_measurement_daily",
+    "UPDATE ingest_raw_file SET",
+    "COMMIT",
+  ]);
+  const hourly = queries.find((q) => /^INSERT INTO utility_measurement_hourly/.test(q.sql));
+  assert.deepEqual(JSON.parse(hourly.values[1]), [{ device_address: "mb-006", bucket: "2026-03-01T00:00:00.000Z" }]);
+  assert.deepEqual(queries.at(-2).values, [
+    7,
+    PARSER_VERSION,
+    "mb-006",
+    "water",
+    "flow_v1",
+    true,
+    JSON.stringify(["time(UTC)", "error", "lowalarm", "highalarm", "Flow (GPM)"]),
+  ]);
+  const raw = queries.find((q) => /^INSERT INTO ingest_raw_record/.test(q.sql));
+  assert.match(raw.sql, /, record_ts, ingested_at\) VALUES/);
+  assert.equal(raw.values.filter((v) => v === file.ingested_at).length, 2);
+});
+
+test("reprocessFile from R2 leaves raw records of an archived or expired month alone", async () => {
+  const r2 = {
+    async send() {
+      return { Body: [gzipSync(Buffer.from(csv))] };
+    },
+  };
+  const archived = fakeDb();
+  const client = await archived.db.connect();
+  const query = client.query;
+  client.query = async (sql, values) => {
+    const out = await query(sql, values);
+    return /FROM raw_record_archive/.test(String(sql)) ? { rows: [{}] } : out;
+  };
+  const out = await reprocessFile(archived.db, file, { r2, bucket: "b", labelMapConfig });
+  assert.deepEqual(out, { source: "r2", rawRows: 0, tallBefore: 3, tallAfter: 2 });
+  assert.deepEqual(archived.queries.find((q) => /raw_record_archive/.test(q.sql)).values, ["2026-03-01"]);
+  assert.ok(!archived.queries.some((q) => /^(DELETE FROM|INSERT INTO) ingest_raw_record/.test(q.sql)));
+  assert.ok(archived.queries.some((q) => /INSERT INTO utility_measurement_tall/.test(q.sql)));
+
+  // March 2026 is past a one-month retention (the next `retention` run would archive it).
+  const expired = fakeDb();
+  await reprocessFile(expired.db, file, { r2, bucket: "b", labelMapConfig, retentionMonths: 1 });
+  assert.ok(!expired.queries.some((q) => /ingest_raw_record/.test(q.sql)));
+});
+
+test("reprocessFile falls back to stored raw records when the object is gone", async () => {
+  const { db, queries } = fakeDb([
+    { line_no: 2, raw_text: "2026-03-01 00:00:00,0,0,0,12.5", parsed_json: { "Flow (GPM)": "12.5", error: "0", "time(UTC)": "2026-03-01 00:00:00", lowalarm: "0", highalarm: "0" } },
+  ]);
+  const r2 = {
+    async send() {
+      throw Object.assign(new Error("gone"), { name: "NoSuchKey" });
+    },
+  };
+  const out = await reprocessFile(db, file, { r2, bucket: "b", labelMapConfig });
+  assert.deepEqual(out, { source: "raw", rawRows: 1, tallBefore: 3, tallAfter: 1 });
+  assert.ok(!queries.some((q) => /ingest_raw_record/.test(q.sql) && !/^SELECT/.test(q.sql)));
+  const tall = queries.find((q) => /^WITH ins AS \(\s+INSERT INTO utility_measurement_tall/.test(q.sql));
+  assert.ok(tall.values.includes(12.5));
+});
+
+test("reprocessFile --source raw keeps tall rows whose raw records were dropped by retention", async () => {
+  const { db, queries } = fakeDb();
+  const query = db.query;
+  db.query = async (sql, values) => (/^SELECT 1 FROM utility_measurement_tall/.test(String(sql)) ? { rows: [{}] } : query(sql, values));
+  await assert.rejects(reprocessFile(db, file, { labelMapConfig, source: "raw", dryRun: true }), /No raw records for file_id=7/);
+  assert.ok(!queries.some((q) => /^WITH deleted AS|^DELETE/.test(q.sql)));
+});
@@ -0,0 +1,72 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { classifyError, retryOptionsFromEnv, withRetry } from "../src/retry.js";
+
+const err = (props) => Object.assign(new Error(props.message || "x"), props);
+
+test("classifyError treats network, throttling, 5xx and lost connections as transient", () => {
+  assert.equal(classifyError(err({ code: "ECONNRESET" })), "transient");
+  assert.equal(classifyError(err({ name: "TimeoutError" })), "transient");
+  assert.equal(classifyError(err({ $metadata: { httpStatusCode: 503 } })), "transient");
+  assert.equal(classifyError(err({ code: "57P01" })), "transient");
+  assert.equal(classifyError(err({ code: "40P01" })), "transient");
+  assert.equal(classifyError(err({ message: "Connection terminated unexpectedly" })), "transient");
+  assert.equal(classifyError(err({ message: "fetch failed", cause: err({ code: "ETIMEDOUT" }) })), "transient");
+});
+
+test("classifyError treats corrupt data and SQL data errors as permanent", () => {
+  assert.equal(classifyError(err({ code: "Z_DATA_ERROR", message: "incorrect header check" })), "permanent");
+  assert.equal(classifyError(err({ code: "22P02" })), "permanent");
+  assert.equal(classifyError(err({ name: "NoSuchKey", $metadata: { httpStatusCode: 404 } })), "permanent");
+  assert.equal(classifyError(new Error("No header row found")), "permanent");
+});
+
+test("withRetry backs off on transient errors and gives up after `attempts`", async () => {
+  const waits = [];
+  let calls = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        calls += 1;
+        throw err({ code: "ECONNRESET" });
+      },
+      { attempts: 3, baseMs: 100, sleep: async (ms) => waits.push(ms) },
+    ),
+    /x/,
+  );
+  assert.equal(calls, 3);
+  assert.equal(waits.length, 2);
+  assert.ok(waits[0] >= 100 && waits[0] <= 150 && waits[1] >= 200 && waits[1] <= 300);
+});
+
+test("withRetry does not retry permanent errors and returns the first success", async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls += 1;
+      throw new Error("corrupt");
+    }, { sleep: async () => {} }),
+    /corrupt/,
+  );
+  assert.equal(calls, 1);
+
+  let n = 0;
+  const out = await withRetry(
+    async () => {
+      n += 1;
+      if (n === 1) throw err({ code: "ETIMEDOUT" });
+      return "ok";
+    },
+    { sleep: async () => {} },
+  );
+  assert.deepEqual([out, n], ["ok", 2]);
+});
+
+test("retryOptionsFromEnv reads attempts, backoff and the dead-letter threshold", () => {
+  assert.deepEqual(retryOptionsFromEnv({}), { attempts: 3, baseMs: 1000, deadLetterAfter: 3 });
+  assert.deepEqual(retryOptionsFromEnv({ INGEST_RETRY_ATTEMPTS: "1", INGEST_RETRY_BASE_MS: "0", DEAD_LETTER_AFTER: "5" }), {
+    attempts: 1,
+    baseMs: 0,
+    deadLetterAfter: 5,
+  });
+});
@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { daysBetween, refreshRollups, rollupHours } from "../src/rollups.js";
+
+test("rollupHours lists each touched hour once, skipping rows without record_ts", () => {
+  const rows = [
+    { recordTs: "2026-03-01T10:45:00.000Z" },
+    { recordTs: "2026-03-01T10:00:00.000Z" },
+    { recordTs: "2026-03-01T09:59:59.000Z" },
+    { recordTs: null },
+  ];
+  assert.deepEqual(rollupHours(rows, "mb-006"), [
+    { device_address: "mb-006", bucket: "2026-03-01T09:00:00.000Z" },
+    { device_address: "mb-006", bucket: "2026-03-01T10:00:00.000Z" },
+  ]);
+  assert.deepEqual(rollupHours([{ recordTs: "2026-03-01T10:45:00.000Z" }], undefined)[0].device_address, "unknown");
+});
+
+test("refreshRollups locks the devices, then recomputes the hours and their days", async () => {
+  const queries = [];
+  const client = {
+    async query(sql, values) {
+      queries.push({ sql: sql.replace(/\s+/g, " ").trim(), values });
+      return { rows: [] };
+    },
+  };
+  await refreshRollups(client, "default", []);
+  assert.equal(queries.length, 0);
+
+  const hours = [
+    { device_address: "mb-006", bucket: "2026-03-01T23:00:00.000Z" },
+    { device_address: "mb-003", bucket: "2026-03-02T00:00:00.000Z" },
+  ];
+  await refreshRollups(client, "default", hours);
+  assert.deepEqual(queries[0].values, ["default", ["mb-003", "mb-006"]]);
+  assert.deepEqual(
+    queries.slice(1).map((q) => q.sql.split(" ").slice(0, 3).join(" ")),
+    [
+      "DELETE FROM utility_measurement_hourly",
+      "INSERT INTO utility_measurement_hourly",
+      "DELETE FROM utility_measurement_daily",
+      "INSERT INTO utility_measurement_daily",
+    ],
+  );
+  assert.match(queries[2].sql, /m\.record_ts >= t\.bucket AND m\.record_ts < t\.bucket \+ INTERVAL '1 hour'/);
+  assert.match(queries[4].sql, /FROM \(SELECT DISTINCT t\.device_address, \(t\.bucket AT TIME ZONE 'UTC'\)::date AS day/);
+  for (const q of queries.slice(1)) assert.deepEqual(q.values, ["default", JSON.stringify(hours)]);
+});
+
+test("daysBetween is inclusive", () => {
+  assert.deepEqual(daysBetween("2026-02-27", "2026-03-01"), ["2026-02-27", "2026-02-28", "2026-03-01"]);
+  assert.deepEqual(daysBetween("2026-03-02", "2026-03-01"), []);
+});
@@ -0,0 +1,109 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildDriftReport, compareHeaderVariant } from "../src/schema-drift.js";
+
+const labelMapConfig = {
+  labels: {
+    "002": { deviceAddress: "mb-002", schemaId: "status_only_v1", hasData: false },
+    "006": { deviceAddress: "mb-006", schemaId: "flow_v1" },
+    "007": { deviceAddress: "mb-007", schemaId: "solar_v1" },
+  },
+  schemas: {
+    solar_v1: {
+      expectedHeaders: ["Solar Array Power"],
+      headerAliases: { "solar aray power": "Solar Array Power" },
+    },
+  },
+};
+const schemaColumnOrders = { flow_v1: ["time(UTC)", "error", "lowalarm", "highalarm", "Flow (GPM)"] };
+const codes = (issues) => issues.map((i) => i.code);
+
+test("compareHeaderVariant accepts headers matching the schema column order", () => {
+  const v = { device_address: "mb-006", schema_id: "flow_v1", headers: schemaColumnOrders.flow_v1 };
+  assert.deepEqual(compareHeaderVariant(v, { labelMapConfig, schemaColumnOrders }), []);
+});
+
+test("compareHeaderVariant reports missing, extra and reordered columns", () => {
+  const changed = {
+    device_address: "mb-006",
+    schema_id: "flow_v1",
+    headers: ["time(UTC)", "error", "lowalarm", "highalarm", "Flow Rate (GPM)"],
+  };
+  assert.deepEqual(compareHeaderVariant(changed, { labelMapConfig, schemaColumnOrders }), [
+    { code: "missing_columns", detail: "Flow (GPM)" },
+    { code: "extra_columns", detail: "Flow Rate (GPM)" },
+  ]);
+  const reordered = {
+    device_address: "mb-006",
+    schema_id: "flow_v1",
+    headers: ["time(UTC)", "Flow (GPM)", "error", "lowalarm", "highalarm"],
+  };
+  assert.deepEqual(codes(compareHeaderVariant(reordered, { labelMapConfig, schemaColumnOrders })), ["column_order_changed"]);
+});
+
+test("compareHeaderVariant checks the label map and strict header allowlist", () => {
+  const opts = { labelMapConfig, schemaColumnOrders };
+  assert.deepEqual(
+    compareHeaderVariant({ device_address: "mb-099", schema_id: "default_v1", headers: ["time(UTC)"] }, opts),
+    [{ code: "unknown_device" }],
+  );
+  assert.deepEqual(
+    compareHeaderVariant({ device_address: "mb-006", schema_id: "default_v1", headers: ["time(UTC)"] }, opts),
+    [{ code: "schema_mismatch", detail: "label_map=flow_v1" }],
+  );
+  assert.deepEqual(
+    codes(compareHeaderVariant({ device_address: "mb-002", schema_id: "status_only_v1", headers: ["time(UTC)", "Flow (GPM)"] }, opts)),
+    ["measurable_but_has_data_false"],
+  );
+  const solar = {
+    device_address: "mb-007",
+    schema_id: "solar_v1",
+    headers: ["time(UTC)", "error", "Solar Aray Power (kW)", "Hydro Power (kW)"],
+  };
+  assert.deepEqual(compareHeaderVariant(solar, opts), [{ code: "not_in_expected_headers", detail: "Hydro Power (kW)" }]);
+});
+
+test("buildDriftReport flags a device's new variant since the given day", () => {
+  const headers = schemaColumnOrders.flow_v1;
+  const report = buildDriftReport(
+    [
+      { device_address: "mb-006", schema_id: "flow_v1", headers, first_seen: "2026-02-01T00:00:00Z", last_seen: "2026-03-02T05:00:00Z" },
+      {
+        device_address: "mb-006",
+        schema_id: "flow_v1",
+        headers: [...headers, "Total (Gal)"],
+        first_seen: "2026-03-02T06:00:00Z",
+        last_seen: "2026-03-02T06:00:00Z",
+      },
+      { device_address: "mb-007", schema_id: "solar_v1", headers: ["time(UTC)"], first_seen: "2026-03-02T06:00:00Z", last_seen: "2026-03-02T06:00:00Z" },
+    ],
+    { labelMapConfig, schemaColumnOrders, since: "2026-03-02" },
+  );
+  assert.deepEqual(
+    report.map((r) => [r.status, codes(r.issues)]),
+    [
+      ["ok", []],
+      ["drift", ["new_variant", "extra_columns"]],
+      ["ok", []],
+    ],
+  );
+});
+
+test("buildDriftReport flags a switch-over even when the old variant was last seen before since", () => {
+  const headers = schemaColumnOrders.flow_v1;
+  const variants = [
+    { device_address: "mb-006", schema_id: "flow_v1", headers, first_seen: "2026-02-01T00:00:00Z", last_seen: "2026-03-01T23:45:00Z" },
+    {
+      device_address: "mb-006",
+      schema_id: "flow_v1",
+      headers: [...headers, "Total (Gal)"],
+      first_seen: "2026-03-02T00:00:00Z",
+      last_seen: "2026-03-02T23:45:00Z",
+    },
+  ];
+  const report = buildDriftReport(variants, { labelMapConfig, schemaColumnOrders, since: "2026-03-02" });
+  assert.deepEqual(
+    report.map((r) => [r.first_seen, codes(r.issues)]),
+    [["2026-03-02T00:00:00Z", ["new_variant", "extra_columns"]]],
+  );
+});
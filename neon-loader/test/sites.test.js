@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { loadSite, serialFromKey, siteRoot } from "../src/sites.js";
+
+function sitesFile(sites) {
+  const dir = mkdtempSync(path.join(tmpdir(), "sites-"));
+  const file = path.join(dir, "sites.json");
+  writeFileSync(file, JSON.stringify(sites));
+  return { dir, file };
+}
+
+test("loadSite falls back to the single-site env when SITE_ID is unset", () => {
+  const { file } = sitesFile({ south: { bucket: "south-bucket" } });
+  assert.deepEqual(loadSite({ SITES_PATH: file, R2_BUCKET_NAME: "main", LABEL_MAP_PATH: "/x/labels.json" }), {
+    id: "default",
+    bucket: "main",
+    root: "",
+    labelMapPath: "/x/labels.json",
+  });
+});
+
+test("loadSite reads a site's bucket, prefix and label map from sites.json", () => {
+  const { dir, file } = sitesFile({ east: { prefix: "/east/", labelMap: "label-map.east.json" } });
+  assert.deepEqual(loadSite({ SITE_ID: "east", SITES_PATH: file, R2_BUCKET_NAME: "main" }), {
+    id: "east",
+    bucket: "main",
+    root: "east/",
+    labelMapPath: path.join(dir, "label-map.east.json"),
+  });
+  assert.throws(() => loadSite({ SITE_ID: "west", SITES_PATH: file, R2_BUCKET_NAME: "main" }), /Unknown SITE_ID west/);
+  assert.throws(() => loadSite({ SITE_ID: "east", SITES_PATH: file }), /R2_BUCKET_NAME/);
+});
+
+test("serialFromKey skips the site root", () => {
+  assert.equal(siteRoot(" south/ "), "south/");
+  assert.equal(serialFromKey("south/log-gz/001EC6000200/2026/03/01/mb-001.log.gz", "south/"), "001EC6000200");
+  assert.equal(serialFromKey("log-gz/001EC6000200/2026/03/01/mb-001.log.gz"), "001EC6000200");
+  assert.equal(serialFromKey("log-gz"), "unknown_serial");
+});
@@ -0,0 +1,68 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ingestStatusObjects, parseStatusText, parseUptime, statusReportedAt } from "../src/status.js";
+
+test("parseStatusText pulls health fields out of KEY=value lines", () => {
+  const s = parseStatusText(
+    [
+      "SERIALNUMBER=001EC6000123",
+      "LOOPNAME=North Plant",
+      "UPTIME=12 days, 03:04:05",
+      "FIRMWAREVERSION=v1.4.2",
+      "GSMSIGNAL=-71",
+      "MODBUSDEVICES=1:Main meter;4:Hydro",
+      "DEVICE6=Flow",
+      "MODBUSERRORS=3",
+      "CRCFAILURES=0",
+      "not a field",
+    ].join("\n"),
+  );
+  assert.equal(s.loopname, "North Plant");
+  assert.equal(s.uptimeSeconds, 12 * 86400 + 3 * 3600 + 4 * 60 + 5);
+  assert.equal(s.firmwareVersion, "v1.4.2");
+  assert.equal(s.signalQuality, -71);
+  assert.deepEqual(s.modbusDevices, [
+    { address: 1, name: "Main meter" },
+    { address: 4, name: "Hydro" },
+    { address: 6, name: "Flow" },
+  ]);
+  assert.deepEqual(s.errorCounters, { modbuserrors: 3, crcfailures: 0 });
+  assert.equal(s.fields.SERIALNUMBER, "001EC6000123");
+});
+
+test("parseStatusText leaves unknown values null", () => {
+  const s = parseStatusText("Uptime: soon\n");
+  assert.equal(s.uptimeSeconds, null);
+  assert.equal(s.firmwareVersion, null);
+  assert.equal(s.signalQuality, null);
+  assert.deepEqual(s.modbusDevices, []);
+});
+
+test("parseUptime accepts seconds and h:mm forms", () => {
+  assert.equal(parseUptime("3600"), 3600);
+  assert.equal(parseUptime("2 days 3:04"), 2 * 86400 + 3 * 3600 + 4 * 60);
+  assert.equal(parseUptime(""), null);
+});
+
+test("statusReportedAt prefers the Worker's status_<ms> name", () => {
+  assert.equal(
+    statusReportedAt("status/S/2026/03/01/status_1772323200000.txt", new Date(0)).toISOString(),
+    "2026-03-01T00:00:00.000Z",
+  );
+  const lm = new Date("2026-03-02T00:00:00Z");
+  assert.equal(statusReportedAt("status/S/2026/03/02/diag.txt", lm), lm);
+});
+
+test("ingestStatusObjects skips checkpointed files and acks their messages", async () => {
+  const db = { query: async () => ({ rows: [{ r2_key: "status/S/a.txt", etag: "e1" }] }) };
+  const out = await ingestStatusObjects({
+    r2: null,
+    db,
+    bucket: "b",
+    objects: [{ key: "status/S/a.txt", etag: "e1", messageKeys: ["ingest-queue/1.json"] }],
+    runId: "r",
+    dryRun: false,
+  });
+  assert.deepEqual(out.stats, { listed: 1, skipped: 1, succeeded: 0, failed: 0 });
+  assert.deepEqual(out.ackKeys, ["ingest-queue/1.json"]);
+});
@@ -0,0 +1,57 @@
+/**
+ * Issues or revokes per-device upload keys in the API_KEYS KV namespace (via Wrangler).
+ *
+ * Usage (from worker/):
+ *   node scripts/api-keys.mjs issue <SERIALNUMBER>
+ *   node scripts/api-keys.mjs revoke <hash> [--at 2026-11-01T00:00:00Z]
+ *
+ * `issue` prints the plain key once — configure it on that AcquiSuite, then revoke the old key.
+ */
+import { spawnSync } from "node:child_process";
+import { issueKey, revokeKey } from "../src/keys.js";
+
+function wrangler(args) {
+  const r = spawnSync("npx", ["wrangler", "kv", "key", ...args, "--binding", "API_KEYS", "--remote"], {
+    encoding: "utf8",
+  });
+  if (r.status !== 0) throw new Error(`wrangler kv key ${args[0]} failed: ${r.stderr || r.stdout}`);
+  return r.stdout;
+}
+
+/** Same get/put interface as kvKeyStore, backed by the Wrangler CLI. */
+const store = {
+  async get(hash) {
+    const r = spawnSync("npx", ["wrangler", "kv", "key", "get", `apikey:${hash}`, "--binding", "API_KEYS", "--remote", "--text"], {
+      encoding: "utf8",
+    });
+    if (r.status !== 0 || !r.stdout.trim()) return null;
+    try {
+      return JSON.parse(r.stdout);
+    } catch {
+      return null;
+    }
+  },
+  async put(hash, rec) {
+    wrangler(["put", `apikey:${hash}`, JSON.stringify(rec)]);
+  },
+};
+
+const [cmd, arg, ...rest] = process.argv.slice(2);
+if (cmd === "issue" && arg) {
+  const out = await issueKey(store, arg);
+  console.log(`serial=${arg} key_id=${out.keyId} hash=${out.hash}`);
+  console.log(`key=${out.key}`);
+} else if (cmd === "revoke" && arg) {
+  const atIdx = rest.indexOf("--at");
+  const at = atIdx >= 0 ? Date.parse(rest[atIdx + 1]) : Date.now();
+  if (!Number.isFinite(at)) throw new Error("--at must be an ISO timestamp");
+  const rec = await revokeKey(store, arg, at);
+  if (!rec) {
+    console.error(`no key with hash=${arg}`);
+    process.exit(1);
+  }
+  console.log(`revoked serial=${rec.serial} hash=${arg} revoked_at=${rec.revoked_at}`);
+} else {
+  console.error("Usage: node scripts/api-keys.mjs issue <SERIALNUMBER> | revoke <hash> [--at <iso>]");
+  process.exit(1);
+}
@@ -1,10 +1,13 @@
 /**
- * Builds src/mb-csv-header-lines.json for the Worker (tab-separated header row per mb-XXX).
- * Run after changing neon-loader/schema-column-orders.json or device mapping.
+ * Builds src/mb-csv-header-lines.json for the Worker (tab-separated header row per mb-XXX) and
+ * src/mb-metric-keys.json (column name → neon-loader's { metric, unit, source } for that column).
+ * Run after changing neon-loader/schema-column-orders.json, device mapping or the loader's
+ * column-name rules in neon-loader/src/parse.js.
  */
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { parseColumnSpec } from "../../neon-loader/src/parse.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 /** Worker package root (`worker/`). */
@@ -32,11 +35,21 @@ const MB_TO_SCHEMA = {
 };
 
 const out = {};
+const metricKeys = {};
 for (const [mb, schemaId] of Object.entries(MB_TO_SCHEMA)) {
   const cols = orders[schemaId];
-  if (cols?.length) out[mb] = cols.join("\t");
+  if (!cols?.length) continue;
+  out[mb] = cols.join("\t");
+  for (const col of cols) {
+    const spec = parseColumnSpec(col);
+    if (spec) metricKeys[col.trim()] = { metric: spec.metric, unit: spec.unit, source: spec.source };
+  }
 }
 
 const outPath = path.join(workerRoot, "src", "mb-csv-header-lines.json");
 fs.writeFileSync(outPath, `${JSON.stringify(out, null, 2)}\n`);
 console.log("wrote", outPath, Object.keys(out).length, "devices");
+
+const keysPath = path.join(workerRoot, "src", "mb-metric-keys.json");
+fs.writeFileSync(keysPath, `${JSON.stringify(metricKeys, null, 2)}\n`);
+console.log("wrote", keysPath, Object.keys(metricKeys).length, "columns");
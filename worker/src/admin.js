@@ -0,0 +1,178 @@
+/**
+ * Operator routes, authenticated with `Authorization: Bearer <ADMIN_TOKEN>` (never a device key):
+ *
+ *   GET  /devices, /admin/devices                     device registry (src/devices.js)
+ *   GET  /admin/objects?serial=…&date=yyyy-mm-dd       keys under log-gz/ (or &prefix=quarantine|status), &cursor= for more
+ *   GET  /admin/object?key=…                           one object, gunzipped unless &raw=1
+ *   GET  /admin/meta?key=…                             size, etag, upload time, httpMetadata, customMetadata
+ *   POST /admin/reheader?key=…                         re-run the CSV header prepend; dry run unless &write=1
+ *
+ * and one read-only route for dashboards and alerts, with its own `Bearer <LATEST_TOKEN>` (the
+ * admin token, which can download and rewrite objects, is not accepted there):
+ *
+ *   GET  /latest?device=mb-006[&serial=…]              last row of the newest log, as metric keys (src/latest.js)
+ *
+ * Every route takes &site=<id> (src/sites.js) for another site's bucket and root; default site otherwise.
+ * A key= outside that site's root (or inside another site's) is refused with 403 KEY_OUTSIDE_SITE.
+ */
+import mbCsvHeaderLines from "./mb-csv-header-lines.json";
+import { listDevices } from "./devices.js";
+import { gunzip, prependHeader } from "./csv-header.js";
+import { enqueueIngest } from "./ingest-queue.js";
+import { secretsEqual } from "./keys.js";
+import { readLatest } from "./latest.js";
+import { keyInSite, siteById } from "./sites.js";
+
+/** Prefixes laid out as <prefix>/<serial>/<yyyy>/<mm>/<dd>/. */
+const BROWSABLE = ["log-gz", "quarantine", "status"];
+const SERIAL_RE = /^[A-Za-z0-9._-]+$/;
+const DEVICE_RE = /^mb-\d{3}$/;
+const DATE_RE = /^(\d{4})(?:[-/](\d{2})(?:[-/](\d{2}))?)?$/;
+
+export function isAdminPath(pathname) {
+  return pathname === "/devices" || pathname === "/latest" || pathname.startsWith("/admin/");
+}
+
+export async function admin(request, env, url) {
+  const secret = url.pathname === "/latest" ? env.LATEST_TOKEN : env.ADMIN_TOKEN;
+  if (!(await bearerAllowed(request, secret))) return txt("FORBIDDEN", 403);
+  const route = `${request.method} ${url.pathname}`;
+  const q = url.searchParams;
+  const site = siteById(env, q.get("site"));
+  if (!site) return txt("UNKNOWN_SITE", 404);
+  if (!env[site.binding]) return txt("MISSING_R2_BINDING", 500);
+  const senv = { ...env, BUCKET: env[site.binding] };
+  const key = q.get("key");
+  if (key && !keyInSite(env, site, key)) return txt("KEY_OUTSIDE_SITE", 403);
+  switch (route) {
+    case "GET /devices":
+    case "GET /admin/devices":
+      return json(await listDevices(senv.BUCKET, site.root));
+    case "GET /latest":
+      return latest(senv, q, site);
+    case "GET /admin/objects":
+      return listObjects(senv, q, site);
+    case "GET /admin/object":
+      return download(senv, q);
+    case "GET /admin/meta":
+      return meta(senv, q);
+    case "POST /admin/reheader":
+      return reheader(senv, q, site);
+    default:
+      return txt("NOT_FOUND", 404);
+  }
+}
+
+async function latest(env, q, site) {
+  const device = (q.get("device") || "").toLowerCase();
+  const serial = q.get("serial") || "";
+  if (!env.LATEST) return txt("MISSING_LATEST_BINDING", 500);
+  if (!DEVICE_RE.test(device)) return txt("BAD_DEVICE", 400);
+  if (serial && !SERIAL_RE.test(serial)) return txt("BAD_SERIAL", 400);
+  const row = await readLatest(env, site.id, device, serial);
+  return row ? json(row) : txt("NOT_FOUND", 404);
+}
+
+async function listObjects(env, q, site) {
+  const prefix = q.get("prefix") || "log-gz";
+  const serial = q.get("serial") || "";
+  const date = (q.get("date") || "").match(DATE_RE);
+  if (!BROWSABLE.includes(prefix)) return txt("BAD_PREFIX", 400);
+  if (!SERIAL_RE.test(serial)) return txt("BAD_SERIAL", 400);
+  if (q.get("date") && !date) return txt("BAD_DATE", 400);
+  const day = date ? `${date.slice(1).filter(Boolean).join("/")}/` : "";
+  const page = await env.BUCKET.list({
+    prefix: `${site.root}${prefix}/${serial}/${day}`,
+    cursor: q.get("cursor") || undefined,
+    include: ["customMetadata"],
+  });
+  return json({
+    objects: page.objects.map((o) => ({
+      key: o.key,
+      size: o.size,
+      etag: o.etag,
+      uploaded: o.uploaded,
+      customMetadata: o.customMetadata,
+    })),
+    cursor: page.truncated ? page.cursor : null,
+  });
+}
+
+async function download(env, q) {
+  const key = q.get("key");
+  if (!key) return txt("MISSING_KEY", 400);
+  const obj = await env.BUCKET.get(key);
+  if (!obj) return txt("NOT_FOUND", 404);
+  const name = key.split("/").pop();
+  if (q.get("raw") === "1") {
+    return new Response(obj.body, {
+      headers: { "content-type": obj.httpMetadata?.contentType || "application/octet-stream" },
+    });
+  }
+  const bytes = new Uint8Array(await obj.arrayBuffer());
+  if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) return text(bytes, name);
+  try {
+    return text(await gunzip(bytes), name.replace(/\.gz$/i, ""));
+  } catch {
+    return txt("NOT_GZIP_READABLE", 422);
+  }
+}
+
+async function meta(env, q) {
+  const key = q.get("key");
+  if (!key) return txt("MISSING_KEY", 400);
+  const obj = await env.BUCKET.head(key);
+  if (!obj) return txt("NOT_FOUND", 404);
+  return json({
+    key: obj.key,
+    size: obj.size,
+    etag: obj.etag,
+    uploaded: obj.uploaded,
+    httpMetadata: obj.httpMetadata,
+    customMetadata: obj.customMetadata,
+  });
+}
+
+/**
+ * Same decision as an upload (match / prepend / drift), on the stored bytes. With write=1 a changed
+ * object is written back (new etag) and queued, so use it on logs that have not loaded yet.
+ */
+async function reheader(env, q, site) {
+  const key = q.get("key");
+  if (!key) return txt("MISSING_KEY", 400);
+  const obj = await env.BUCKET.get(key);
+  if (!obj) return txt("NOT_FOUND", 404);
+  const bytes = new Uint8Array(await obj.arrayBuffer());
+  const r = await prependHeader(bytes, key.split("/").pop(), mbCsvHeaderLines, env);
+  const changed = r.bytes !== bytes;
+  const out = { key, changed, meta: r.meta, written: false };
+  if (!changed || q.get("write") !== "1") return json(out);
+
+  const kept = Object.fromEntries(
+    Object.entries(obj.customMetadata || {}).filter(([k]) => !k.startsWith("csv_header_") && k !== "csv_data_columns"),
+  );
+  const customMetadata = { ...kept, ...r.meta, csv_header_rerun_at: new Date().toISOString() };
+  const stored = await env.BUCKET.put(key, r.bytes, { httpMetadata: obj.httpMetadata, customMetadata });
+  if (key.startsWith(`${site.root}log-gz/`)) await enqueueIngest(env, stored, customMetadata, site.root);
+  return json({ ...out, written: true, etag: stored.etag });
+}
+
+async function bearerAllowed(request, secret) {
+  const m = (request.headers.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  return Boolean(secret && m && (await secretsEqual(m[1].trim(), secret)));
+}
+
+function text(bytes, name) {
+  return new Response(bytes, {
+    headers: {
+      "content-type": "text/plain; charset=utf-8",
+      "content-disposition": `inline; filename="${name.replace(/"/g, "")}"`,
+    },
+  });
+}
+function json(v, s = 200) {
+  return new Response(JSON.stringify(v), { status: s, headers: { "content-type": "application/json" } });
+}
+function txt(m, s = 200) {
+  return new Response(m, { status: s, headers: { "content-type": "text/plain" } });
+}
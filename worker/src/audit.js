@@ -0,0 +1,92 @@
+/**
+ * Audit log: one small JSON object per device request (uploads, rejections, plain acks) at
+ * audit/<yyyy>/<mm>/<dd>/<hhmmssSSS>Z-<uuid>.json in BUCKET, by UTC time of arrival. Operator
+ * routes are not logged. One object per request means a single put with nothing to read or
+ * retry, however busy the day. Set AUDIT_LOG=0 to stop writing them; neon-loader's
+ * `npm run audit` loads them.
+ */
+import { datePath } from "./filetime.js";
+
+export const AUDIT_PREFIX = "audit/";
+
+/** Prefix of one UTC day's records. */
+export function auditDayPrefix(d) {
+  return `${AUDIT_PREFIX}${datePath(d)}/`;
+}
+
+/** Sorts by time of arrival within the day; the uuid keeps simultaneous requests apart. */
+export function auditKey(d, id = crypto.randomUUID()) {
+  return `${auditDayPrefix(d)}${d.toISOString().slice(11).replace(/[:.]/g, "")}-${id}.json`;
+}
+
+/** The request-level half of a record; upload handling fills in serial, parts, header_status… */
+export function auditRecord(request, now = new Date()) {
+  const len = Number(request.headers.get("content-length"));
+  const fwd = (request.headers.get("x-forwarded-for") || "").split(",")[0].trim();
+  return {
+    ts: now.toISOString(),
+    ip: request.headers.get("cf-connecting-ip") || fwd || null,
+    method: request.method,
+    status: null,
+    outcome: null,
+    reason: null,
+    serial: null,
+    site: null,
+    mode: null,
+    key_id: null,
+    bytes: Number.isFinite(len) && request.headers.has("content-length") ? len : null,
+    parts: [],
+    header_status: null,
+  };
+}
+
+/** Counts the body bytes actually read (chunked uploads send no Content-Length). */
+export function auditBody(body, rec) {
+  let n = 0;
+  return body?.pipeThrough(
+    new TransformStream({
+      transform(chunk, c) {
+        n += chunk.length;
+        rec.bytes = Math.max(rec.bytes ?? 0, n);
+        c.enqueue(chunk);
+      },
+    }),
+  );
+}
+
+/** Records each part's field name (and file name) as the upload handler reads it. */
+export function auditParts(mp, rec) {
+  return {
+    async next() {
+      const p = await mp.next();
+      if (p?.field) rec.parts.push(p.fn ? `${p.field}:${p.fn}` : p.field);
+      return p;
+    },
+  };
+}
+
+/**
+ * Status and outcome from the response: `rejected` for HTTP errors, `failed` for a 200
+ * "FAILURE - …" reply (the device keeps the file and retries), otherwise `ok`.
+ */
+export async function finishAudit(rec, res) {
+  rec.status = res.status;
+  if (res.status >= 400) {
+    rec.outcome = "rejected";
+    rec.reason ??= (await res.clone().text()).trim();
+  } else if (res.headers.get("content-type") === "text/html") {
+    const m = (await res.clone().text()).match(/^FAILURE - (.*)/);
+    rec.outcome = m ? "failed" : "ok";
+    if (m) rec.reason = m[1].trim();
+  } else {
+    rec.outcome = "ok";
+  }
+  return rec;
+}
+
+export async function appendAudit(env, rec) {
+  if (!env.BUCKET || env.AUDIT_LOG === "0" || env.AUDIT_LOG === "false") return;
+  await env.BUCKET.put(auditKey(new Date(rec.ts)), JSON.stringify(rec), {
+    httpMetadata: { contentType: "application/json" },
+  });
+}
@@ -0,0 +1,56 @@
+/**
+ * AcquiSuite config backup / remote push (MODE=CONFIGFILEMANIFEST, CONFIGFILEUPLOAD, CONFIGFILEDOWNLOAD).
+ *
+ * R2 layout per serial:
+ *   config/<serial>/<path>          last file the device uploaded (customMetadata.md5 = device checksum)
+ *   config-push/<serial>/<path>     file an operator staged for the device; served until a manifest
+ *                                   reports its md5, then removed
+ *   config-manifest/<serial>/latest.txt  last manifest as received
+ */
+
+/**
+ * Manifest lines look like `CONFIGFILE,modbus/mb-001.ini,<md5>,2026-01-01 00:00:00`.
+ * @returns {Array<{ name: string, md5: string, filetime: string }>}
+ */
+export function parseConfigManifest(text) {
+  const out = [];
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const cols = line.split(",").map((c) => c.trim());
+    if (cols[0]?.toUpperCase() !== "CONFIGFILE" || !cols[1]) continue;
+    const name = configPath(cols[1]);
+    if (!name) continue;
+    out.push({ name, md5: (cols[2] || "").toLowerCase(), filetime: cols[3] || "" });
+  }
+  return out;
+}
+
+/**
+ * Directive lines for the manifest reply. A staged push wins over a backup request so the
+ * device takes the new file first; the upload that follows refreshes the backup.
+ *
+ * @param {Array<{ name: string, md5: string }>} entries
+ * @param {Map<string, string>} backedUp — path → md5 of the stored backup
+ * @param {Set<string>} pending — paths staged under config-push/
+ */
+export function planConfigSync(entries, backedUp, pending) {
+  const lines = [];
+  for (const e of entries) {
+    if (pending.has(e.name)) lines.push(`CONFIGFILEDOWNLOAD,${e.name}`);
+    else if (!e.md5 || backedUp.get(e.name) !== e.md5) lines.push(`CONFIGFILEUPLOAD,${e.name}`);
+  }
+  return lines;
+}
+
+/** Device-relative path (e.g. `modbus/mb-001.ini`) with every segment made key-safe; no `..`. */
+export function configPath(p) {
+  return String(p || "")
+    .split(/[\\/]+/)
+    .map((s) =>
+      s
+        .trim()
+        .replace(/[^a-zA-Z0-9._-]/g, "_")
+        .slice(0, 120),
+    )
+    .filter((s) => s && s !== "." && s !== "..")
+    .join("/");
+}
@@ -0,0 +1,119 @@
+/**
+ * CSV header helpers shared by uploads and the admin routes: find / prepend the canonical first
+ * line from mb-csv-header-lines.json inside a gzip log, and gzip round trips.
+ */
+
+const te = new TextEncoder();
+const td = new TextDecoder();
+
+export async function prependHeader(bytes, filename, byMb, env) {
+  if (!bytes?.length || bytes[0] !== 0x1f || bytes[1] !== 0x8b) return { bytes, meta: {} };
+  const mb =
+    mbFromFn(filename) || defaultMb(env);
+  const line = mb && byMb[mb];
+  if (!line) return { bytes, meta: {} };
+  try {
+    const text = td.decode(await gunzip(bytes));
+    if (headerIdx(text, line) != null) {
+      return { bytes, meta: { csv_header_matched: "true", csv_header_mb: mb } };
+    }
+    const want = normHeader(line).split("\t").length;
+    const row = text.split(/\r?\n/).find((l) => l.trim());
+    const got = row ? splitRow(row).length : want;
+    if (got !== want) {
+      // The device's column set changed; an old header would mislabel every column.
+      return {
+        bytes,
+        meta: {
+          csv_header_drift: "true",
+          csv_header_mb: mb,
+          csv_header_columns: String(want),
+          csv_data_columns: String(got),
+        },
+      };
+    }
+    const gz = await gzip(`${line}\n${text}`);
+    return { bytes: gz, meta: { csv_header_prepended: "true", csv_header_mb: mb } };
+  } catch {
+    return { bytes, meta: {} };
+  }
+}
+
+/** Cells of a data row, split the way neon-loader's parser splits it (tab, else semicolon, else quoted CSV). */
+export function splitRow(row) {
+  const r = row.trim();
+  if (r.includes("\t")) return r.split("\t").map((c) => c.trim());
+  if (r.includes(";") && !r.includes(",")) return r.split(";").map((c) => c.trim());
+  const out = [];
+  let cur = "";
+  let q = false;
+  for (let i = 0; i < r.length; i++) {
+    const ch = r[i];
+    if (ch === '"') {
+      if (q && r[i + 1] === '"') {
+        cur += '"';
+        i++;
+      } else q = !q;
+    } else if (ch === "," && !q) {
+      out.push(cur.trim());
+      cur = "";
+    } else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+/** drift | prepended | matched | none, from prependHeader's meta (or the stored customMetadata). */
+export function headerStatus(meta) {
+  if (meta.csv_header_drift) return "drift";
+  if (meta.csv_header_prepended) return "prepended";
+  if (meta.csv_header_matched) return "matched";
+  return "none";
+}
+
+export function mbFromFn(fn) {
+  const m = String(fn || "").match(/mb[-_]?(\d{1,3})(?:\D|$)/i);
+  return m ? m[1].padStart(3, "0") : null;
+}
+
+export function defaultMb(env) {
+  const v = env?.DEFAULT_CSV_HEADER_MB;
+  if (v == null || String(v).trim() === "") return null;
+  const t = String(v).trim();
+  return /^\d{1,3}$/.test(t) ? t.padStart(3, "0") : null;
+}
+
+export function normHeader(s) {
+  const r = String(s || "")
+    .replace(/^\uFEFF/, "")
+    .trim();
+  if (!r) return "";
+  return r
+    .split("\t")
+    .map((c) => c.trim())
+    .join("\t");
+}
+
+export function headerIdx(text, canonical) {
+  const want = normHeader(canonical);
+  if (!want) return null;
+  const lines = String(text).split(/\r?\n/);
+  for (let i = 0; i < Math.min(lines.length, 12); i++) {
+    const n = normHeader(lines[i]);
+    if (n === want) return i;
+  }
+  return null;
+}
+
+export async function gunzip(u8) {
+  const ds = new DecompressionStream("gzip");
+  const ab = await new Response(new Blob([u8]).stream().pipeThrough(ds)).arrayBuffer();
+  return new Uint8Array(ab);
+}
+
+export async function gzip(str) {
+  const u8 = te.encode(str);
+  const cs = new CompressionStream("gzip");
+  const ab = await new Response(new Blob([u8]).stream().pipeThrough(cs)).arrayBuffer();
+  return new Uint8Array(ab);
+}
@@ -0,0 +1,78 @@
+/**
+ * Device registry: one JSON record per serial at <root>devices/<serial>.json in its site's bucket
+ * (src/sites.js), updated on
+ * every authenticated upload. Last writer wins; two uploads from one serial in the same instant
+ * may drop one files[] bump, which is fine for "is it still alive".
+ */
+
+export const DEVICES_PREFIX = "devices/";
+
+/** STATUS fields worth keeping as firmware / hardware info. */
+const FIRMWARE_FIELD_RE = /VERSION|FIRMWARE|MODEL|BUILD/;
+
+/**
+ * `KEY=value` / `Key: value` lines of an attached status file (same reading as neon-loader's
+ * status.js), keys upper-cased without spaces so they line up with the STATUS form fields.
+ */
+export function statusFileFields(text) {
+  const fields = {};
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const m = line.match(/^\s*([A-Za-z][\w. -]*?)\s*(?:=|:)\s*(.*?)\s*$/);
+    if (m) fields[m[1].replace(/\s+/g, "").toUpperCase()] = m[2];
+  }
+  return fields;
+}
+
+/**
+ * @param {object | null} rec — current record (null for a new serial)
+ * @param {{ serial: string, mode: string, loopname?: string, logFile?: string, mb?: string | null, statusFields?: Record<string, string> }} info
+ */
+export function applyDeviceUpdate(rec, info, now = new Date()) {
+  const at = now.toISOString();
+  const out = {
+    serial: info.serial,
+    first_seen_at: at,
+    files: {},
+    firmware: {},
+    ...(rec || {}),
+  };
+  out.last_seen_at = at;
+  out.last_mode = info.mode;
+  if (info.loopname) out.last_loopname = info.loopname;
+  if (info.logFile) {
+    out.last_upload_at = at;
+    out.last_log_file = info.logFile;
+    const code = info.mb ? `mb-${info.mb}` : "unknown";
+    const prev = out.files[code] || { count: 0 };
+    out.files = { ...out.files, [code]: { last_file: info.logFile, last_upload_at: at, count: prev.count + 1 } };
+  }
+  if (info.statusFields) {
+    const fw = {};
+    for (const [k, v] of Object.entries(info.statusFields)) if (FIRMWARE_FIELD_RE.test(k)) fw[k] = v;
+    if (Object.keys(fw).length) out.firmware = { ...fw, reported_at: at };
+  }
+  return out;
+}
+
+export async function touchDevice(bucket, ser, info, { root = "", now = new Date() } = {}) {
+  const k = `${root}${DEVICES_PREFIX}${ser}.json`;
+  const cur = await bucket.get(k);
+  const rec = applyDeviceUpdate(cur ? await cur.json() : null, info, now);
+  await bucket.put(k, JSON.stringify(rec), { httpMetadata: { contentType: "application/json" } });
+  return rec;
+}
+
+/** Every device record, most recently seen first. */
+export async function listDevices(bucket, root = "") {
+  const out = [];
+  let cursor;
+  do {
+    const page = await bucket.list({ prefix: `${root}${DEVICES_PREFIX}`, cursor });
+    for (const o of page.objects) {
+      const obj = await bucket.get(o.key);
+      if (obj) out.push(await obj.json());
+    }
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  return out.sort((a, b) => String(b.last_seen_at).localeCompare(String(a.last_seen_at)));
+}
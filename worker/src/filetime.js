@@ -0,0 +1,48 @@
+/**
+ * Which day an upload belongs to. R2 keys are partitioned by the data's own time, not by when
+ * the device got around to uploading it: FILETIME first, then the first record in the log,
+ * then upload wall-clock time.
+ */
+
+/** Device clocks drift; a date further ahead than this is treated as bogus. */
+const MAX_FUTURE_MS = 24 * 60 * 60 * 1000;
+const TS_RE = /^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2}):(\d{2})/;
+
+/** AcquiSuite FILETIME / record time ("2026-02-23 20:45:00", UTC) → Date, or null. */
+export function parseDeviceTime(value, now = Date.now()) {
+  const m = unquote(value).match(TS_RE);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, sec] = m.map(Number);
+  const t = Date.UTC(y, mo - 1, d, h, mi, sec);
+  if (!Number.isFinite(t) || y < 2000 || t > now + MAX_FUTURE_MS) return null;
+  return new Date(t);
+}
+
+/** Time cell of the first data row (header / comment lines skipped). */
+export function firstRecordTime(text, now = Date.now()) {
+  const lines = String(text || "").split(/\r?\n/, 20);
+  for (const line of lines) {
+    const cell = line.split(/[\t,]/)[0];
+    const d = parseDeviceTime(cell, now);
+    if (d) return d;
+  }
+  return null;
+}
+
+/** True when some line starts with a timestamp cell, i.e. the log has at least one data row (any date). */
+export function hasRecordLine(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .some((line) => TS_RE.test(unquote(line.split(/[\t,]/)[0])));
+}
+
+function unquote(value) {
+  return String(value || "")
+    .trim()
+    .replace(/^['"]|['"]$/g, "");
+}
+
+/** "yyyy/mm/dd" (UTC) for an R2 key. */
+export function datePath(d) {
+  return `${d.getUTCFullYear()}/${String(d.getUTCMonth() + 1).padStart(2, "0")}/${String(d.getUTCDate()).padStart(2, "0")}`;
+}
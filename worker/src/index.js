@@ -1,253 +1,466 @@
 /**
- * AcquiSuite → R2. Optional CSV header prepend from mb-csv-header-lines.json (see wrangler vars).
+ * AcquiSuite → R2. Dispatches on the multipart MODE field (LOGFILEUPLOAD, STATUS, CONFIGFILE*, TEST).
+ * Operator routes (/devices, /latest, /admin/*) live in admin.js; every other request gets an
+ * audit/ line (audit.js).
+ * Optional CSV header prepend from mb-csv-header-lines.json (see wrangler vars).
  */
 import mbCsvHeaderLines from "./mb-csv-header-lines.json";
+import { configPath, parseConfigManifest, planConfigSync } from "./config-files.js";
+import { authenticateKey, keyStoreFromEnv, serialAllowed } from "./keys.js";
+import { boundaryFrom, multipartReader, MultipartError } from "./multipart.js";
+import { putStream } from "./r2.js";
+import { datePath, firstRecordTime, hasRecordLine, parseDeviceTime } from "./filetime.js";
+import { enqueueIngest } from "./ingest-queue.js";
+import { statusFileFields, touchDevice } from "./devices.js";
+import { sendWebhooks, uploadEvent } from "./webhooks.js";
+import { limitBody, limitParts, limitsFromEnv, UploadRejected, withinRate } from "./limits.js";
+import { admin, isAdminPath } from "./admin.js";
+import { appendAudit, auditBody, auditParts, auditRecord, finishAudit } from "./audit.js";
+import { lastRowValues, updateLatest } from "./latest.js";
+import { siteForSerial } from "./sites.js";
+import { defaultMb, gunzip, headerIdx, headerStatus, mbFromFn, normHeader, prependHeader } from "./csv-header.js";
 
-const te = new TextEncoder();
 const td = new TextDecoder();
+/** Attached status files up to this size are read back for firmware / model lines. */
+const STATUS_FILE_READ_BYTES = 64 * 1024;
 
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
-    if (request.method !== "POST" && request.method !== "PUT") return ack();
-
-    const key =
-      url.searchParams.get("key") ||
-      url.searchParams.get("password") ||
-      request.headers.get("x-api-key") ||
-      basicPass(request.headers.get("authorization"));
-
-    if (!env.API_KEY) return txt("MISSING_API_KEY", 500);
-    if (!key || key !== env.API_KEY) return txt("FORBIDDEN", 403);
-    if (!env.BUCKET) return txt("MISSING_R2_BINDING", 500);
-
-    const ct = request.headers.get("content-type") || "";
-    if (!ct.toLowerCase().includes("multipart/form-data")) return ack();
-
-    const bm = ct.match(/boundary=([^\s;]+)/i);
-    if (!bm) return ack();
-
-    const body = new Uint8Array(await request.arrayBuffer());
-    const b = bm[1];
-    const log = part(body, b, "LOGFILE");
-    const files = allFileParts(body, b);
-    if (!log && !files.length) return ack();
-
-    const serial = textPart(body, b, "SERIALNUMBER") || "unknown_serial";
-    const filetime = textPart(body, b, "FILETIME") || "";
-    const loopname = textPart(body, b, "LOOPNAME") || "";
-    const d = new Date();
-    const y = d.getUTCFullYear();
-    const mo = String(d.getUTCMonth() + 1).padStart(2, "0");
-    const day = String(d.getUTCDate()).padStart(2, "0");
-    const ser = safe(serial);
-    const baseMeta = { serial, filetime, loopname, source: "acquisuite" };
-
-    if (log) {
-      const name = safe(log.fn || `acq_${Date.now()}.log.gz`);
-      let bytes = log.data;
-      let extra = {};
-      if (env.PREPEND_CSV_HEADERS !== "0" && env.PREPEND_CSV_HEADERS !== "false") {
-        const r = await prependHeader(bytes, log.fn, mbCsvHeaderLines, env);
-        bytes = r.bytes;
-        extra = r.meta;
-      }
-      await env.BUCKET.put(`log-gz/${ser}/${y}/${mo}/${day}/${name}`, bytes, {
-        httpMetadata: { contentType: "application/gzip" },
-        customMetadata: { ...baseMeta, ...extra },
-      });
+    if (isAdminPath(url.pathname)) return admin(request, env, url);
+    const rec = auditRecord(request);
+    let res;
+    try {
+      res = await receive(request, env, ctx, url, rec);
+    } catch (err) {
+      Object.assign(rec, { status: 500, outcome: "error", reason: err.message });
+      await defer(ctx, appendAudit(env, rec), "audit");
+      throw err;
     }
-
-    for (const p of files) {
-      if (log && p.field.toLowerCase() === "logfile" && p.fn === (log.fn || "")) continue;
-      const pre = statusish(p) ? "status" : "other";
-      const nm = safe(p.fn || `${p.field || "part"}.bin`);
-      await env.BUCKET.put(`${pre}/${ser}/${y}/${mo}/${day}/${nm}`, p.data, {
-        httpMetadata: { contentType: /\.txt$/i.test(p.fn || "") ? "text/plain" : "application/octet-stream" },
-        customMetadata: { ...baseMeta, fieldName: p.field || "", originalFilename: p.fn || "" },
-      });
-    }
-    return ack();
+    await finishAudit(rec, res);
+    await defer(ctx, appendAudit(env, rec), "audit");
+    return res;
   },
 };
 
-function ack() {
-  return new Response("SUCCESS - OK\r\n", { status: 200, headers: { "content-type": "text/html" } });
-}
-function txt(m, s = 200) {
-  return new Response(m, { status: s, headers: { "content-type": "text/plain" } });
-}
+async function receive(request, env, ctx, url, rec) {
+  if (request.method !== "POST" && request.method !== "PUT") return ack();
+
+  const key =
+    url.searchParams.get("key") ||
+    url.searchParams.get("password") ||
+    request.headers.get("x-api-key") ||
+    basicPass(request.headers.get("authorization"));
+
+  const keys = keyStoreFromEnv(env);
+  if (!env.API_KEY && !keys) return txt("MISSING_API_KEY", 500);
+  const auth = await authenticateKey(keys, key, env);
+  if (!auth.ok) return reject(rec, 403, auth.reason, "FORBIDDEN");
+  rec.key_id = auth.keyId;
+  if (!env.BUCKET) return txt("MISSING_R2_BINDING", 500);
+
+  const ct = request.headers.get("content-type") || "";
+  if (!ct.toLowerCase().includes("multipart/form-data")) return ack();
+
+  const boundary = boundaryFrom(ct);
+  if (!boundary) return ack();
 
-function basicPass(h) {
-  if (!h) return "";
-  const m = h.match(/^Basic\s+(.+)$/i);
-  if (!m) return "";
   try {
-    const d = atob(m[1]);
-    const i = d.indexOf(":");
-    return i === -1 ? "" : d.slice(i + 1);
-  } catch {
-    return "";
+    return await upload(request, env, ctx, auth, boundary, rec);
+  } catch (err) {
+    if (err instanceof UploadRejected) return reject(rec, err.status, err.reason, err.code, { key_id: auth.keyId, detail: err.detail });
+    if (!(err instanceof MultipartError)) throw err;
+    return reject(rec, 400, "malformed_multipart", "MALFORMED_MULTIPART", { key_id: auth.keyId, detail: err.message });
   }
 }
 
-/** One multipart part by field name → { fn, data } or null */
-function part(body, boundary, field) {
-  const r = partBounds(body, boundary, field);
-  if (!r) return null;
-  const hdr = td.decode(body.subarray(r.h0, r.h1));
-  const fn = hdr.match(/filename="([^"]+)"/i)?.[1]?.split("/").pop() || "";
-  return { fn, data: body.subarray(r.c0, r.c1) };
-}
-
-function textPart(body, boundary, field) {
-  const r = partBounds(body, boundary, field);
-  return r ? td.decode(body.subarray(r.c0, r.c1)).trim() : "";
-}
-
-function partBounds(body, boundary, field) {
-  const name = te.encode(`name="${field}"`);
-  const np = find(body, name, 0);
-  if (np === -1) return null;
-  const bd = te.encode(`--${boundary}`);
-  const ps = findLast(body, bd, np);
-  if (ps === -1) return null;
-  let h0 = skipNl(body, ps + bd.length);
-  const sep = te.encode("\r\n\r\n");
-  const h1 = find(body, sep, h0);
-  if (h1 === -1) return null;
-  const c0 = h1 + sep.length;
-  const end = te.encode(`\r\n--${boundary}`);
-  const c1 = find(body, end, c0);
-  if (c1 === -1) return null;
-  return { h0, h1, c0, c1 };
-}
-
-function allFileParts(body, boundary) {
-  const out = [];
-  const bd = te.encode(`--${boundary}`);
-  const sep = te.encode("\r\n\r\n");
-  const endM = te.encode(`\r\n--${boundary}`);
-  let from = 0;
-  for (;;) {
-    const ps = find(body, bd, from);
-    if (ps === -1) break;
-    const a = ps + bd.length;
-    if (body[a] === 45 && body[a + 1] === 45) break;
-    let h0 = skipNl(body, a);
-    const h1 = find(body, sep, h0);
-    if (h1 === -1) break;
-    const hdr = td.decode(body.subarray(h0, h1));
-    const field = hdr.match(/name="([^"]+)"/i)?.[1] || "";
-    const fn = hdr.match(/filename="([^"]+)"/i)?.[1]?.split("/").pop() || "";
-    const c0 = h1 + sep.length;
-    let c1 = find(body, endM, c0);
-    if (c1 === -1) c1 = body.length;
-    if (fn) out.push({ field, fn, data: body.subarray(c0, c1) });
-    from = c1;
-  }
-  return out;
+/**
+ * Reads the plain fields that precede the first file part (AcquiSuite sends MODE, SERIALNUMBER,
+ * MD5CHECKSUM, FILETIME… before the file), then hands the stream to the MODE handler.
+ */
+async function upload(request, env, ctx, auth, boundary, rec) {
+  const limits = limitsFromEnv(env);
+  const body = auditBody(limitBody(request, limits), rec);
+  const mp = auditParts(limitParts(multipartReader(body, boundary), limits), rec);
+  const fields = {};
+  let first = await mp.next();
+  for (; first && !first.fn; first = await mp.next()) {
+    if (first.field) fields[first.field.toUpperCase()] = await first.text();
+  }
+
+  const mode = (fields.MODE || "").toUpperCase();
+  const serial = fields.SERIALNUMBER || "unknown_serial";
+  rec.serial = serial;
+  rec.mode = mode || "LOGFILEUPLOAD";
+  if (!serialAllowed(auth, serial)) {
+    return reject(rec, 403, "serial_mismatch", "FORBIDDEN", { key_id: auth.keyId, key_serial: auth.serial, serial });
+  }
+  if (!(await withinRate(env, safe(serial)))) {
+    return reject(rec, 429, "rate_limited", "RATE_LIMITED", { key_id: auth.keyId, serial, mode });
+  }
+  const site = siteForSerial(env, serial);
+  if (!env[site.binding]) {
+    console.warn(`site_bucket_missing site=${site.id} binding=${site.binding} serial=${serial}`);
+    return txt("MISSING_R2_BINDING", 500);
+  }
+  rec.site = site.id;
+  const uploadedAt = new Date();
+  const fileDate = parseDeviceTime(fields.FILETIME);
+  const up = {
+    mp,
+    first,
+    fields,
+    // Everything below writes to the serial's site: its bucket, every key under its root.
+    env: { ...env, BUCKET: env[site.binding] },
+    root: site.root,
+    site: site.id,
+    ser: safe(serial),
+    device: { serial },
+    events: [],
+    latest: [],
+    audit: rec,
+    fileDate,
+    ymd: datePath(fileDate || uploadedAt),
+    baseMeta: {
+      serial,
+      site: site.id,
+      filetime: fields.FILETIME || "",
+      loopname: fields.LOOPNAME || "",
+      source: "acquisuite",
+      mode: mode || "LOGFILEUPLOAD",
+      auth_key_id: auth.keyId,
+      uploaded_at: uploadedAt.toISOString(),
+      path_date_source: fileDate ? "filetime" : "upload",
+    },
+  };
+
+  const res = await dispatch(mode, up);
+  up.device.mode = up.baseMeta.mode;
+  up.device.loopname = up.fields.LOOPNAME || "";
+  await defer(ctx, touchDevice(up.env.BUCKET, up.ser, up.device, { root: up.root }), "device_registry");
+  await defer(ctx, sendWebhooks(env, up.events), "webhooks");
+  await defer(ctx, updateLatest(env, up.latest), "latest_values");
+  return res;
 }
 
-function statusish(p) {
-  const n = (p.field || "").toLowerCase();
-  const f = (p.fn || "").toLowerCase();
-  return n.includes("status") || f.includes("status") || f.endsWith(".txt");
+function dispatch(mode, up) {
+  switch (mode) {
+    case "":
+    case "LOGFILEUPLOAD":
+      return logUpload(up);
+    case "STATUS":
+      return statusUpload(up);
+    case "CONFIGFILEMANIFEST":
+      return configManifest(up);
+    case "CONFIGFILEUPLOAD":
+      return configUpload(up);
+    case "CONFIGFILEDOWNLOAD":
+      return configDownload(up);
+    case "TEST":
+      return ack();
+    default:
+      return fail(`UNKNOWN MODE ${safe(mode)}`);
+  }
 }
 
-function safe(s) {
-  return String(s || "")
-    .trim()
-    .replace(/[^a-zA-Z0-9._-]/g, "_")
-    .slice(0, 180);
+/** Side work that must not hold up the device's reply: waitUntil when there is a ctx, else awaited inline. */
+function defer(ctx, promise, what) {
+  const p = promise.catch((err) => console.warn(`${what}_failed message=${err.message}`));
+  if (!ctx?.waitUntil) return p;
+  ctx.waitUntil(p);
 }
 
-async function prependHeader(bytes, filename, byMb, env) {
-  if (!bytes?.length || bytes[0] !== 0x1f || bytes[1] !== 0x8b) return { bytes, meta: {} };
-  const mb =
-    mbFromFn(filename) || defaultMb(env);
-  const line = mb && byMb[mb];
-  if (!line) return { bytes, meta: {} };
-  try {
-    const text = td.decode(await gunzip(bytes));
-    if (headerIdx(text, line) != null) {
-      return { bytes, meta: { csv_header_matched: "true", csv_header_mb: mb } };
+/**
+ * Calls onFile for each remaining file part, in body order; plain fields met on the way are
+ * added to up.fields. Stops early when onFile returns a Response.
+ */
+async function eachFile(up, onFile) {
+  for (let p = up.first; p; p = await up.mp.next()) {
+    if (!p.fn) {
+      if (p.field) up.fields[p.field.toUpperCase()] = await p.text();
+      continue;
     }
-    const gz = await gzip(`${line}\n${text}`);
-    return { bytes: gz, meta: { csv_header_prepended: "true", csv_header_mb: mb } };
-  } catch {
-    return { bytes, meta: {} };
+    const res = await onFile(p);
+    if (res instanceof Response) return res;
   }
+  return null;
 }
 
-function mbFromFn(fn) {
-  const m = String(fn || "").match(/mb[-_]?(\d{1,3})(?:\D|$)/i);
-  return m ? m[1].padStart(3, "0") : null;
+async function logUpload(up) {
+  let seenLog = false;
+  const res = await eachFile(up, (p) => {
+    if (!seenLog && p.field.toUpperCase() === "LOGFILE") {
+      seenLog = true;
+      return storeLog(up, p);
+    }
+    return putSidePart(up, statusish(p) ? "status" : "other", p);
+  });
+  return res || ack();
+}
+
+/** The log is collected once (MD5 and header checks need all of it); side parts stream. */
+async function storeLog(up, p) {
+  const { env, fields, root, ser, fileDate, baseMeta } = up;
+  let { ymd } = up;
+  const data = await p.bytes();
+  const name = safe(p.fn || `acq_${Date.now()}.log.gz`);
+  const md5 = await checkMd5(data, fields.MD5CHECKSUM);
+  if (md5.md5_status === "mismatch") {
+    console.warn(`md5_mismatch serial=${baseMeta.serial} file=${name} device=${md5.md5_device} received=${md5.md5_received}`);
+    return fail("MD5 CHECKSUM MISMATCH");
+  }
+  const log = await readLog(data, p.fn);
+  if (log.problem) {
+    // Nothing to load; keep it for a look and ack so the device does not resend it forever.
+    await quarantine(up, name, data, { ...baseMeta, ...md5, quarantine_reason: log.problem });
+    up.audit.header_status = `quarantined_${log.problem}`;
+    return;
+  }
+  let bytes = data;
+  let extra = md5;
+  if (!fileDate) {
+    const recDate = firstRecordTime(log.text);
+    if (recDate) {
+      ymd = datePath(recDate);
+      extra = { ...extra, path_date_source: "record" };
+    }
+  }
+  if (env.PREPEND_CSV_HEADERS !== "0" && env.PREPEND_CSV_HEADERS !== "false") {
+    const r = await prependHeader(bytes, p.fn, mbCsvHeaderLines, env);
+    bytes = r.bytes;
+    extra = { ...extra, ...r.meta };
+  }
+  const obj = await env.BUCKET.put(`${root}log-gz/${ser}/${ymd}/${name}`, bytes, {
+    httpMetadata: { contentType: "application/gzip" },
+    customMetadata: { ...baseMeta, ...extra },
+  });
+  if (extra.csv_header_drift) {
+    console.warn(
+      `csv_header_drift serial=${baseMeta.serial} file=${name} mb=${extra.csv_header_mb} header_columns=${extra.csv_header_columns} data_columns=${extra.csv_data_columns}`,
+    );
+    if (env.QUARANTINE_HEADER_DRIFT === "1" || env.QUARANTINE_HEADER_DRIFT === "true") {
+      await quarantine({ ...up, ymd }, name, bytes, { ...baseMeta, ...extra, quarantine_reason: "csv_header_drift" });
+    }
+  }
+  await enqueueIngest(env, obj, baseMeta, root);
+  up.events.push(uploadEvent("log", obj, { ...baseMeta, ...extra }));
+  up.audit.header_status = headerStatus(extra);
+  const mb = mbFromFn(p.fn) || defaultMb(env);
+  up.device.logFile = name;
+  up.device.mb = mb;
+  const last = mb && lastRowValues(log.text, mbCsvHeaderLines[mb]);
+  if (last) up.latest.push({ site: up.site, device: `mb-${mb}`, serial: ser, key: obj.key, ...last });
 }
 
-function defaultMb(env) {
-  const v = env?.DEFAULT_CSV_HEADER_MB;
-  if (v == null || String(v).trim() === "") return null;
-  const t = String(v).trim();
-  return /^\d{1,3}$/.test(t) ? t.padStart(3, "0") : null;
+/** quarantine/<serial>/<yyyy>/<mm>/<dd>/<name>: never queued for neon-loader; `npm run quarantine` there moves it back. */
+async function quarantine({ env, root, ser, ymd }, name, bytes, meta) {
+  console.warn(`quarantined serial=${meta.serial} file=${name} reason=${meta.quarantine_reason}`);
+  await env.BUCKET.put(`${root}quarantine/${ser}/${ymd}/${name}`, bytes, {
+    httpMetadata: { contentType: "application/gzip" },
+    customMetadata: meta,
+  });
 }
 
-function normHeader(s) {
-  const r = String(s || "")
-    .replace(/^\uFEFF/, "")
-    .trim();
-  if (!r) return "";
-  return r
-    .split("\t")
-    .map((c) => c.trim())
-    .join("\t");
+/**
+ * STATUS: keep any attached files, plus the text fields as KEY=value lines (the device often sends
+ * only fields). Firmware / model info for the device record comes from both; form fields win.
+ */
+async function statusUpload(up) {
+  const fileFields = {};
+  await eachFile(up, async (p) => {
+    const obj = await putSidePart(up, "status", p);
+    // The part was streamed into R2; a status file is small, so read it back for its fields.
+    if (obj.size > STATUS_FILE_READ_BYTES) return;
+    const stored = await up.env.BUCKET.get(obj.key);
+    if (stored) Object.assign(fileFields, statusFileFields(await stored.text()));
+  });
+  const kept = Object.entries(up.fields).filter(([k]) => k !== "MODE" && k !== "PASSWORD");
+  up.device.statusFields = { ...fileFields, ...Object.fromEntries(kept) };
+  const lines = kept.map(([k, v]) => `${k}=${v}`);
+  if (lines.length) {
+    const obj = await up.env.BUCKET.put(`${up.root}status/${up.ser}/${up.ymd}/status_${Date.now()}.txt`, `${lines.join("\n")}\n`, {
+      httpMetadata: { contentType: "text/plain" },
+      customMetadata: up.baseMeta,
+    });
+    await enqueueIngest(up.env, obj, up.baseMeta, up.root);
+    up.events.push(uploadEvent("status", obj, up.baseMeta));
+  }
+  return ack();
 }
 
-function headerIdx(text, canonical) {
-  const want = normHeader(canonical);
-  if (!want) return null;
-  const lines = String(text).split(/\r?\n/);
-  for (let i = 0; i < Math.min(lines.length, 12); i++) {
-    const n = normHeader(lines[i]);
-    if (n === want) return i;
+/** CONFIGFILEMANIFEST: reply with one CONFIGFILEUPLOAD / CONFIGFILEDOWNLOAD line per file to sync. */
+async function configManifest(up) {
+  const { env, root, ser, baseMeta } = up;
+  let text = null;
+  await eachFile(up, async (p) => {
+    if (text === null) text = td.decode(await p.bytes());
+  });
+  if (text === null) return fail("MISSING MANIFEST");
+  await env.BUCKET.put(`${root}config-manifest/${ser}/latest.txt`, text, {
+    httpMetadata: { contentType: "text/plain" },
+    customMetadata: baseMeta,
+  });
+
+  const entries = parseConfigManifest(text);
+  const backedUp = new Map();
+  const pending = new Set();
+  for (const e of entries) {
+    const pushKey = `${root}config-push/${ser}/${e.name}`;
+    const [bak, push] = await Promise.all([env.BUCKET.head(`${root}config/${ser}/${e.name}`), env.BUCKET.head(pushKey)]);
+    if (bak?.customMetadata?.md5) backedUp.set(e.name, bak.customMetadata.md5);
+    if (push && (await pushApplied(env.BUCKET, pushKey, e.md5))) {
+      // The device reports the staged file's checksum: it has the push, so the staged copy can go.
+      await env.BUCKET.delete(pushKey);
+      console.log(`config_push_applied serial=${ser} file=${e.name}`);
+    } else if (push) pending.add(e.name);
   }
-  return null;
+  const lines = planConfigSync(entries, backedUp, pending);
+  return reply(`${lines.map((l) => `${l}\r\n`).join("")}SUCCESS - OK\r\n`);
 }
 
-async function gunzip(u8) {
-  const ds = new DecompressionStream("gzip");
-  const ab = await new Response(new Blob([u8]).stream().pipeThrough(ds)).arrayBuffer();
-  return new Uint8Array(ab);
+/** CONFIGFILEUPLOAD: the device's copy of one config file → config/<serial>/<path>. */
+async function configUpload(up) {
+  const { env, fields, root, ser, baseMeta } = up;
+  let stored = false;
+  const res = await eachFile(up, async (p) => {
+    if (stored) return;
+    const name = configPath(fields.FILENAME || p.filename);
+    if (!name) return fail("MISSING FILENAME");
+    await putStream(env.BUCKET, `${root}config/${ser}/${name}`, p.stream, {
+      httpMetadata: { contentType: "text/plain" },
+      customMetadata: { ...baseMeta, md5: (fields.MD5CHECKSUM || "").toLowerCase(), configFile: name },
+    });
+    stored = true;
+  });
+  return res || (stored ? ack() : fail("MISSING CONFIGFILE"));
 }
 
-async function gzip(str) {
-  const u8 = te.encode(str);
-  const cs = new CompressionStream("gzip");
-  const ab = await new Response(new Blob([u8]).stream().pipeThrough(cs)).arrayBuffer();
-  return new Uint8Array(ab);
+/** Whether `md5` (from the device's manifest) is the checksum of the file staged at `key`. */
+async function pushApplied(bucket, key, md5) {
+  if (!md5) return false;
+  const obj = await bucket.get(key);
+  return Boolean(obj) && hex(await crypto.subtle.digest("MD5", await obj.arrayBuffer())) === md5;
 }
 
-function skipNl(u8, i) {
-  return u8[i] === 13 && u8[i + 1] === 10 ? i + 2 : i;
+/**
+ * CONFIGFILEDOWNLOAD: serve the staged file as the response body. It stays in config-push/ (a
+ * failed transfer or a rejected file is served again) until a manifest reports its checksum.
+ */
+async function configDownload(up) {
+  await eachFile(up, () => {});
+  const { env, fields, root, ser } = up;
+  const name = configPath(fields.FILENAME || fields.CONFIGFILE);
+  if (!name) return fail("MISSING FILENAME");
+  const k = `${root}config-push/${ser}/${name}`;
+  const obj = await env.BUCKET.get(k);
+  if (!obj) return fail(`NO PENDING CONFIG ${name}`);
+  const bytes = new Uint8Array(await obj.arrayBuffer());
+  return new Response(bytes, { status: 200, headers: { "content-type": "text/plain" } });
 }
 
-function find(h, n, start = 0) {
-  for (let i = start; i <= h.length - n.length; i++) {
-    let j = 0;
-    for (; j < n.length; j++) if (h[i + j] !== n[j]) break;
-    if (j === n.length) return i;
+/**
+ * Decoded LOGFILE text, or why it cannot be ingested: "empty", "invalid_gzip" (corrupt or cut-off
+ * gzip, or a .gz name without gzip bytes) or "no_records" (not a single timestamped line).
+ */
+async function readLog(bytes, fn) {
+  if (!bytes.length) return { problem: "empty" };
+  let text;
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    try {
+      text = td.decode(await gunzip(bytes));
+    } catch {
+      return { problem: "invalid_gzip" };
+    }
+  } else if (/\.gz$/i.test(fn || "")) {
+    return { problem: "invalid_gzip" };
+  } else {
+    text = td.decode(bytes);
   }
-  return -1;
+  return hasRecordLine(text) ? { text } : { problem: "no_records" };
+}
+
+/**
+ * Compares the device's MD5CHECKSUM with the bytes as received (before any header prepend).
+ * Returns customMetadata fields; md5_status is "ok", "mismatch" or "missing" (device sent none).
+ */
+async function checkMd5(bytes, expected) {
+  const want = String(expected || "").trim().toLowerCase();
+  if (!want) return { md5_status: "missing" };
+  const got = hex(await crypto.subtle.digest("MD5", bytes));
+  return { md5_status: got === want ? "ok" : "mismatch", md5_device: want, md5_received: got };
 }
 
-function findLast(h, n, before) {
-  const max = Math.min(before, h.length - n.length);
-  for (let i = max; i >= 0; i--) {
-    let j = 0;
-    for (; j < n.length; j++) if (h[i + j] !== n[j]) break;
-    if (j === n.length) return i;
+function hex(buf) {
+  return [...new Uint8Array(buf)].map((x) => x.toString(16).padStart(2, "0")).join("");
+}
+
+async function putSidePart({ env, root, ser, ymd, baseMeta, events }, pre, p) {
+  const nm = safe(p.fn || `${p.field || "part"}.bin`);
+  const obj = await putStream(env.BUCKET, `${root}${pre}/${ser}/${ymd}/${nm}`, p.stream, {
+    httpMetadata: { contentType: /\.txt$/i.test(p.fn || "") ? "text/plain" : "application/octet-stream" },
+    customMetadata: { ...baseMeta, fieldName: p.field || "", originalFilename: p.fn || "" },
+  });
+  // neon-loader parses status/ into device_status.
+  if (pre === "status") {
+    await enqueueIngest(env, obj, baseMeta, root);
+    events.push(uploadEvent("status", obj, baseMeta));
   }
-  return -1;
+  return obj;
+}
+
+function ack() {
+  return reply("SUCCESS - OK\r\n");
+}
+/** Anything without SUCCESS makes the AcquiSuite keep the file and retry later. */
+function fail(reason) {
+  return reply(`FAILURE - ${reason}\r\n`);
+}
+function reply(body) {
+  return new Response(body, { status: 200, headers: { "content-type": "text/html" } });
+}
+/**
+ * Refuses a request with a real HTTP status and one `upload_rejected status=… reason=…` log line,
+ * the single thing to alert on in Workers observability.
+ */
+function reject(rec, status, reason, code, info = {}) {
+  const kv = Object.entries(info)
+    .filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => ` ${k}=${String(v).replace(/\s+/g, "_")}`)
+    .join("");
+  console.warn(`upload_rejected status=${status} reason=${reason}${kv}`);
+  rec.reason = reason;
+  const res = txt(code, status);
+  if (status === 429) res.headers.set("retry-after", "60");
+  return res;
+}
+function txt(m, s = 200) {
+  return new Response(m, { status: s, headers: { "content-type": "text/plain" } });
+}
+
+function basicPass(h) {
+  if (!h) return "";
+  const m = h.match(/^Basic\s+(.+)$/i);
+  if (!m) return "";
+  try {
+    const d = atob(m[1]);
+    const i = d.indexOf(":");
+    return i === -1 ? "" : d.slice(i + 1);
+  } catch {
+    return "";
+  }
+}
+
+function statusish(p) {
+  const n = (p.field || "").toLowerCase();
+  const f = (p.fn || "").toLowerCase();
+  return n.includes("status") || f.includes("status") || f.endsWith(".txt");
+}
+
+function safe(s) {
+  return String(s || "")
+    .trim()
+    .replace(/[^a-zA-Z0-9._-]/g, "_")
+    .slice(0, 180);
 }
 
 export const findCanonicalHeaderLineInText = headerIdx;
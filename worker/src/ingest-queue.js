@@ -0,0 +1,37 @@
+/**
+ * Ingest notifications for neon-loader: one small JSON object per stored log or status file under ingest-queue/.
+ * Keys sort by enqueue time, so the loader reads the oldest work first and deletes each message
+ * once the log is checkpointed. Set INGEST_QUEUE=0 to stop writing them.
+ */
+
+export const QUEUE_PREFIX = "ingest-queue/";
+
+export function queueMessageKey(root = "", now = Date.now()) {
+  return `${root}${QUEUE_PREFIX}${String(now).padStart(13, "0")}-${crypto.randomUUID().slice(0, 8)}.json`;
+}
+
+/**
+ * @param {{ key: string, etag: string, size: number }} obj — the R2Object returned by BUCKET.put
+ * @param {Record<string, string>} meta — serial, site, filetime, … (copied for debugging only)
+ * @param {string} root — the site's key prefix (src/sites.js); messages go to <root>ingest-queue/
+ */
+export async function enqueueIngest(env, obj, meta = {}, root = "") {
+  if (env.INGEST_QUEUE === "0" || env.INGEST_QUEUE === "false") return;
+  const msg = {
+    key: obj.key,
+    etag: obj.etag,
+    size: obj.size,
+    serial: meta.serial || "",
+    site: meta.site || "",
+    filetime: meta.filetime || "",
+    enqueued_at: new Date().toISOString(),
+  };
+  try {
+    await env.BUCKET.put(queueMessageKey(root), JSON.stringify(msg), {
+      httpMetadata: { contentType: "application/json" },
+    });
+  } catch (err) {
+    // The object itself is stored; a reconcile run will still pick it up.
+    console.warn(`ingest_queue_put_failed key=${obj.key} message=${err.message}`);
+  }
+}
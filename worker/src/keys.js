@@ -0,0 +1,90 @@
+/**
+ * Per-device upload keys. The registry lives in the API_KEYS KV namespace:
+ *   apikey:<sha256(key) hex> → { serial, created_at, revoked_at }
+ * Only the hash is stored. A serial may hold several active keys at once, so rotation is
+ * issue new → reconfigure the device → revoke old. The legacy shared env.API_KEY is still
+ * accepted (for any serial) until the secret is deleted.
+ */
+
+const te = new TextEncoder();
+
+export async function keyHash(key) {
+  const buf = await crypto.subtle.digest("SHA-256", te.encode(String(key)));
+  return [...new Uint8Array(buf)].map((x) => x.toString(16).padStart(2, "0")).join("");
+}
+
+/** Compares two secrets in constant time (over their SHA-256 digests, so length does not leak either). */
+export async function secretsEqual(a, b) {
+  const [x, y] = await Promise.all([a, b].map(async (v) => new Uint8Array(await crypto.subtle.digest("SHA-256", te.encode(String(v))))));
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i];
+  return diff === 0;
+}
+
+/** Short, non-secret handle for logs, metadata and revoke commands. */
+export function keyId(hash) {
+  return hash.slice(0, 12);
+}
+
+export function kvKeyStore(kv) {
+  return {
+    get: (hash) => kv.get(`apikey:${hash}`, "json"),
+    put: (hash, rec) => kv.put(`apikey:${hash}`, JSON.stringify(rec)),
+  };
+}
+
+/** In-memory stand-in with the same interface (tests, local experiments). */
+export function memoryKeyStore(entries = {}) {
+  const m = new Map(Object.entries(entries));
+  return {
+    get: async (hash) => m.get(hash) || null,
+    put: async (hash, rec) => {
+      m.set(hash, rec);
+    },
+  };
+}
+
+export function keyStoreFromEnv(env) {
+  return env.API_KEYS ? kvKeyStore(env.API_KEYS) : null;
+}
+
+/**
+ * @returns {Promise<{ ok: true, serial: string | null, keyId: string } | { ok: false, reason: string }>}
+ *   serial is null for the legacy shared key (not bound to a device).
+ */
+export async function authenticateKey(store, key, env, now = Date.now()) {
+  if (!key) return { ok: false, reason: "missing_key" };
+  if (store) {
+    const hash = await keyHash(key);
+    const rec = await store.get(hash);
+    if (rec) {
+      if (rec.revoked_at && Date.parse(rec.revoked_at) <= now) return { ok: false, reason: "revoked_key" };
+      return { ok: true, serial: rec.serial, keyId: keyId(hash) };
+    }
+  }
+  if (env.API_KEY && (await secretsEqual(key, env.API_KEY))) return { ok: true, serial: null, keyId: "legacy" };
+  return { ok: false, reason: "unknown_key" };
+}
+
+/** A device key only uploads for its own SERIALNUMBER. */
+export function serialAllowed(auth, serial) {
+  return !auth.serial || auth.serial.toUpperCase() === String(serial || "").toUpperCase();
+}
+
+/** New random key for a serial; the plain key is returned once and never stored. */
+export async function issueKey(store, serial, now = Date.now()) {
+  const raw = crypto.getRandomValues(new Uint8Array(24));
+  const key = btoa(String.fromCharCode(...raw)).replace(/\+/g, "-").replace(/\//g, "_");
+  const hash = await keyHash(key);
+  await store.put(hash, { serial, created_at: new Date(now).toISOString(), revoked_at: null });
+  return { key, hash, keyId: keyId(hash) };
+}
+
+/** Revoke by hash, optionally at a future time (grace period while the device is reconfigured). */
+export async function revokeKey(store, hash, at = Date.now()) {
+  const rec = await store.get(hash);
+  if (!rec) return null;
+  const out = { ...rec, revoked_at: new Date(at).toISOString() };
+  await store.put(hash, out);
+  return out;
+}
@@ -0,0 +1,75 @@
+/**
+ * Latest-values cache: the last row of each stored log, as neon-loader's metric keys, kept in the
+ * optional LATEST KV namespace so dashboards and alerts can read near-live values without waiting
+ * for the next ingest. Column names map through mb-metric-keys.json, which
+ * scripts/build-mb-csv-headers.mjs generates from neon-loader's own parser.
+ *
+ * KV keys: `<site>/mb-006` (newest row from any serial of that site) and `<site>/<serial>/mb-006`.
+ */
+import mbMetricKeys from "./mb-metric-keys.json";
+import { normHeader, splitRow } from "./csv-header.js";
+import { parseDeviceTime } from "./filetime.js";
+
+const NUM_RE = /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/;
+const TIME_RE = /time\s*\(utc\)/i;
+
+/**
+ * @param {string} text — the log as stored (own header row, or none)
+ * @param {string | undefined} canonical — tab-separated header row from mb-csv-header-lines.json
+ * @returns {{ record_ts: string, values: Record<string, { value: number, unit: string | null, source: string }> } | null}
+ */
+export function lastRowValues(text, canonical) {
+  const lines = String(text || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((l) => l.trim());
+  const ownIdx = lines.slice(0, 12).findIndex((l) => TIME_RE.test(l));
+  const own = ownIdx >= 0;
+  const headers = own ? splitRow(lines[ownIdx]).map(unquote) : normHeader(canonical).split("\t");
+  const timeIdx = headers.findIndex((h) => TIME_RE.test(h));
+  if (timeIdx < 0) return null;
+
+  for (let i = lines.length - 1; i > ownIdx; i--) {
+    const cols = splitRow(lines[i]);
+    const ts = parseDeviceTime(cols[timeIdx]);
+    if (!ts) continue;
+    // Without the file's own header a different column count means the canonical names no longer fit.
+    if (!own && cols.length !== headers.length) return null;
+    const values = {};
+    headers.forEach((h, idx) => {
+      const spec = mbMetricKeys[h];
+      const cell = unquote(cols[idx]);
+      // First column wins on a repeated key, as with neon-loader's ON CONFLICT DO NOTHING.
+      if (!spec || values[spec.metric] || !NUM_RE.test(cell)) return;
+      values[spec.metric] = { value: Number(cell), unit: spec.unit, source: spec.source };
+    });
+    return { record_ts: ts.toISOString(), values };
+  }
+  return null;
+}
+
+/** Writes each entry under both keys unless KV already holds a newer row. No binding = no-op. */
+export async function updateLatest(env, entries) {
+  if (!env.LATEST || !entries.length) return;
+  const updatedAt = new Date().toISOString();
+  for (const e of entries) {
+    const value = { ...e, updated_at: updatedAt };
+    for (const k of [`${e.site}/${e.device}`, `${e.site}/${e.serial}/${e.device}`]) {
+      const cur = await env.LATEST.get(k, "json");
+      if (cur?.record_ts > e.record_ts) continue;
+      await env.LATEST.put(k, JSON.stringify(value));
+    }
+  }
+}
+
+/** The cached row for mb-XXX at one site (from one serial when given), or null. */
+export async function readLatest(env, site, device, serial) {
+  return env.LATEST.get(serial ? `${site}/${serial}/${device}` : `${site}/${device}`, "json");
+}
+
+function unquote(value) {
+  return String(value ?? "")
+    .trim()
+    .replace(/^['"]|['"]$/g, "")
+    .trim();
+}
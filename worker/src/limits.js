@@ -0,0 +1,116 @@
+/**
+ * Upload limits: body and part size caps, which file fields / extensions are accepted, and a
+ * per-serial request rate (optional Workers Rate Limiting binding UPLOAD_RATE_LIMIT).
+ * Every value can be overridden in wrangler vars; "*" turns an allowlist off.
+ */
+
+const MIB = 1024 * 1024;
+const DEFAULTS = {
+  MAX_BODY_BYTES: 64 * MIB,
+  MAX_PART_BYTES: 32 * MIB,
+  ALLOWED_FILE_FIELDS: "LOGFILE,CONFIGFILE,MANIFEST,STATUS,STATUSFILE",
+  ALLOWED_EXTENSIONS: ".gz,.log,.txt,.csv,.ini,.cfg,.conf,.xml,.json",
+};
+
+/** A request refused before or while reading it; `code` is the response body. */
+export class UploadRejected extends Error {
+  constructor(status, reason, detail = "") {
+    super(detail ? `${reason}: ${detail}` : reason);
+    this.status = status;
+    this.reason = reason;
+    this.detail = detail;
+  }
+  get code() {
+    return CODES[this.status] || "REJECTED";
+  }
+}
+
+const CODES = {
+  400: "FIELD_NOT_ALLOWED",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_FILE_TYPE",
+  429: "RATE_LIMITED",
+};
+
+export function limitsFromEnv(env) {
+  const num = (k) => {
+    const n = Number(env[k]);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULTS[k];
+  };
+  const list = (k) => {
+    const v = String(env[k] ?? DEFAULTS[k]).trim();
+    return v === "*" ? null : new Set(v.split(/[\s,]+/).filter(Boolean).map((s) => s.toLowerCase()));
+  };
+  return {
+    maxBody: num("MAX_BODY_BYTES"),
+    maxPart: num("MAX_PART_BYTES"),
+    fields: list("ALLOWED_FILE_FIELDS"),
+    extensions: list("ALLOWED_EXTENSIONS"),
+  };
+}
+
+/** Content-Length check up front, then a byte counter on the stream for chunked bodies. */
+export function limitBody(request, { maxBody }) {
+  const declared = Number(request.headers.get("content-length"));
+  if (declared > maxBody) throw new UploadRejected(413, "body_too_large", `${declared} > ${maxBody}`);
+  return request.body?.pipeThrough(counter(maxBody, () => new UploadRejected(413, "body_too_large", `> ${maxBody}`)));
+}
+
+/**
+ * Wraps a multipartReader: file parts must use an allowed field name and extension, and no part
+ * may exceed maxPart bytes (plain fields included).
+ */
+export function limitParts(mp, { maxPart, fields, extensions }) {
+  return {
+    async next() {
+      const p = await mp.next();
+      if (!p) return p;
+      if (p.fn) {
+        if (fields && !fields.has(p.field.toLowerCase())) throw new UploadRejected(400, "field_not_allowed", p.field);
+        const ext = (p.fn.match(/\.[^.]+$/) || [""])[0].toLowerCase();
+        if (extensions && !extensions.has(ext)) throw new UploadRejected(415, "extension_not_allowed", p.fn);
+      }
+      return capPart(p, maxPart);
+    },
+  };
+}
+
+function capPart(p, max) {
+  const tooBig = () => new UploadRejected(413, "part_too_large", `${p.field} > ${max}`);
+  return {
+    field: p.field,
+    filename: p.filename,
+    fn: p.fn,
+    contentType: p.contentType,
+    get stream() {
+      return p.stream.pipeThrough(counter(max, tooBig));
+    },
+    async bytes() {
+      const reader = this.stream.getReader();
+      const out = [];
+      for (let r = await reader.read(); !r.done; r = await reader.read()) out.push(r.value);
+      return out.length === 1 ? out[0] : new Uint8Array(await new Blob(out).arrayBuffer());
+    },
+    async text() {
+      return new TextDecoder().decode(await this.bytes()).trim();
+    },
+  };
+}
+
+function counter(max, error) {
+  let n = 0;
+  return new TransformStream({
+    transform(chunk, c) {
+      n += chunk.length;
+      if (n > max) c.error(error());
+      else c.enqueue(chunk);
+    },
+  });
+}
+
+/** true when the serial may upload now (no binding configured = no limit). */
+export async function withinRate(env, serial) {
+  if (!env.UPLOAD_RATE_LIMIT) return true;
+  const { success } = await env.UPLOAD_RATE_LIMIT.limit({ key: serial });
+  return success;
+}
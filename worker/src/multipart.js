@@ -0,0 +1,171 @@
+/**
+ * Single-pass streaming multipart/form-data reader. The request body is read once, in order;
+ * only the bytes of the current part (plus a delimiter-sized tail) are held at a time.
+ *
+ *   const mp = multipartReader(request.body, boundary);
+ *   for (let p = await mp.next(); p; p = await mp.next()) { ... p.stream / p.bytes() / p.text() }
+ *
+ * A part that is not consumed is skipped on the next `next()`. Malformed or truncated bodies
+ * throw MultipartError.
+ */
+
+const te = new TextEncoder();
+const td = new TextDecoder();
+
+/** Cap on one part's header block, so a missing blank line cannot buffer the whole upload. */
+const MAX_HEADER_BYTES = 16 * 1024;
+
+export class MultipartError extends Error {}
+
+/** Boundary from a Content-Type header (quoted or bare), or "". */
+export function boundaryFrom(contentType) {
+  const m = String(contentType || "").match(/boundary=(?:"([^"]+)"|([^\s;]+))/i);
+  return m ? m[1] || m[2] : "";
+}
+
+export function multipartReader(stream, boundary) {
+  if (!stream) throw new MultipartError("empty body");
+  if (!boundary || boundary.length > 70) throw new MultipartError("bad boundary");
+  const reader = stream.getReader();
+  const delim = te.encode(`\r\n--${boundary}`);
+  // Leading CRLF lets the first delimiter (at byte 0) match like every later one.
+  let buf = te.encode("\r\n");
+  let eof = false;
+  let partDone = false;
+  let finished = false;
+
+  async function fill() {
+    if (eof) return false;
+    const { done, value } = await reader.read();
+    if (done) {
+      eof = true;
+      return false;
+    }
+    buf = concat(buf, value instanceof Uint8Array ? value : new Uint8Array(value));
+    return true;
+  }
+
+  /** Next run of content bytes for the current part; null once its closing delimiter is reached. */
+  async function chunk() {
+    if (partDone) return null;
+    for (;;) {
+      const i = indexOf(buf, delim);
+      if (i !== -1) {
+        const out = buf.subarray(0, i);
+        buf = buf.subarray(i + 2);
+        partDone = true;
+        return out;
+      }
+      const keep = Math.min(buf.length, delim.length - 1);
+      if (buf.length > keep) {
+        const out = buf.subarray(0, buf.length - keep);
+        buf = buf.subarray(buf.length - keep);
+        return out;
+      }
+      if (!(await fill())) throw new MultipartError("truncated body (no closing boundary)");
+    }
+  }
+
+  async function ensure(n) {
+    while (buf.length < n) {
+      if (!(await fill())) throw new MultipartError("truncated body (no closing boundary)");
+    }
+  }
+
+  async function next() {
+    if (finished) return null;
+    while ((await chunk()) !== null);
+
+    // buf starts with "--boundary"; then "--" (end) or CRLF (another part).
+    const open = delim.length - 2;
+    await ensure(open + 2);
+    if (buf[open] === 45 && buf[open + 1] === 45) {
+      finished = true;
+      await reader.cancel().catch(() => {});
+      return null;
+    }
+    let h0 = open;
+    while (buf[h0] === 32 || buf[h0] === 9) {
+      h0 += 1;
+      await ensure(h0 + 2);
+    }
+    if (buf[h0] !== 13 || buf[h0 + 1] !== 10) throw new MultipartError("malformed boundary line");
+    h0 += 2;
+
+    let h1;
+    while ((h1 = indexOf(buf, HEADER_END, h0)) === -1) {
+      if (buf.length - h0 > MAX_HEADER_BYTES) throw new MultipartError("part headers too large");
+      if (!(await fill())) throw new MultipartError("truncated part headers");
+    }
+    const hdr = td.decode(buf.subarray(h0, h1));
+    buf = buf.subarray(h1 + HEADER_END.length);
+    partDone = false;
+
+    const field = hdr.match(/\bname="([^"]*)"/i)?.[1] || "";
+    const filename = hdr.match(/filename="([^"]*)"/i)?.[1] || "";
+    const contentType = hdr.match(/^content-type:\s*(.+)$/im)?.[1]?.trim() || "";
+    return makePart(field, filename, contentType, chunk);
+  }
+
+  return { next };
+}
+
+const HEADER_END = te.encode("\r\n\r\n");
+
+function makePart(field, filename, contentType, chunk) {
+  let used = false;
+  const take = () => {
+    if (used) throw new Error(`multipart part ${field} already consumed`);
+    used = true;
+  };
+  return {
+    field,
+    /** filename as sent, directories included (config files use e.g. modbus/mb-001.ini). */
+    filename,
+    /** Last path segment of filename; "" for plain form fields. */
+    fn: filename.split(/[\\/]/).pop() || "",
+    contentType,
+    get stream() {
+      take();
+      return new ReadableStream({
+        async pull(c) {
+          for (;;) {
+            const x = await chunk();
+            if (x === null) return c.close();
+            if (x.length) return c.enqueue(x.slice());
+          }
+        },
+      });
+    },
+    async bytes() {
+      take();
+      const out = [];
+      for (let x = await chunk(); x !== null; x = await chunk()) if (x.length) out.push(x);
+      return out.length === 1 ? out[0].slice() : concat(...out);
+    },
+    async text() {
+      return td.decode(await this.bytes()).trim();
+    },
+  };
+}
+
+function concat(...arrs) {
+  let n = 0;
+  for (const a of arrs) n += a.length;
+  const out = new Uint8Array(n);
+  let o = 0;
+  for (const a of arrs) {
+    out.set(a, o);
+    o += a.length;
+  }
+  return out;
+}
+
+function indexOf(h, n, start = 0) {
+  for (let i = h.indexOf(n[0], start); i !== -1 && i <= h.length - n.length; i = h.indexOf(n[0], i + 1)) {
+    let j = 1;
+    for (; j < n.length; j++) if (h[i + j] !== n[j]) break;
+    if (j === n.length) return i;
+  }
+  return -1;
+}
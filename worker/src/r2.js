@@ -0,0 +1,52 @@
+/**
+ * R2 writes from a stream of unknown length. `BUCKET.put` needs a known length for streams, so
+ * small bodies are collected and put in one call; once a body passes PART_BYTES it switches to an
+ * R2 multipart upload (equal-sized parts, as R2 requires), holding at most one part in memory.
+ */
+
+/** R2 minimum part size; also the threshold for switching to multipart. */
+export const PART_BYTES = 5 * 1024 * 1024;
+
+export async function putStream(bucket, key, stream, options = {}, partBytes = PART_BYTES) {
+  const reader = stream.getReader();
+  const pending = [];
+  let size = 0;
+  let upload = null;
+  const parts = [];
+
+  const take = (n) => {
+    const out = new Uint8Array(n);
+    let o = 0;
+    while (o < n) {
+      const head = pending[0];
+      const k = Math.min(head.length, n - o);
+      out.set(head.subarray(0, k), o);
+      o += k;
+      if (k === head.length) pending.shift();
+      else pending[0] = head.subarray(k);
+    }
+    size -= n;
+    return out;
+  };
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (value?.length) {
+        pending.push(value);
+        size += value.length;
+      }
+      while (size >= partBytes && (!done || size > partBytes)) {
+        upload ||= await bucket.createMultipartUpload(key, options);
+        parts.push(await upload.uploadPart(parts.length + 1, take(partBytes)));
+      }
+      if (done) break;
+    }
+    if (!upload) return await bucket.put(key, take(size), options);
+    if (size > 0) parts.push(await upload.uploadPart(parts.length + 1, take(size)));
+    return await upload.complete(parts);
+  } catch (err) {
+    if (upload) await upload.abort().catch(() => {});
+    throw err;
+  }
+}
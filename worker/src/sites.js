@@ -0,0 +1,67 @@
+/**
+ * Site registry: which R2 bucket binding and key prefix (root) an AcquiSuite's uploads go to,
+ * keyed by serial, so two sites never share a log-gz/ tree. SITES var (JSON object or string):
+ *
+ *   { "south": { "bucket": "BUCKET_SOUTH", "prefix": "", "serials": ["001EC6000200"] } }
+ *
+ * Serials not listed belong to DEFAULT_SITE (default "default"): the BUCKET binding, no prefix,
+ * i.e. the single-site layout. A root of "south/" puts every key under it (south/log-gz/…,
+ * south/ingest-queue/…), and neon-loader's site config must use the same bucket and prefix.
+ */
+
+const ID_RE = /^[A-Za-z0-9_-]+$/;
+
+export function defaultSiteId(env) {
+  return String(env.DEFAULT_SITE || "").trim() || "default";
+}
+
+/** @returns {Map<string, { id: string, binding: string, root: string, serials: Set<string> }>} */
+export function siteRegistry(env) {
+  const raw = typeof env.SITES === "string" ? JSON.parse(env.SITES.trim() || "{}") : env.SITES || {};
+  const sites = new Map();
+  const owner = new Map();
+  for (const [id, s] of Object.entries(raw)) {
+    if (!ID_RE.test(id)) throw new Error(`SITES: bad site id ${id}`);
+    const serials = new Set((s.serials || []).map((x) => String(x).trim().toUpperCase()));
+    for (const serial of serials) {
+      if (owner.has(serial)) throw new Error(`SITES: ${serial} is listed under ${owner.get(serial)} and ${id}`);
+      owner.set(serial, id);
+    }
+    sites.set(id, { id, binding: s.bucket || "BUCKET", root: normRoot(s.prefix), serials });
+  }
+  const def = defaultSiteId(env);
+  if (!sites.has(def)) sites.set(def, { id: def, binding: "BUCKET", root: "", serials: new Set() });
+  return sites;
+}
+
+function normRoot(prefix) {
+  const p = String(prefix || "")
+    .trim()
+    .replace(/^\/+|\/+$/g, "");
+  return p ? `${p}/` : "";
+}
+
+export function siteForSerial(env, serial) {
+  const sites = siteRegistry(env);
+  const s = String(serial || "").trim().toUpperCase();
+  for (const site of sites.values()) if (site.serials.has(s)) return site;
+  return sites.get(defaultSiteId(env));
+}
+
+/** The default site when id is empty; null for an id that is not configured. */
+export function siteById(env, id) {
+  return siteRegistry(env).get(id || defaultSiteId(env)) || null;
+}
+
+/**
+ * Whether an object key belongs to `site`: under its root, and not under the root of another site
+ * sharing its bucket (the default site's root is "", which would otherwise cover them all).
+ */
+export function keyInSite(env, site, key) {
+  if (!key.startsWith(site.root)) return false;
+  for (const other of siteRegistry(env).values()) {
+    if (other.id === site.id || other.binding !== site.binding || other.root.length <= site.root.length) continue;
+    if (key.startsWith(other.root)) return false;
+  }
+  return true;
+}
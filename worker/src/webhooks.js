@@ -0,0 +1,88 @@
+/**
+ * Outbound webhooks: one signed JSON POST per stored log / status file to every configured target.
+ * Runs after the device has its reply (ctx.waitUntil), so a slow or down target never delays the ack.
+ *
+ * Targets: WEBHOOK_URLS (comma or whitespace separated) and/or the optional WEBHOOKS KV namespace,
+ * key "targets" = JSON array of URLs. Signature: `x-webhook-signature: sha256=<hex>` is the
+ * HMAC-SHA256 of `<x-webhook-timestamp>.<body>` with the WEBHOOK_SECRET secret.
+ */
+
+import { headerStatus } from "./csv-header.js";
+
+const te = new TextEncoder();
+
+/** Attempts per target; retries on network errors, 429 and 5xx. */
+const ATTEMPTS = 3;
+const BACKOFF_MS = 1000;
+const TIMEOUT_MS = 5000;
+
+export async function webhookTargets(env) {
+  const urls = String(env.WEBHOOK_URLS || "")
+    .split(/[\s,]+/)
+    .filter(Boolean);
+  if (env.WEBHOOKS) {
+    try {
+      const kv = (await env.WEBHOOKS.get("targets", "json")) || [];
+      for (const u of kv) if (typeof u === "string" && u) urls.push(u);
+    } catch (err) {
+      console.warn(`webhook_targets_unreadable message=${err.message}`);
+    }
+  }
+  return [...new Set(urls)].filter((u) => /^https?:\/\//i.test(u));
+}
+
+/**
+ * @param {{ key: string, size: number, etag: string }} obj — R2Object from the put
+ * @param {Record<string, string>} meta — the object's customMetadata
+ */
+export function uploadEvent(kind, obj, meta) {
+  return {
+    type: `${kind}.stored`,
+    serial: meta.serial || "",
+    site: meta.site || "",
+    key: obj.key,
+    size: obj.size,
+    etag: obj.etag,
+    filetime: meta.filetime || "",
+    header_status: headerStatus(meta),
+    stored_at: new Date().toISOString(),
+  };
+}
+
+export async function sign(secret, timestamp, body) {
+  const k = await crypto.subtle.importKey("raw", te.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = await crypto.subtle.sign("HMAC", k, te.encode(`${timestamp}.${body}`));
+  return [...new Uint8Array(mac)].map((x) => x.toString(16).padStart(2, "0")).join("");
+}
+
+/** Every event to every target; resolves once all deliveries finished or gave up. */
+export async function sendWebhooks(env, events, opts = {}) {
+  if (!events.length) return;
+  const targets = await webhookTargets(env);
+  if (!targets.length) return;
+  const jobs = [];
+  for (const event of events) {
+    const body = JSON.stringify(event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = { "content-type": "application/json", "x-webhook-timestamp": timestamp };
+    if (env.WEBHOOK_SECRET) headers["x-webhook-signature"] = `sha256=${await sign(env.WEBHOOK_SECRET, timestamp, body)}`;
+    for (const url of targets) jobs.push(deliver(url, body, headers, opts));
+  }
+  await Promise.all(jobs);
+}
+
+async function deliver(url, body, headers, { attempts = ATTEMPTS, backoffMs = BACKOFF_MS } = {}) {
+  let last = "";
+  for (let i = 0; i < attempts; i++) {
+    if (i) await new Promise((r) => setTimeout(r, backoffMs * 2 ** (i - 1)));
+    try {
+      const res = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+      if (res.ok) return;
+      last = `status=${res.status}`;
+      if (res.status !== 429 && res.status < 500) break;
+    } catch (err) {
+      last = `message=${err.message}`;
+    }
+  }
+  console.warn(`webhook_failed host=${new URL(url).host} ${last}`);
+}
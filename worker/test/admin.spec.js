@@ -0,0 +1,95 @@
+import { env, createExecutionContext, waitOnExecutionContext } from "cloudflare:test";
+import { describe, it, expect } from "vitest";
+import worker from "../src/index.js";
+import mbCsvHeaderLines from "../src/mb-csv-header-lines.json";
+
+async function call(request, vars = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, { ...env, ...vars }, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+async function gzipText(text) {
+  const cs = new CompressionStream("gzip");
+  return new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(cs)).arrayBuffer());
+}
+
+function adminGet(path, { method = "GET", token = "admin-token", vars } = {}) {
+  return call(new Request(`http://example.com${path}`, { method, headers: { authorization: `Bearer ${token}` } }), vars);
+}
+
+/** Stores one mb-001 log without a header (prepend off) and returns its key. */
+async function seed(serial) {
+  const n = mbCsvHeaderLines["001"].split("\t").length;
+  const row = ["2026-02-01 00:15:00", ...Array(n - 1).fill("0")].join("\t");
+  const form = new FormData();
+  form.append("SERIALNUMBER", serial);
+  form.append("FILETIME", "2026-02-01 00:15:00");
+  form.append("LOGFILE", new Blob([await gzipText(`${row}\n`)]), "mb-001.log.gz");
+  await call(new Request("http://example.com/?key=test-key", { method: "POST", body: form }), { PREPEND_CSV_HEADERS: "0" });
+  return `log-gz/${serial}/2026/02/01/mb-001.log.gz`;
+}
+
+describe("admin routes", () => {
+  it("refuse device keys and missing tokens", async () => {
+    expect((await adminGet("/admin/objects?serial=x", { token: "test-key" })).status).toBe(403);
+    expect((await call(new Request("http://example.com/admin/objects?serial=x"))).status).toBe(403);
+    expect((await adminGet("/admin/objects?serial=x", { token: "admin-tokem" })).status).toBe(403);
+  });
+
+  it("refuse keys outside the requested site", async () => {
+    const vars = { SITES: { east: { prefix: "east", serials: ["001EC6000090"] } } };
+    const outside = [
+      "/admin/object?key=east/log-gz/001EC6000090/2026/02/01/mb-001.log.gz",
+      "/admin/meta?key=east/log-gz/001EC6000090/2026/02/01/mb-001.log.gz",
+      "/admin/object?key=log-gz/001EC6000080/2026/02/01/mb-001.log.gz&site=east",
+    ];
+    for (const path of outside) {
+      const res = await adminGet(path, { vars });
+      expect(res.status).toBe(403);
+      expect(await res.text()).toBe("KEY_OUTSIDE_SITE");
+    }
+    const reheader = await adminGet("/admin/reheader?key=east/log-gz/x.log.gz&write=1", { method: "POST", vars });
+    expect(reheader.status).toBe(403);
+    expect((await adminGet("/admin/meta?key=east/log-gz/nope&site=east", { vars })).status).toBe(404);
+  });
+
+  it("lists objects by serial and date", async () => {
+    const key = await seed("001EC6000080");
+    const res = await adminGet("/admin/objects?serial=001EC6000080&date=2026-02-01");
+    const { objects, cursor } = await res.json();
+    expect(objects.map((o) => o.key)).toEqual([key]);
+    expect(objects[0].customMetadata.serial).toBe("001EC6000080");
+    expect(cursor).toBe(null);
+    expect((await (await adminGet("/admin/objects?serial=001EC6000080&date=2026-02-02")).json()).objects).toEqual([]);
+    expect((await adminGet("/admin/objects?serial=../x")).status).toBe(400);
+    expect((await adminGet("/admin/objects?serial=001EC6000080&prefix=config-push")).status).toBe(400);
+  });
+
+  it("shows metadata and downloads the log decompressed", async () => {
+    const key = await seed("001EC6000081");
+    const meta = await (await adminGet(`/admin/meta?key=${encodeURIComponent(key)}`)).json();
+    expect(meta.customMetadata.path_date_source).toBe("filetime");
+    const body = await (await adminGet(`/admin/object?key=${encodeURIComponent(key)}`)).text();
+    expect(body.startsWith("2026-02-01 00:15:00\t")).toBe(true);
+    expect((await adminGet("/admin/object?key=log-gz/nope")).status).toBe(404);
+  });
+
+  it("re-runs the header prepend: dry run first, then written back and queued", async () => {
+    const key = await seed("001EC6000082");
+    const q = `/admin/reheader?key=${encodeURIComponent(key)}`;
+    const dry = await (await adminGet(q, { method: "POST" })).json();
+    expect(dry).toMatchObject({ changed: true, written: false, meta: { csv_header_prepended: "true" } });
+
+    const wrote = await (await adminGet(`${q}&write=1`, { method: "POST" })).json();
+    expect(wrote.written).toBe(true);
+    const body = await (await adminGet(`/admin/object?key=${encodeURIComponent(key)}`)).text();
+    expect(body.startsWith("time(UTC)\t")).toBe(true);
+    const head = await env.BUCKET.head(key);
+    expect(head.customMetadata.csv_header_rerun_at).toBeTruthy();
+
+    const msgs = await Promise.all((await env.BUCKET.list({ prefix: "ingest-queue/" })).objects.map(async (o) => (await env.BUCKET.get(o.key)).json()));
+    expect(msgs.some((m) => m.key === key && m.etag === head.etag)).toBe(true);
+  });
+});
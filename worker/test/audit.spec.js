@@ -0,0 +1,93 @@
+import { env, createExecutionContext, waitOnExecutionContext } from "cloudflare:test";
+import { describe, it, expect } from "vitest";
+import worker from "../src/index.js";
+import { appendAudit, auditDayPrefix, auditKey } from "../src/audit.js";
+
+async function call(request, vars = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, { ...env, ...vars }, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+async function gzipText(text) {
+  const cs = new CompressionStream("gzip");
+  return new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(cs)).arrayBuffer());
+}
+
+function post(fields, { key = "test-key", vars } = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) {
+    if (v && typeof v === "object") form.append(k, new Blob([v.data]), v.filename);
+    else form.append(k, v);
+  }
+  const headers = { "cf-connecting-ip": "203.0.113.7" };
+  return call(new Request(`http://example.com/?key=${key}`, { method: "POST", body: form, headers }), vars);
+}
+
+async function auditRecords(d = new Date()) {
+  const { objects } = await env.BUCKET.list({ prefix: auditDayPrefix(d) });
+  return Promise.all(objects.map(async (o) => JSON.parse(await (await env.BUCKET.get(o.key)).text())));
+}
+
+async function recordFor(serial) {
+  return (await auditRecords()).find((r) => r.serial === serial);
+}
+
+describe("audit log", () => {
+  it("records a stored log with its parts, header status and client IP", async () => {
+    const rows = await gzipText("'2026-01-01 00:00:00',0,0,0,1\n");
+    await post({ SERIALNUMBER: "001EC6000150", LOGFILE: { data: rows, filename: "mb-001.log.gz" } });
+    const rec = await recordFor("001EC6000150");
+    expect(rec).toMatchObject({
+      status: 200,
+      outcome: "ok",
+      mode: "LOGFILEUPLOAD",
+      ip: "203.0.113.7",
+      key_id: "legacy",
+      parts: ["SERIALNUMBER", "LOGFILE:mb-001.log.gz"],
+      header_status: "drift",
+    });
+    expect(rec.bytes).toBeGreaterThan(rows.length);
+  });
+
+  it("records rejections and device-level failures", async () => {
+    expect((await post({ SERIALNUMBER: "001EC6000151" }, { key: "wrong" })).status).toBe(403);
+    const denied = (await auditRecords()).find((r) => r.status === 403);
+    expect(denied).toMatchObject({ status: 403, outcome: "rejected", serial: null, parts: [] });
+    expect(denied.reason).toBeTruthy();
+
+    await post({ SERIALNUMBER: "001EC6000151", MODE: "REBOOT" });
+    expect(await recordFor("001EC6000151")).toMatchObject({ status: 200, outcome: "failed", reason: "UNKNOWN MODE REBOOT" });
+
+    const headers = { "cf-connecting-ip": "198.51.100.9" };
+    await call(new Request("http://example.com/?key=test-key", { method: "POST", body: "x=1", headers }));
+    expect((await auditRecords()).find((r) => r.ip === "198.51.100.9")).toMatchObject({ outcome: "ok", serial: null, parts: [] });
+  });
+
+  it("marks quarantined logs and skips operator routes", async () => {
+    await post({ SERIALNUMBER: "001EC6000152", LOGFILE: { data: new Uint8Array(), filename: "mb-001.log.gz" } });
+    expect((await recordFor("001EC6000152")).header_status).toBe("quarantined_empty");
+    const before = (await auditRecords()).length;
+    await call(new Request("http://example.com/devices", { headers: { authorization: "Bearer admin-token" } }));
+    expect(await auditRecords()).toHaveLength(before);
+  });
+
+  it("writes one object per request, so simultaneous requests never overwrite each other", async () => {
+    const ts = "2026-04-01T12:00:00.000Z";
+    await Promise.all([1, 2, 3, 4].map((n) => appendAudit(env, { ts, serial: `S${n}` })));
+    const { objects } = await env.BUCKET.list({ prefix: "audit/2026/04/01/" });
+    expect(objects).toHaveLength(4);
+    expect(objects.every((o) => /^audit\/2026\/04\/01\/120000000Z-[0-9a-f-]{36}\.json$/.test(o.key))).toBe(true);
+    expect((await auditRecords(new Date(ts))).map((r) => r.serial).sort()).toEqual(["S1", "S2", "S3", "S4"]);
+  });
+
+  it("keys records by UTC day and time of arrival", () => {
+    expect(auditKey(new Date("2026-03-01T23:59:58.123Z"), "id")).toBe("audit/2026/03/01/235958123Z-id.json");
+  });
+
+  it("writes nothing with AUDIT_LOG=0", async () => {
+    await post({ SERIALNUMBER: "001EC6000153", MODE: "TEST" }, { vars: { AUDIT_LOG: "0" } });
+    expect(await recordFor("001EC6000153")).toBe(undefined);
+  });
+});
@@ -19,6 +19,12 @@ async function gunzipText(u8) {
   return await new Response(stream).text();
 }
 
+/** A data row with as many columns as the canonical header for `mb`. */
+function dataRow(mb, first = "2025-01-01T00:00:00") {
+  const n = mbCsvHeaderLines[mb].split("\t").length;
+  return [first, ...Array(n - 1).fill("0")].join("\t");
+}
+
 describe("normalizeCsvHeaderLine", () => {
   it("trims cells and strips BOM", () => {
     expect(normalizeCsvHeaderLine("\uFEFFtime(UTC)\terror\t")).toBe("time(UTC)\terror");
@@ -61,7 +67,7 @@ describe("maybePrependCsvHeader", () => {
   });
 
   it("prepends canonical header when body has only data rows", async () => {
-    const inner = "2025-01-01T00:00:00\t0\t0\t1";
+    const inner = dataRow("001");
     const gz = await gzipText(inner);
     const out = await maybePrependCsvHeader(gz, "mb-001.log.gz", mbCsvHeaderLines, {});
     expect(out.meta.csv_header_prepended).toBe("true");
@@ -79,7 +85,7 @@ describe("maybePrependCsvHeader", () => {
   });
 
   it("uses DEFAULT_CSV_HEADER_MB when filename has no mb pattern", async () => {
-    const inner = "2025-01-01T00:00:00\t0\t0";
+    const inner = dataRow("001");
     const gz = await gzipText(inner);
     const out = await maybePrependCsvHeader(gz, "acq_123.log.gz", mbCsvHeaderLines, {
       DEFAULT_CSV_HEADER_MB: "1",
@@ -89,4 +95,24 @@ describe("maybePrependCsvHeader", () => {
     const roundTrip = await gunzipText(out.bytes);
     expect(roundTrip.startsWith("time(UTC)\t")).toBe(true);
   });
+
+  it("skips the prepend and tags drift when the data row has a different column count", async () => {
+    const want = mbCsvHeaderLines["001"].split("\t").length;
+    const gz = await gzipText(`${dataRow("001")}\t7\n`);
+    const out = await maybePrependCsvHeader(gz, "mb-001.log.gz", mbCsvHeaderLines, {});
+    expect(out.bytes).toEqual(gz);
+    expect(out.meta).toEqual({
+      csv_header_drift: "true",
+      csv_header_mb: "001",
+      csv_header_columns: String(want),
+      csv_data_columns: String(want + 1),
+    });
+  });
+
+  it("counts quoted comma-separated rows like the loader does", async () => {
+    const n = mbCsvHeaderLines["001"].split("\t").length;
+    const row = ['"2025-01-01 00:00:00"', ...Array(n - 1).fill("0")].join(",");
+    const out = await maybePrependCsvHeader(await gzipText(row), "mb-001.log.gz", mbCsvHeaderLines, {});
+    expect(out.meta.csv_header_prepended).toBe("true");
+  });
 });
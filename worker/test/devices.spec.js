@@ -0,0 +1,95 @@
+import { env, createExecutionContext, waitOnExecutionContext } from "cloudflare:test";
+import { describe, it, expect } from "vitest";
+import worker from "../src/index.js";
+import { applyDeviceUpdate, statusFileFields } from "../src/devices.js";
+
+async function call(request) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, env, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+async function gzipText(text) {
+  const cs = new CompressionStream("gzip");
+  return new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(cs)).arrayBuffer());
+}
+
+function post(fields) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) {
+    if (v && typeof v === "object") form.append(k, new Blob([v.data]), v.filename);
+    else form.append(k, v);
+  }
+  return call(new Request("http://example.com/?key=test-key", { method: "POST", body: form }));
+}
+
+function getDevices(token) {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  return call(new Request("http://example.com/devices", { headers }));
+}
+
+describe("applyDeviceUpdate", () => {
+  const t0 = new Date("2026-03-01T00:00:00Z");
+  const t1 = new Date("2026-03-01T00:15:00Z");
+
+  it("counts log files per mb code and keeps first_seen_at", () => {
+    let rec = applyDeviceUpdate(null, { serial: "S1", mode: "LOGFILEUPLOAD", loopname: "Plant", logFile: "mb-006.a.log.gz", mb: "006" }, t0);
+    rec = applyDeviceUpdate(rec, { serial: "S1", mode: "LOGFILEUPLOAD", logFile: "mb-006.b.log.gz", mb: "006" }, t1);
+    expect(rec.first_seen_at).toBe(t0.toISOString());
+    expect(rec.last_seen_at).toBe(t1.toISOString());
+    expect(rec.last_loopname).toBe("Plant");
+    expect(rec.files["mb-006"]).toEqual({ last_file: "mb-006.b.log.gz", last_upload_at: t1.toISOString(), count: 2 });
+  });
+
+  it("statusFileFields reads KEY=value and Key: value lines", () => {
+    expect(statusFileFields("Firmware Version: v1.4\r\nMODEL=A8812\njunk line\n")).toEqual({ FIRMWAREVERSION: "v1.4", MODEL: "A8812" });
+  });
+
+  it("keeps firmware-looking STATUS fields and leaves upload info alone", () => {
+    let rec = applyDeviceUpdate(null, { serial: "S1", mode: "LOGFILEUPLOAD", logFile: "mb-001.log.gz", mb: "001" }, t0);
+    rec = applyDeviceUpdate(rec, { serial: "S1", mode: "STATUS", statusFields: { FIRMWAREVERSION: "v1.4", UPTIME: "10" } }, t1);
+    expect(rec.firmware).toEqual({ FIRMWAREVERSION: "v1.4", reported_at: t1.toISOString() });
+    expect(rec.last_upload_at).toBe(t0.toISOString());
+    expect(rec.last_mode).toBe("STATUS");
+  });
+});
+
+describe("GET /devices", () => {
+  it("requires the admin token", async () => {
+    expect((await getDevices()).status).toBe(403);
+    expect((await getDevices("test-key")).status).toBe(403);
+  });
+
+  it("lists devices seen by uploads and STATUS", async () => {
+    await post({
+      MODE: "LOGFILEUPLOAD",
+      SERIALNUMBER: "001EC6000010",
+      LOOPNAME: "North",
+      LOGFILE: { data: await gzipText("'2026-01-01 00:00:00',0\n"), filename: "mb-006.log.gz" },
+    });
+    await post({ MODE: "STATUS", SERIALNUMBER: "001EC6000010", FIRMWAREVERSION: "v2.1" });
+
+    const res = await getDevices("admin-token");
+    expect(res.status).toBe(200);
+    const [dev] = await res.json();
+    expect(dev.serial).toBe("001EC6000010");
+    expect(dev.last_loopname).toBe("North");
+    expect(dev.last_log_file).toBe("mb-006.log.gz");
+    expect(dev.files["mb-006"].count).toBe(1);
+    expect(dev.firmware.FIRMWAREVERSION).toBe("v2.1");
+  });
+
+  it("takes firmware and model lines from an attached status file", async () => {
+    const status = "Firmware Version: v1.05.14\r\nMODEL=A8812-1\r\nUptime: 12 days, 03:04:05\r\n";
+    await post({ MODE: "STATUS", SERIALNUMBER: "001EC6000011", STATUSFILE: { data: status, filename: "status.txt" } });
+    await post({ MODE: "STATUS", SERIALNUMBER: "001EC6000012", BUILD: "2026-02", STATUSFILE: { data: "BUILD=2025-11\nMODEL=A8810\n", filename: "status.txt" } });
+
+    const devices = await (await getDevices("admin-token")).json();
+    const bySerial = Object.fromEntries(devices.map((d) => [d.serial, d]));
+    expect(bySerial["001EC6000011"].firmware).toMatchObject({ FIRMWAREVERSION: "v1.05.14", MODEL: "A8812-1" });
+    expect(bySerial["001EC6000011"].firmware.UPTIME).toBeUndefined();
+    // Form fields win over the file.
+    expect(bySerial["001EC6000012"].firmware).toMatchObject({ BUILD: "2026-02", MODEL: "A8810" });
+  });
+});
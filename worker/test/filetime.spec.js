@@ -0,0 +1,71 @@
+import { env, createExecutionContext, waitOnExecutionContext } from "cloudflare:test";
+import { describe, it, expect } from "vitest";
+import worker from "../src/index.js";
+import { datePath, firstRecordTime, hasRecordLine, parseDeviceTime } from "../src/filetime.js";
+
+async function gzipText(text) {
+  const cs = new CompressionStream("gzip");
+  return new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(cs)).arrayBuffer());
+}
+
+async function upload(fields) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) {
+    if (v instanceof Uint8Array) form.append(k, new Blob([v]), "mb-001.log.gz");
+    else form.append(k, v);
+  }
+  const request = new Request("http://example.com/?key=test-key", { method: "POST", body: form });
+  const ctx = createExecutionContext();
+  await worker.fetch(request, env, ctx);
+  await waitOnExecutionContext(ctx);
+  const list = await env.BUCKET.list({ prefix: `log-gz/${fields.SERIALNUMBER}/` });
+  return Promise.all(list.objects.map((o) => env.BUCKET.head(o.key)));
+}
+
+describe("parseDeviceTime", () => {
+  const now = Date.parse("2026-03-01T00:00:00Z");
+
+  it("reads AcquiSuite FILETIME as UTC", () => {
+    expect(parseDeviceTime("2026-02-23 20:45:00", now).toISOString()).toBe("2026-02-23T20:45:00.000Z");
+    expect(parseDeviceTime("'2026-02-23 9:05:07'", now).toISOString()).toBe("2026-02-23T09:05:07.000Z");
+  });
+
+  it("rejects garbage and dates far in the future", () => {
+    expect(parseDeviceTime("", now)).toBe(null);
+    expect(parseDeviceTime("yesterday", now)).toBe(null);
+    expect(parseDeviceTime("2026-03-05 00:00:00", now)).toBe(null);
+  });
+
+  it("firstRecordTime skips the header row", () => {
+    const text = "time(UTC)\terror\tlowalarm\n'2026-02-20 01:00:00'\t0\t0\n";
+    expect(datePath(firstRecordTime(text, now))).toBe("2026/02/20");
+  });
+});
+
+describe("hasRecordLine", () => {
+  it("needs one timestamped line, whatever the date", () => {
+    expect(hasRecordLine("time(UTC)\terror\n'2099-01-01 00:00:00'\t0\n")).toBe(true);
+    expect(hasRecordLine("time(UTC)\terror\n\n")).toBe(false);
+  });
+});
+
+describe("R2 key date partition", () => {
+  it("uses FILETIME and keeps the upload time in metadata", async () => {
+    const [head] = await upload({ SERIALNUMBER: "001EC6000040", FILETIME: "2025-12-31 23:59:00", LOGFILE: await gzipText("'2025-12-30 00:00:00',0\n") });
+    expect(head.key).toMatch(/^log-gz\/001EC6000040\/2025\/12\/31\//);
+    expect(head.customMetadata.path_date_source).toBe("filetime");
+    expect(Date.parse(head.customMetadata.uploaded_at)).toBeGreaterThan(Date.parse("2026-01-01"));
+  });
+
+  it("falls back to the first record time in the log", async () => {
+    const [head] = await upload({ SERIALNUMBER: "001EC6000041", LOGFILE: await gzipText("'2025-11-02 05:00:00',0,0,0,1\n") });
+    expect(head.key).toMatch(/^log-gz\/001EC6000041\/2025\/11\/02\//);
+    expect(head.customMetadata.path_date_source).toBe("record");
+  });
+
+  it("falls back to upload time when neither is usable", async () => {
+    const [head] = await upload({ SERIALNUMBER: "001EC6000042", FILETIME: "bogus", LOGFILE: await gzipText("'2099-01-01 00:00:00',0\n") });
+    expect(head.key.startsWith(`log-gz/001EC6000042/${datePath(new Date())}/`)).toBe(true);
+    expect(head.customMetadata.path_date_source).toBe("upload");
+  });
+});
@@ -0,0 +1,68 @@
+import { env, createExecutionContext, waitOnExecutionContext } from "cloudflare:test";
+import { describe, it, expect } from "vitest";
+import worker from "../src/index.js";
+import { authenticateKey, issueKey, keyHash, kvKeyStore, memoryKeyStore, revokeKey, serialAllowed } from "../src/keys.js";
+
+const ROWS = new Uint8Array(
+  await new Response(new Blob(["'2026-01-01 00:00:00',0\n"]).stream().pipeThrough(new CompressionStream("gzip"))).arrayBuffer(),
+);
+
+async function upload(key, serial) {
+  const form = new FormData();
+  form.append("SERIALNUMBER", serial);
+  form.append("LOGFILE", new Blob([ROWS]), "mb-001.log.gz");
+  const request = new Request("http://example.com/", { method: "POST", body: form, headers: { "x-api-key": key } });
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, env, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+describe("authenticateKey", () => {
+  it("accepts an active device key and binds it to its serial", async () => {
+    const store = memoryKeyStore();
+    const { key, keyId } = await issueKey(store, "001EC6000001");
+    const auth = await authenticateKey(store, key, {});
+    expect(auth).toEqual({ ok: true, serial: "001EC6000001", keyId });
+    expect(serialAllowed(auth, "001ec6000001")).toBe(true);
+    expect(serialAllowed(auth, "001EC6000002")).toBe(false);
+  });
+
+  it("keeps both keys valid during rotation until the old one is revoked", async () => {
+    const store = memoryKeyStore();
+    const old = await issueKey(store, "S1");
+    const next = await issueKey(store, "S1");
+    expect((await authenticateKey(store, old.key, {})).ok).toBe(true);
+    await revokeKey(store, old.hash, Date.now() + 60_000);
+    expect((await authenticateKey(store, old.key, {})).ok).toBe(true);
+    await revokeKey(store, old.hash, Date.now() - 1);
+    expect(await authenticateKey(store, old.key, {})).toEqual({ ok: false, reason: "revoked_key" });
+    expect((await authenticateKey(store, next.key, {})).ok).toBe(true);
+  });
+
+  it("falls back to the legacy shared key, which is not bound to a serial", async () => {
+    const auth = await authenticateKey(memoryKeyStore(), "shared", { API_KEY: "shared" });
+    expect(auth).toEqual({ ok: true, serial: null, keyId: "legacy" });
+    expect(serialAllowed(auth, "anything")).toBe(true);
+    expect((await authenticateKey(null, "other", { API_KEY: "shared" })).reason).toBe("unknown_key");
+  });
+});
+
+describe("per-device keys in fetch", () => {
+  it("rejects an upload whose SERIALNUMBER is not the key's owner", async () => {
+    const store = kvKeyStore(env.API_KEYS);
+    const { key, keyId } = await issueKey(store, "001EC6000020");
+    expect((await upload(key, "001EC6000021")).status).toBe(403);
+    expect((await upload(key, "001EC6000020")).status).toBe(200);
+    const list = await env.BUCKET.list({ prefix: "log-gz/001EC6000020/" });
+    const head = await env.BUCKET.head(list.objects[0].key);
+    expect(head.customMetadata.auth_key_id).toBe(keyId);
+  });
+
+  it("rejects a revoked key", async () => {
+    const store = kvKeyStore(env.API_KEYS);
+    const { key } = await issueKey(store, "001EC6000022");
+    await revokeKey(store, await keyHash(key));
+    expect((await upload(key, "001EC6000022")).status).toBe(403);
+  });
+});
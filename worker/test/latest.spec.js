@@ -0,0 +1,99 @@
+import { env, createExecutionContext, waitOnExecutionContext } from "cloudflare:test";
+import { describe, it, expect } from "vitest";
+import worker from "../src/index.js";
+import { lastRowValues } from "../src/latest.js";
+import mbCsvHeaderLines from "../src/mb-csv-header-lines.json";
+
+const HYDRO = mbCsvHeaderLines["006"];
+
+async function call(request, vars = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, { ...env, ...vars }, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+async function gzipText(text) {
+  const cs = new CompressionStream("gzip");
+  return new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(cs)).arrayBuffer());
+}
+
+/** One mb-006 row: bypass flow in column 4, Wyman flow in column 9, rest 0. */
+function hydroRow(ts, bypass, wyman) {
+  const cols = HYDRO.split("\t").map(() => "0");
+  cols[0] = `'${ts}'`;
+  cols[4] = String(bypass);
+  cols[9] = String(wyman);
+  return cols.join("\t");
+}
+
+async function upload(serial, rows) {
+  const form = new FormData();
+  form.append("SERIALNUMBER", serial);
+  form.append("LOGFILE", new Blob([await gzipText(`${rows.join("\n")}\n`)]), "mb-006.log.gz");
+  return call(new Request("http://example.com/?key=test-key", { method: "POST", body: form }));
+}
+
+function latest(query, token = "latest-token", vars) {
+  return call(new Request(`http://example.com/latest?${query}`, { headers: { authorization: `Bearer ${token}` } }), vars);
+}
+
+describe("lastRowValues", () => {
+  it("maps the last row through the canonical header to neon-loader metric keys", () => {
+    const text = [hydroRow("2026-03-01 00:00:00", 1, 2), hydroRow("2026-03-01 00:15:00", 3.5, 12.25), ""].join("\n");
+    const out = lastRowValues(text, HYDRO);
+    expect(out.record_ts).toBe("2026-03-01T00:15:00.000Z");
+    expect(out.values.flow_bypass).toEqual({ value: 3.5, unit: "Gpm", source: "hydro_plant" });
+    expect(out.values.flow_wyman.value).toBe(12.25);
+    expect(out.values).not.toHaveProperty("time(UTC)");
+  });
+
+  it("prefers the file's own header row", () => {
+    const text = 'time(UTC),error,"F2 - Wyman Creek Flow (Gpm)"\n2026-03-01 00:15:00,0,7\n';
+    expect(lastRowValues(text, undefined).values).toEqual({ flow_wyman: { value: 7, unit: "Gpm", source: "hydro_plant" } });
+  });
+
+  it("gives up when a headerless row no longer fits the canonical columns", () => {
+    expect(lastRowValues("'2026-03-01 00:15:00',0,0,1\n", HYDRO)).toBe(null);
+    expect(lastRowValues("no records here\n", HYDRO)).toBe(null);
+  });
+});
+
+describe("GET /latest", () => {
+  it("serves the newest row per device and per serial", async () => {
+    await upload("001EC6000140", [hydroRow("2026-03-02 10:00:00", 1, 40), hydroRow("2026-03-02 10:15:00", 2, 41)]);
+    const res = await latest("device=mb-006&serial=001EC6000140");
+    expect(res.status).toBe(200);
+    const body = await res.json();
+    expect(body).toMatchObject({ device: "mb-006", serial: "001EC6000140", record_ts: "2026-03-02T10:15:00.000Z" });
+    expect(body.key).toMatch(/^log-gz\/001EC6000140\/2026\/03\/02\//);
+    expect(body.values.flow_wyman.value).toBe(41);
+    expect((await (await latest("device=MB-006")).json()).serial).toBe("001EC6000140");
+  });
+
+  it("keeps the newer row when an older log arrives late", async () => {
+    await upload("001EC6000141", [hydroRow("2026-03-03 08:00:00", 0, 50)]);
+    await upload("001EC6000141", [hydroRow("2026-03-01 08:00:00", 0, 5)]);
+    const body = await (await latest("device=mb-006&serial=001EC6000141")).json();
+    expect(body.record_ts).toBe("2026-03-03T08:00:00.000Z");
+    expect(body.values.flow_wyman.value).toBe(50);
+  });
+
+  it("needs LATEST_TOKEN, a valid device and the LATEST binding", async () => {
+    expect((await latest("device=mb-006", "test-key")).status).toBe(403);
+    expect((await latest("device=mb-006", "admin-token")).status).toBe(403);
+    expect((await latest("device=mb-006", "latest-token", { LATEST_TOKEN: undefined })).status).toBe(403);
+    expect((await latest("device=6")).status).toBe(400);
+    expect((await latest("device=mb-006&serial=../x")).status).toBe(400);
+    expect((await latest("device=mb-009&serial=001EC6000199")).status).toBe(404);
+    expect((await latest("device=mb-006", "latest-token", { LATEST: undefined })).status).toBe(500);
+  });
+
+  it("works without ADMIN_TOKEN, and LATEST_TOKEN opens no admin route", async () => {
+    await upload("001EC6000142", [hydroRow("2026-03-04 08:00:00", 0, 60)]);
+    expect((await latest("device=mb-006&serial=001EC6000142", "latest-token", { ADMIN_TOKEN: undefined })).status).toBe(200);
+    const headers = { authorization: "Bearer latest-token" };
+    expect((await call(new Request("http://example.com/devices", { headers }))).status).toBe(403);
+    expect((await call(new Request("http://example.com/admin/objects?serial=001EC6000142", { headers }))).status).toBe(403);
+  });
+});
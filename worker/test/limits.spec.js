@@ -0,0 +1,84 @@
+import { env, createExecutionContext, waitOnExecutionContext } from "cloudflare:test";
+import { describe, it, expect } from "vitest";
+import worker from "../src/index.js";
+import { limitsFromEnv } from "../src/limits.js";
+
+async function gzipText(text) {
+  const cs = new CompressionStream("gzip");
+  return new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(cs)).arrayBuffer());
+}
+
+async function post(fields, vars = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) {
+    if (v && typeof v === "object") form.append(k, new Blob([v.data]), v.filename);
+    else form.append(k, v);
+  }
+  const request = new Request("http://example.com/?key=test-key", { method: "POST", body: form });
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, { ...env, ...vars }, ctx);
+  await waitOnExecutionContext(ctx);
+  return { status: response.status, text: await response.text(), headers: response.headers };
+}
+
+async function keysUnder(prefix) {
+  return (await env.BUCKET.list({ prefix })).objects.map((o) => o.key);
+}
+
+const ROWS = await gzipText("'2026-01-01 00:00:00',0,0,0,1\n");
+
+describe("limitsFromEnv", () => {
+  it("falls back to defaults and lets * switch an allowlist off", () => {
+    const l = limitsFromEnv({ MAX_PART_BYTES: "100", ALLOWED_EXTENSIONS: "*", MAX_BODY_BYTES: "junk" });
+    expect(l.maxPart).toBe(100);
+    expect(l.maxBody).toBe(64 * 1024 * 1024);
+    expect(l.extensions).toBe(null);
+    expect(l.fields.has("logfile")).toBe(true);
+  });
+});
+
+describe("upload limits in fetch", () => {
+  it("answers 413 when Content-Length is over MAX_BODY_BYTES", async () => {
+    const out = await post({ SERIALNUMBER: "001EC6000100", LOGFILE: { data: ROWS, filename: "mb-001.log.gz" } }, { MAX_BODY_BYTES: "64" });
+    expect(out.status).toBe(413);
+    expect(out.text).toBe("PAYLOAD_TOO_LARGE");
+    expect(await keysUnder("log-gz/001EC6000100/")).toEqual([]);
+  });
+
+  it("answers 413 when one part is over MAX_PART_BYTES", async () => {
+    const big = new Uint8Array(4096);
+    const out = await post({ SERIALNUMBER: "001EC6000101", LOGFILE: { data: big, filename: "mb-001.log.gz" } }, { MAX_PART_BYTES: "1024" });
+    expect(out.status).toBe(413);
+    expect(await keysUnder("log-gz/001EC6000101/")).toEqual([]);
+    expect(await keysUnder("quarantine/001EC6000101/")).toEqual([]);
+  });
+
+  it("refuses file fields and extensions outside the allowlist", async () => {
+    const field = await post({ SERIALNUMBER: "001EC6000102", BLOB: { data: "x", filename: "a.txt" } });
+    expect(field.status).toBe(400);
+    expect(field.text).toBe("FIELD_NOT_ALLOWED");
+    const ext = await post({ SERIALNUMBER: "001EC6000102", LOGFILE: { data: "x", filename: "tool.exe" } });
+    expect(ext.status).toBe(415);
+    expect(await keysUnder("other/001EC6000102/")).toEqual([]);
+  });
+
+  it("accepts any file field when ALLOWED_FILE_FIELDS is *", async () => {
+    const out = await post(
+      { SERIALNUMBER: "001EC6000103", LOGFILE: { data: ROWS, filename: "mb-001.log.gz" }, EXTRA: { data: "x", filename: "notes.csv" } },
+      { ALLOWED_FILE_FIELDS: "*" },
+    );
+    expect(out.status).toBe(200);
+    expect(await keysUnder("other/001EC6000103/")).toHaveLength(1);
+  });
+
+  it("rate-limits per serial with 429 and Retry-After", async () => {
+    const seen = [];
+    const UPLOAD_RATE_LIMIT = { limit: async ({ key }) => ({ success: !seen.includes(key) && seen.push(key) > 0 }) };
+    const ok = await post({ SERIALNUMBER: "001EC6000104", LOGFILE: { data: ROWS, filename: "mb-001.log.gz" } }, { UPLOAD_RATE_LIMIT });
+    const limited = await post({ SERIALNUMBER: "001EC6000104", LOGFILE: { data: ROWS, filename: "mb-002.log.gz" } }, { UPLOAD_RATE_LIMIT });
+    const other = await post({ SERIALNUMBER: "001EC6000105", MODE: "TEST" }, { UPLOAD_RATE_LIMIT });
+    expect([ok.status, limited.status, other.status]).toEqual([200, 429, 200]);
+    expect(limited.headers.get("retry-after")).toBe("60");
+    expect(await keysUnder("log-gz/001EC6000104/")).toHaveLength(1);
+  });
+});
@@ -0,0 +1,234 @@
+import { env, createExecutionContext, waitOnExecutionContext } from "cloudflare:test";
+import { describe, it, expect } from "vitest";
+import worker from "../src/index.js";
+import { configPath, parseConfigManifest, planConfigSync } from "../src/config-files.js";
+
+async function gzipText(text) {
+  const cs = new CompressionStream("gzip");
+  return new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(cs)).arrayBuffer());
+}
+
+/** A small but valid AcquiSuite log (gzip, one record). */
+const ROWS = await gzipText("'2026-01-01 00:00:00',0,0,0,1\n");
+
+async function post(fields, vars = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) {
+    if (v && typeof v === "object") form.append(k, new Blob([v.data]), v.filename);
+    else form.append(k, v);
+  }
+  const request = new Request("http://example.com/?key=test-key", { method: "POST", body: form });
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, { ...env, ...vars }, ctx);
+  await waitOnExecutionContext(ctx);
+  return { status: response.status, text: await response.text() };
+}
+
+async function keysUnder(prefix) {
+  const list = await env.BUCKET.list({ prefix });
+  return list.objects.map((o) => o.key);
+}
+
+describe("MODE dispatch", () => {
+  it("TEST answers SUCCESS without writing anything but the registry and audit line", async () => {
+    const out = await post({ MODE: "TEST", SERIALNUMBER: "001EC6000001" });
+    expect(out.text).toContain("SUCCESS");
+    expect((await keysUnder("")).filter((k) => !k.startsWith("devices/") && !k.startsWith("audit/"))).toEqual([]);
+  });
+
+  it("unknown MODE is refused", async () => {
+    const out = await post({ MODE: "REBOOT", SERIALNUMBER: "001EC6000001" });
+    expect(out.text).toMatch(/^FAILURE/);
+  });
+
+  it("LOGFILEUPLOAD stores under log-gz/", async () => {
+    const out = await post({
+      MODE: "LOGFILEUPLOAD",
+      SERIALNUMBER: "001EC6000002",
+      LOGFILE: { data: ROWS, filename: "mb-001.log.gz" },
+    });
+    expect(out.text).toContain("SUCCESS");
+    const keys = await keysUnder("log-gz/001EC6000002/");
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatch(/\/mb-001\.log\.gz$/);
+  });
+
+  it("STATUS fields are kept as KEY=value text under status/", async () => {
+    const out = await post({ MODE: "STATUS", SERIALNUMBER: "001EC6000003", UPTIME: "3600", PASSWORD: "x" });
+    expect(out.text).toContain("SUCCESS");
+    const [k] = await keysUnder("status/001EC6000003/");
+    const text = await (await env.BUCKET.get(k)).text();
+    expect(text).toContain("UPTIME=3600");
+    expect(text).toContain("SERIALNUMBER=001EC6000003");
+    expect(text).not.toContain("PASSWORD");
+  });
+
+  it("manifest asks for backups and pushes staged files; download serves them", async () => {
+    const ser = "001EC6000004";
+    await env.BUCKET.put(`config/${ser}/loggerconfig.ini`, "a", { customMetadata: { md5: "aaa" } });
+    await env.BUCKET.put(`config-push/${ser}/modbus/mb-002.ini`, "NEW");
+    const manifest = [
+      "CONFIGFILE,loggerconfig.ini,aaa,2026-01-01 00:00:00",
+      "CONFIGFILE,modbus/mb-001.ini,bbb,2026-01-01 00:00:00",
+      "CONFIGFILE,modbus/mb-002.ini,ccc,2026-01-01 00:00:00",
+    ].join("\n");
+    const out = await post({ MODE: "CONFIGFILEMANIFEST", SERIALNUMBER: ser, MANIFEST: { data: manifest, filename: "manifest.txt" } });
+    expect(out.text.split("\r\n")).toEqual([
+      "CONFIGFILEUPLOAD,modbus/mb-001.ini",
+      "CONFIGFILEDOWNLOAD,modbus/mb-002.ini",
+      "SUCCESS - OK",
+      "",
+    ]);
+
+    const up = await post({
+      MODE: "CONFIGFILEUPLOAD",
+      SERIALNUMBER: ser,
+      FILENAME: "modbus/mb-001.ini",
+      MD5CHECKSUM: "BBB",
+      CONFIGFILE: { data: "[mb]", filename: "mb-001.ini" },
+    });
+    expect(up.text).toContain("SUCCESS");
+    const bak = await env.BUCKET.head(`config/${ser}/modbus/mb-001.ini`);
+    expect(bak.customMetadata.md5).toBe("bbb");
+
+    const dl = await post({ MODE: "CONFIGFILEDOWNLOAD", SERIALNUMBER: ser, FILENAME: "modbus/mb-002.ini" });
+    expect(dl.text).toBe("NEW");
+    const missing = await post({ MODE: "CONFIGFILEDOWNLOAD", SERIALNUMBER: ser, FILENAME: "modbus/mb-009.ini" });
+    expect(missing.text).toMatch(/^FAILURE - NO PENDING CONFIG/);
+  });
+
+  it("a staged push is served again after a failed download and removed once the manifest reports it", async () => {
+    const ser = "001EC6000005";
+    const manifest = (md5) => ({ data: `CONFIGFILE,modbus/mb-002.ini,${md5},2026-01-01 00:00:00\n`, filename: "manifest.txt" });
+    await env.BUCKET.put(`config/${ser}/modbus/mb-002.ini`, "OLD", { customMetadata: { md5: "old" } });
+    await env.BUCKET.put(`config-push/${ser}/modbus/mb-002.ini`, "NEW");
+
+    const first = await post({ MODE: "CONFIGFILEDOWNLOAD", SERIALNUMBER: ser, FILENAME: "modbus/mb-002.ini" });
+    expect(first.text).toBe("NEW");
+    // The transfer failed (or the device rejected the file): it still reports the old checksum.
+    const stillOld = await post({ MODE: "CONFIGFILEMANIFEST", SERIALNUMBER: ser, MANIFEST: manifest("old") });
+    expect(stillOld.text.split("\r\n")[0]).toBe("CONFIGFILEDOWNLOAD,modbus/mb-002.ini");
+    const retry = await post({ MODE: "CONFIGFILEDOWNLOAD", SERIALNUMBER: ser, FILENAME: "modbus/mb-002.ini" });
+    expect(retry.text).toBe("NEW");
+
+    const pushed = [...new Uint8Array(await crypto.subtle.digest("MD5", new TextEncoder().encode("NEW")))]
+      .map((x) => x.toString(16).padStart(2, "0"))
+      .join("");
+    const applied = await post({ MODE: "CONFIGFILEMANIFEST", SERIALNUMBER: ser, MANIFEST: manifest(pushed) });
+    expect(applied.text.split("\r\n")).toEqual(["CONFIGFILEUPLOAD,modbus/mb-002.ini", "SUCCESS - OK", ""]);
+    expect(await env.BUCKET.head(`config-push/${ser}/modbus/mb-002.ini`)).toBeNull();
+  });
+});
+
+describe("config-files helpers", () => {
+  it("parseConfigManifest skips non-CONFIGFILE lines and lowercases md5", () => {
+    expect(parseConfigManifest("junk\nCONFIGFILE, loggerconfig.ini ,ABC,2026-01-01\n")).toEqual([
+      { name: "loggerconfig.ini", md5: "abc", filetime: "2026-01-01" },
+    ]);
+  });
+
+  it("configPath drops traversal segments", () => {
+    expect(configPath("../modbus/./mb 001.ini")).toBe("modbus/mb_001.ini");
+  });
+
+  it("planConfigSync requests upload when no backup checksum is known", () => {
+    expect(planConfigSync([{ name: "a.ini", md5: "" }], new Map([["a.ini", ""]]), new Set())).toEqual(["CONFIGFILEUPLOAD,a.ini"]);
+  });
+});
+
+describe("LOGFILE MD5CHECKSUM", () => {
+  const md5 = async (u8) =>
+    [...new Uint8Array(await crypto.subtle.digest("MD5", u8))]
+      .map((x) => x.toString(16).padStart(2, "0"))
+      .join("");
+
+  it("stores the log and records md5_status=ok when the checksum matches", async () => {
+    const out = await post({
+      MODE: "LOGFILEUPLOAD",
+      SERIALNUMBER: "001EC6000010",
+      MD5CHECKSUM: (await md5(ROWS)).toUpperCase(),
+      LOGFILE: { data: ROWS, filename: "mb-001.log.gz" },
+    });
+    expect(out.text).toContain("SUCCESS");
+    const [k] = await keysUnder("log-gz/001EC6000010/");
+    expect((await env.BUCKET.head(k)).customMetadata.md5_status).toBe("ok");
+  });
+
+  it("refuses a truncated upload so the device retries", async () => {
+    const out = await post({
+      MODE: "LOGFILEUPLOAD",
+      SERIALNUMBER: "001EC6000011",
+      MD5CHECKSUM: await md5(new TextEncoder().encode("rows and more rows")),
+      LOGFILE: { data: ROWS, filename: "mb-001.log.gz" },
+    });
+    expect(out.text).toMatch(/^FAILURE/);
+    expect(await keysUnder("log-gz/001EC6000011/")).toEqual([]);
+  });
+
+  it("records md5_status=missing when the device sends no checksum", async () => {
+    await post({ SERIALNUMBER: "001EC6000012", LOGFILE: { data: ROWS, filename: "mb-001.log.gz" } });
+    const [k] = await keysUnder("log-gz/001EC6000012/");
+    expect((await env.BUCKET.head(k)).customMetadata.md5_status).toBe("missing");
+  });
+});
+
+describe("ingest queue", () => {
+  it("writes one message per stored log with its key and etag", async () => {
+    await post({ SERIALNUMBER: "001EC6000050", LOGFILE: { data: ROWS, filename: "mb-003.log.gz" } });
+    const [logKey] = await keysUnder("log-gz/001EC6000050/");
+    const head = await env.BUCKET.head(logKey);
+    const msgs = await Promise.all((await keysUnder("ingest-queue/")).map(async (k) => (await env.BUCKET.get(k)).json()));
+    const mine = msgs.filter((m) => m.serial === "001EC6000050");
+    expect(mine).toHaveLength(1);
+    expect(mine[0]).toMatchObject({ key: logKey, etag: head.etag, size: head.size });
+  });
+
+  it("queues status files for device_status", async () => {
+    await post({ MODE: "STATUS", SERIALNUMBER: "001EC6000051", UPTIME: "1" });
+    const msgs = await Promise.all((await keysUnder("ingest-queue/")).map(async (k) => (await env.BUCKET.get(k)).json()));
+    const [statusKey] = await keysUnder("status/001EC6000051/");
+    expect(msgs.filter((m) => m.serial === "001EC6000051").map((m) => m.key)).toEqual([statusKey]);
+  });
+
+  it("does not queue config uploads", async () => {
+    await post({ MODE: "CONFIGFILEUPLOAD", SERIALNUMBER: "001EC6000052", CONFIGFILE: { data: "x=1", filename: "loggerconfig.ini" } });
+    const msgs = await Promise.all((await keysUnder("ingest-queue/")).map(async (k) => (await env.BUCKET.get(k)).json()));
+    expect(msgs.filter((m) => m.serial === "001EC6000052")).toEqual([]);
+  });
+});
+
+describe("CSV header drift", () => {
+  it("stores the log untouched, tagged, and copies it to quarantine/ when asked", async () => {
+    const out = await post(
+      { SERIALNUMBER: "001EC6000060", LOGFILE: { data: await gzipText("2025-01-01 00:00:00\t1\t2\n"), filename: "mb-001.log.gz" } },
+      { QUARANTINE_HEADER_DRIFT: "1" },
+    );
+    expect(out.text).toContain("SUCCESS");
+    const [k] = await keysUnder("log-gz/001EC6000060/");
+    const meta = (await env.BUCKET.head(k)).customMetadata;
+    expect(meta).toMatchObject({ csv_header_drift: "true", csv_data_columns: "3" });
+    expect(meta.csv_header_prepended).toBeUndefined();
+    expect(await keysUnder("quarantine/001EC6000060/")).toEqual([k.replace(/^log-gz\//, "quarantine/")]);
+  });
+});
+
+describe("quarantine", () => {
+  const reasonFor = async (serial) => {
+    const [k] = await keysUnder(`quarantine/${serial}/`);
+    return k && (await env.BUCKET.head(k)).customMetadata.quarantine_reason;
+  };
+
+  it.each([
+    ["001EC6000070", "empty", async () => new Uint8Array(0)],
+    ["001EC6000071", "invalid_gzip", async () => new TextEncoder().encode("not gzip")],
+    ["001EC6000072", "invalid_gzip", async () => ROWS.slice(0, ROWS.length - 6)],
+    ["001EC6000073", "no_records", () => gzipText("time(UTC)\terror\n")],
+  ])("routes %s to quarantine/ (%s)", async (serial, reason, data) => {
+    const out = await post({ SERIALNUMBER: serial, LOGFILE: { data: await data(), filename: "mb-001.log.gz" } });
+    expect(out.text).toContain("SUCCESS");
+    expect(await reasonFor(serial)).toBe(reason);
+    expect(await keysUnder(`log-gz/${serial}/`)).toEqual([]);
+    const msgs = await Promise.all((await keysUnder("ingest-queue/")).map(async (k) => (await env.BUCKET.get(k)).json()));
+    expect(msgs.filter((m) => m.serial === serial)).toEqual([]);
+  });
+});
@@ -0,0 +1,122 @@
+import { env, createExecutionContext, waitOnExecutionContext } from "cloudflare:test";
+import { describe, it, expect } from "vitest";
+import worker from "../src/index.js";
+import { boundaryFrom, multipartReader, MultipartError } from "../src/multipart.js";
+import { PART_BYTES, putStream } from "../src/r2.js";
+
+const te = new TextEncoder();
+
+/** Body delivered in fixed-size pieces, so delimiters straddle chunk edges. */
+function chunked(text, size) {
+  const u8 = te.encode(text);
+  let i = 0;
+  return new ReadableStream({
+    pull(c) {
+      if (i >= u8.length) return c.close();
+      c.enqueue(u8.slice(i, i + size));
+      i += size;
+    },
+  });
+}
+
+function body(b, parts, { close = true } = {}) {
+  const out = parts.map(
+    ([name, value, fn]) =>
+      `--${b}\r\nContent-Disposition: form-data; name="${name}"${fn ? `; filename="${fn}"` : ""}\r\n\r\n${value}\r\n`,
+  );
+  return `${out.join("")}${close ? `--${b}--\r\n` : ""}`;
+}
+
+async function readAll(stream, b) {
+  const mp = multipartReader(stream, b);
+  const out = [];
+  for (let p = await mp.next(); p; p = await mp.next()) {
+    out.push({ field: p.field, fn: p.fn, filename: p.filename, text: await p.text() });
+  }
+  return out;
+}
+
+describe("multipartReader", () => {
+  const b = "----acq7MA4YWxkTrZu0gW";
+  const text = body(b, [
+    ["MODE", "LOGFILEUPLOAD"],
+    ["SERIALNUMBER", "001EC6000001"],
+    ["LOGFILE", `rows\r\n--${b.slice(0, 6)} not a delimiter`, "dir/mb-001.log.gz"],
+  ]);
+
+  for (const size of [1, 7, 4096]) {
+    it(`reads every part in order with ${size}-byte chunks`, async () => {
+      expect(await readAll(chunked(text, size), b)).toEqual([
+        { field: "MODE", fn: "", filename: "", text: "LOGFILEUPLOAD" },
+        { field: "SERIALNUMBER", fn: "", filename: "", text: "001EC6000001" },
+        { field: "LOGFILE", fn: "mb-001.log.gz", filename: "dir/mb-001.log.gz", text: `rows\r\n--${b.slice(0, 6)} not a delimiter` },
+      ]);
+    });
+  }
+
+  it("skips parts the caller does not read", async () => {
+    const mp = multipartReader(chunked(text, 5), b);
+    await mp.next();
+    await mp.next();
+    const log = await mp.next();
+    expect(log.fn).toBe("mb-001.log.gz");
+    expect(await mp.next()).toBe(null);
+  });
+
+  it("takes quoted and bare boundaries from Content-Type", () => {
+    expect(boundaryFrom('multipart/form-data; boundary="a b"')).toBe("a b");
+    expect(boundaryFrom("multipart/form-data; boundary=xyz; charset=utf-8")).toBe("xyz");
+    expect(boundaryFrom("multipart/form-data")).toBe("");
+  });
+
+  it("throws MultipartError on a truncated body", async () => {
+    const cut = body(b, [["LOGFILE", "rows", "mb-001.log.gz"]], { close: false }).slice(0, -4);
+    await expect(readAll(chunked(cut, 3), b)).rejects.toBeInstanceOf(MultipartError);
+  });
+
+  it("throws MultipartError on a garbled boundary line", async () => {
+    const bad = `--${b}garbage\r\nContent-Disposition: form-data; name="A"\r\n\r\nx\r\n--${b}--\r\n`;
+    await expect(readAll(chunked(bad, 16), b)).rejects.toBeInstanceOf(MultipartError);
+  });
+});
+
+describe("fetch with a malformed body", () => {
+  it("answers 400 and stores nothing", async () => {
+    const b = "xyz";
+    const request = new Request("http://example.com/?key=test-key", {
+      method: "POST",
+      headers: { "content-type": `multipart/form-data; boundary=${b}` },
+      body: body(b, [["SERIALNUMBER", "001EC6000030"], ["LOGFILE", "rows", "mb-001.log.gz"]], { close: false }),
+    });
+    const ctx = createExecutionContext();
+    const response = await worker.fetch(request, env, ctx);
+    await waitOnExecutionContext(ctx);
+    expect(response.status).toBe(400);
+    expect(await response.text()).toBe("MALFORMED_MULTIPART");
+    expect((await env.BUCKET.list({ prefix: "log-gz/001EC6000030/" })).objects).toEqual([]);
+  });
+});
+
+describe("putStream", () => {
+  it("puts small bodies in one call", async () => {
+    await putStream(env.BUCKET, "t/small.bin", chunked("hello", 2), { customMetadata: { a: "1" } });
+    const obj = await env.BUCKET.get("t/small.bin");
+    expect(await obj.text()).toBe("hello");
+    expect(obj.customMetadata.a).toBe("1");
+  });
+
+  it("switches to a multipart upload past PART_BYTES", async () => {
+    const n = PART_BYTES * 2 + 3;
+    let sent = 0;
+    const stream = new ReadableStream({
+      pull(c) {
+        if (sent >= n) return c.close();
+        const k = Math.min(1024 * 1024, n - sent);
+        c.enqueue(new Uint8Array(k).fill(sent % 251));
+        sent += k;
+      },
+    });
+    await putStream(env.BUCKET, "t/big.bin", stream);
+    expect((await env.BUCKET.head("t/big.bin")).size).toBe(n);
+  });
+});
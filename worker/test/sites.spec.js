@@ -0,0 +1,81 @@
+import { env, createExecutionContext, waitOnExecutionContext } from "cloudflare:test";
+import { describe, it, expect } from "vitest";
+import worker from "../src/index.js";
+import { siteById, siteForSerial, siteRegistry } from "../src/sites.js";
+
+const SITES = {
+  south: { bucket: "BUCKET_SOUTH", serials: ["001EC6000200"] },
+  east: { prefix: "/east", serials: ["001ec6000201"] },
+};
+
+async function call(request, vars = {}) {
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(request, { ...env, SITES, ...vars }, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+async function gzipText(text) {
+  const cs = new CompressionStream("gzip");
+  return new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(cs)).arrayBuffer());
+}
+
+async function upload(serial, vars) {
+  const form = new FormData();
+  form.append("SERIALNUMBER", serial);
+  form.append("FILETIME", "2026-03-01 00:15:00");
+  form.append("LOGFILE", new Blob([await gzipText("'2026-03-01 00:15:00',0,0,0,1\n")]), "mb-001.log.gz");
+  return call(new Request("http://example.com/?key=test-key", { method: "POST", body: form }), vars);
+}
+
+async function keysUnder(bucket, prefix) {
+  return (await bucket.list({ prefix })).objects.map((o) => o.key);
+}
+
+describe("siteRegistry", () => {
+  it("normalizes prefixes, matches serials case-insensitively and keeps a default site", () => {
+    const e = { SITES: JSON.stringify(SITES) };
+    expect(siteForSerial(e, "001EC6000201")).toMatchObject({ id: "east", binding: "BUCKET", root: "east/" });
+    expect(siteForSerial(e, "001EC6000200")).toMatchObject({ id: "south", binding: "BUCKET_SOUTH", root: "" });
+    expect(siteForSerial(e, "001EC6000999")).toMatchObject({ id: "default", binding: "BUCKET", root: "" });
+    expect(siteById({ DEFAULT_SITE: "north" }, "")).toMatchObject({ id: "north" });
+    expect(siteById(e, "west")).toBe(null);
+  });
+
+  it("refuses a serial listed under two sites", () => {
+    expect(() => siteRegistry({ SITES: { a: { serials: ["X"] }, b: { serials: ["x"] } } })).toThrow(/listed under a and b/);
+  });
+});
+
+describe("uploads by site", () => {
+  it("stores a registered serial's log in its own bucket and queue", async () => {
+    expect((await upload("001EC6000200")).status).toBe(200);
+    expect(await keysUnder(env.BUCKET, "log-gz/001EC6000200/")).toEqual([]);
+    expect(await keysUnder(env.BUCKET_SOUTH, "log-gz/001EC6000200/")).toEqual(["log-gz/001EC6000200/2026/03/01/mb-001.log.gz"]);
+    const [msgKey] = await keysUnder(env.BUCKET_SOUTH, "ingest-queue/");
+    const msg = await (await env.BUCKET_SOUTH.get(msgKey)).json();
+    expect(msg).toMatchObject({ key: "log-gz/001EC6000200/2026/03/01/mb-001.log.gz", site: "south" });
+    expect(await keysUnder(env.BUCKET_SOUTH, "devices/")).toEqual(["devices/001EC6000200.json"]);
+  });
+
+  it("puts every key of a prefixed site under its root", async () => {
+    await upload("001EC6000201");
+    const key = "east/log-gz/001EC6000201/2026/03/01/mb-001.log.gz";
+    const head = await env.BUCKET.head(key);
+    expect(head.customMetadata.site).toBe("east");
+    expect(await keysUnder(env.BUCKET, "log-gz/001EC6000201/")).toEqual([]);
+    expect(await keysUnder(env.BUCKET, "east/ingest-queue/")).toHaveLength(1);
+
+    const admin = (path) => call(new Request(`http://example.com${path}`, { headers: { authorization: "Bearer admin-token" } }));
+    const listed = await (await admin("/admin/objects?site=east&serial=001EC6000201&date=2026-03-01")).json();
+    expect(listed.objects.map((o) => o.key)).toEqual([key]);
+    expect((await (await admin("/devices?site=east")).json()).map((d) => d.serial)).toEqual(["001EC6000201"]);
+    expect((await admin("/devices?site=west")).status).toBe(404);
+  });
+
+  it("answers 500 when a site's bucket binding is missing", async () => {
+    const res = await upload("001EC6000200", { BUCKET_SOUTH: undefined });
+    expect(res.status).toBe(500);
+    expect(await res.text()).toBe("MISSING_R2_BINDING");
+  });
+});
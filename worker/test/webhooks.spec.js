@@ -0,0 +1,70 @@
+import { env, createExecutionContext, waitOnExecutionContext } from "cloudflare:test";
+import { describe, it, expect, vi, afterEach } from "vitest";
+import worker from "../src/index.js";
+import { sendWebhooks, sign, uploadEvent, webhookTargets } from "../src/webhooks.js";
+
+async function gzipText(text) {
+  const cs = new CompressionStream("gzip");
+  return new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(cs)).arrayBuffer());
+}
+
+afterEach(() => vi.restoreAllMocks());
+
+describe("webhook config and payload", () => {
+  it("merges WEBHOOK_URLS with the KV target list", async () => {
+    await env.WEBHOOKS.put("targets", JSON.stringify(["https://kv.example/hook", "not a url"]));
+    const targets = await webhookTargets({ ...env, WEBHOOK_URLS: "https://a.example/x, https://kv.example/hook" });
+    expect(targets).toEqual(["https://a.example/x", "https://kv.example/hook"]);
+    await env.WEBHOOKS.delete("targets");
+  });
+
+  it("reports the header outcome of a log", () => {
+    const obj = { key: "log-gz/S/2026/03/01/mb-001.log.gz", size: 10, etag: "e" };
+    expect(uploadEvent("log", obj, { serial: "S", csv_header_drift: "true" })).toMatchObject({
+      type: "log.stored",
+      serial: "S",
+      header_status: "drift",
+    });
+    expect(uploadEvent("log", obj, {}).header_status).toBe("none");
+  });
+
+  it("retries 5xx answers and gives up on other 4xx", async () => {
+    const calls = [];
+    vi.spyOn(globalThis, "fetch").mockImplementation(async (url) => {
+      calls.push(url);
+      if (url.includes("flaky") && calls.filter((u) => u === url).length === 1) return new Response("", { status: 503 });
+      return new Response("", { status: url.includes("gone") ? 410 : 200 });
+    });
+    await sendWebhooks({ WEBHOOK_URLS: "https://flaky.example/h https://gone.example/h" }, [{ type: "log.stored" }], { backoffMs: 1 });
+    expect(calls.filter((u) => u.includes("flaky"))).toHaveLength(2);
+    expect(calls.filter((u) => u.includes("gone"))).toHaveLength(1);
+  });
+});
+
+describe("webhooks from fetch", () => {
+  it("posts a signed event for a stored log after the reply", async () => {
+    const sent = [];
+    vi.spyOn(globalThis, "fetch").mockImplementation(async (url, init) => {
+      sent.push({ url, init });
+      return new Response("ok");
+    });
+    const form = new FormData();
+    form.append("SERIALNUMBER", "001EC6000090");
+    form.append("FILETIME", "2026-03-01 00:00:00");
+    form.append("LOGFILE", new Blob([await gzipText("'2026-03-01 00:00:00',0\n")]), "acq_1.log.gz");
+    const vars = { WEBHOOK_URLS: "https://hooks.example/in", WEBHOOK_SECRET: "s3cret" };
+    const ctx = createExecutionContext();
+    const res = await worker.fetch(new Request("http://example.com/?key=test-key", { method: "POST", body: form }), { ...env, ...vars }, ctx);
+    expect(await res.text()).toContain("SUCCESS");
+    await waitOnExecutionContext(ctx);
+
+    expect(sent).toHaveLength(1);
+    const { url, init } = sent[0];
+    expect(url).toBe("https://hooks.example/in");
+    const event = JSON.parse(init.body);
+    expect(event).toMatchObject({ type: "log.stored", serial: "001EC6000090", filetime: "2026-03-01 00:00:00", header_status: "none" });
+    expect(event.key).toMatch(/^log-gz\/001EC6000090\/2026\/03\/01\/acq_1\.log\.gz$/);
+    const ts = init.headers["x-webhook-timestamp"];
+    expect(init.headers["x-webhook-signature"]).toBe(`sha256=${await sign("s3cret", ts, init.body)}`);
+  });
+});
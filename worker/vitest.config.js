@@ -5,6 +5,11 @@ export default defineWorkersConfig({
 		poolOptions: {
 			workers: {
 				wrangler: { configPath: './wrangler.jsonc' },
+				miniflare: {
+					bindings: { API_KEY: 'test-key', ADMIN_TOKEN: 'admin-token', LATEST_TOKEN: 'latest-token' },
+					kvNamespaces: ['API_KEYS', 'WEBHOOKS', 'LATEST'],
+					r2Buckets: { BUCKET_SOUTH: { id: 'south' } },
+				},
 			},
 		},
 	},